@@ -0,0 +1,407 @@
+const { RDSInstanceConnection } = require("../Database/RDSInstanceConnection");
+const { getDateColumn, getSensorDataSchema, formatDateTime } = require("../Utility/SensorSchemaUtility.js");
+const {
+    CALIBRATION_MODELS_TABLE,
+    CALIBRATION_RUNS_TABLE,
+    MODEL_FORMS,
+    MODEL_NAME_PATTERN,
+    MODEL_VERSION_PATTERN,
+    parseDefinition,
+    modelInputColumns,
+    segmentErrors,
+    buildCorrectedRows,
+} = require("../Utility/CalibrationUtility.js");
+const {
+    CONFLICT_POLICIES,
+    INVALID_ROW_POLICIES,
+    OUT_OF_RANGE_POLICIES,
+    validateReadings,
+    insertReadingsWithConflictPolicy,
+    buildIngestionPreview,
+} = require("../Utility/ReadingsIngestionUtility.js");
+const { getColumnMetadata } = require("../Utility/ColumnMetadataUtility.js");
+const { lineageColumns } = require("../Utility/ModelLineageUtility.js");
+const Joi = require("joi");
+
+
+// GLOBAL VARS, ENUMS, & SCHEMAS
+const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
+const MEASUREMENT_TIME_INTERVALS = ["HOURLY", "DAILY", "OTHER"];
+const NUMERIC_SCHEMA_TYPES = ["number", "float", "integer"];
+
+// { column: coefficient }
+const termsSchema = Joi.object().pattern(Joi.string(), Joi.number().required()).min(1);
+
+const definitionSchemas = {
+    linear: Joi.object({
+        output: Joi.string().required(),
+        input: Joi.string().required(),
+        slope: Joi.number().required(),
+        intercept: Joi.number().default(0),
+    }),
+    multilinear: Joi.object({
+        output: Joi.string().required(),
+        intercept: Joi.number().default(0),
+        terms: termsSchema.required(),
+    }),
+    piecewise: Joi.object({
+        output: Joi.string().required(),
+        input: Joi.string().required(),
+        segments: Joi.array().items(Joi.object({
+            below: Joi.number(),
+            intercept: Joi.number().default(0),
+            terms: termsSchema.required(),
+        })).min(1).required(),
+    }),
+};
+
+const calibrationModelSchema = Joi.object({
+    model_name: Joi.string().pattern(MODEL_NAME_PATTERN).required()
+        .messages({ "string.pattern.base": "model_name may only contain letters, digits, '_' and '-' (up to 100 characters)." }),
+    version: Joi.string().pattern(MODEL_VERSION_PATTERN).required()
+        .messages({ "string.pattern.base": "version may only contain letters, digits, '.', '_' and '-' (up to 50 characters)." }),
+    model_form: Joi.string().valid(...MODEL_FORMS).required(),
+    definition: Joi.alternatives().conditional("model_form", {
+        switch: MODEL_FORMS.map((form) => ({ is: form, then: definitionSchemas[form] })),
+    }).required(),
+    description: Joi.string().allow("").max(1000),
+});
+
+const calibrationRunSchema = Joi.object({
+    sensor_brand: Joi.string().required(),
+    sensor_id: Joi.string().required(),
+    source_table_name: Joi.string(),
+    measurement_time_interval: Joi.string().valid(...MEASUREMENT_TIME_INTERVALS).required(),
+    start_date: Joi.string().required(),
+    end_date: Joi.string().required(),
+    on_conflict: Joi.string().valid(...CONFLICT_POLICIES).default("error"),
+    on_invalid: Joi.string().valid(...INVALID_ROW_POLICIES).default("reject"),
+    on_out_of_range: Joi.string().valid(...OUT_OF_RANGE_POLICIES).default("reject"),
+    dry_run: Joi.boolean().default(false),
+});
+
+
+function toModelResponse(model) {
+    return {
+        model_name: model.model_name,
+        version: model.version,
+        model_form: model.model_form,
+        definition: parseDefinition(model.definition),
+        description: model.description,
+        created_at: model.created_at,
+    };
+}
+
+
+// The RAW table a run reads: the one named in the body, or the sensor's only RAW model
+async function findSourceModel(database, sensor_brand, sensor_id, source_table_name) {
+    const rawModels = await database(SENSOR_MODELS_TABLE)
+        .where({ sensor_brand, sensor_id, measurement_type: "RAW" })
+        .modify((query) => {
+            if (source_table_name) {
+                query.where({ sensor_table_name: source_table_name });
+            }
+        });
+
+    if (source_table_name && rawModels.length === 0) {
+        return { error: `'${source_table_name}' is not a RAW model of sensor ${sensor_brand} ${sensor_id}.` };
+    }
+
+    if (rawModels.length !== 1) {
+        return {
+            error: rawModels.length === 0
+                ? `Sensor ${sensor_brand} ${sensor_id} has no RAW model.`
+                : `Sensor ${sensor_brand} ${sensor_id} has ${rawModels.length} RAW models. Choose one with source_table_name.`
+        };
+    }
+
+    return { model: rawModels[0] };
+}
+
+
+// List every calibration model version
+async function getAllCalibrationModels(request, response) {
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const models = await RDSdatabase(CALIBRATION_MODELS_TABLE)
+            .select("*")
+            .orderBy([{ column: "model_name", order: "asc" }, { column: "created_at", order: "asc" }]);
+
+        return response.status(200).json({
+            data: models.map(toModelResponse),
+            message: models.length ? "Successfully returned all calibration models." : "No calibration models have been registered at this moment."
+        });
+
+    } catch (err) {
+        console.error('Error fetching calibration models:', err);
+        return response.status(500).json({ error: `An error occurred while fetching calibration models: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Register a version of a bias-correction model. Versions are never changed, so every run stays reproducible:
+// new coefficients are registered as a new version
+async function createCalibrationModel(request, response) {
+    const { error, value } = calibrationModelSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    const { model_name, version, model_form, definition, description } = value;
+
+    const definitionErrors = model_form === "piecewise" ? segmentErrors(definition.segments) : [];
+
+    if (definitionErrors.length > 0) {
+        return response.status(400).json({ error: definitionErrors });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const modelExists = await RDSdatabase(CALIBRATION_MODELS_TABLE)
+            .where({ model_name, version })
+            .first();
+
+        if (modelExists) {
+            return response.status(400).json({ error: `Calibration model '${model_name}' version '${version}' already exists. Register changes as a new version.` });
+        }
+
+        await RDSdatabase(CALIBRATION_MODELS_TABLE).insert({
+            model_name,
+            version,
+            model_form,
+            definition: JSON.stringify(definition),
+            description: description || null,
+            created_at: formatDateTime(new Date()),
+        });
+
+        return response.status(201).json({ message: `Calibration model '${model_name}' version '${version}' registered.` });
+
+    } catch (err) {
+        console.error('Error registering calibration model:', err);
+        if (err.code === 'ER_DUP_ENTRY') {
+            return response.status(400).json({ error: `Calibration model '${model_name}' version '${version}' already exists. Register changes as a new version.` });
+        }
+        return response.status(500).json({ error: `An error occurred while registering the calibration model: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// A calibration model version and every run made with it
+async function getCalibrationModel(request, response) {
+    const { model_name, version } = request.params;
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const model = await RDSdatabase(CALIBRATION_MODELS_TABLE)
+            .where({ model_name, version })
+            .first();
+
+        if (!model) {
+            return response.status(404).json({ error: `Calibration model '${model_name}' version '${version}' not found.` });
+        }
+
+        const runs = await RDSdatabase(CALIBRATION_RUNS_TABLE)
+            .where({ calibration_model_id: model.id })
+            .orderBy("ran_at", "asc");
+
+        return response.status(200).json({
+            ...toModelResponse(model),
+            input_columns: modelInputColumns(model.model_form, parseDefinition(model.definition)),
+            runs,
+        });
+
+    } catch (err) {
+        console.error('Error fetching calibration model:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the calibration model: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Apply a calibration model to a sensor's RAW readings over a date range and write the results into the
+// CORRECTED table named after the model ({brand}_{id}_{model_name}_CORRECTED_{interval}), which must have been added
+// through the sensor-models endpoints. The run is recorded and becomes the lineage of the CORRECTED model
+async function runCalibrationModel(request, response) {
+    const { model_name, version } = request.params;
+
+    const { error, value } = calibrationRunSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    const { sensor_brand, sensor_id, measurement_time_interval, on_conflict, on_invalid, on_out_of_range, dry_run } = value;
+    let { start_date, end_date } = value;
+
+    // Format start_date and end_date in this format YYYY-MM-DD HH:MM:SS
+    try {
+        start_date = formatDateTime(start_date);
+        end_date = formatDateTime(end_date);
+    } catch (err) {
+        return response.status(400).json({ error: "Could not parse input dates: " + err });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const model = await RDSdatabase(CALIBRATION_MODELS_TABLE)
+            .where({ model_name, version })
+            .first();
+
+        if (!model) {
+            return response.status(404).json({ error: `Calibration model '${model_name}' version '${version}' not found.` });
+        }
+
+        const definition = parseDefinition(model.definition);
+
+        const source = await findSourceModel(RDSdatabase, sensor_brand, sensor_id, value.source_table_name);
+
+        if (source.error) {
+            return response.status(400).json({ error: source.error });
+        }
+
+        const source_table_name = source.model.sensor_table_name;
+        const sensor_table_name = `${sensor_brand}_${sensor_id}_${model_name}_CORRECTED_${measurement_time_interval}`;
+
+        const targetModel = await RDSdatabase(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .first();
+
+        if (!targetModel || !await RDSdatabase.schema.hasTable(sensor_table_name)) {
+            return response.status(400).json({
+                error: `CORRECTED table '${sensor_table_name}' does not exist. Add it first with POST '/api/v2/sensor-models/${sensor_brand}/${sensor_id}/CORRECTED/${measurement_time_interval}/${model_name}'.`
+            });
+        }
+
+        const sourceSchema = await getSensorDataSchema(RDSdatabase, source_table_name);
+        const targetSchema = await getSensorDataSchema(RDSdatabase, sensor_table_name);
+        const sourceDateColumn = await getDateColumn(RDSdatabase, source_table_name);
+        const targetDateColumn = await getDateColumn(RDSdatabase, sensor_table_name);
+
+        if (!sourceDateColumn || !targetDateColumn) {
+            return response.status(400).json({ error: `Table '${sourceDateColumn ? sensor_table_name : source_table_name}' is missing a datetime column.` });
+        }
+
+        const missingInputs = modelInputColumns(model.model_form, definition).filter((column) => !(column in sourceSchema));
+
+        if (missingInputs.length > 0) {
+            return response.status(400).json({ error: `'${source_table_name}' has no column ${missingInputs.join(", ")} required by the model.` });
+        }
+
+        if (!NUMERIC_SCHEMA_TYPES.includes(String(targetSchema[definition.output]).toLowerCase())) {
+            return response.status(400).json({ error: `'${sensor_table_name}' has no numeric column '${definition.output}' for the model output.` });
+        }
+
+        const rawRows = await RDSdatabase(source_table_name)
+            .select("*")
+            .where(sourceDateColumn, ">=", start_date)
+            .andWhere(sourceDateColumn, "<=", end_date)
+            .orderBy(sourceDateColumn, "asc");
+
+        if (rawRows.length === 0) {
+            return response.status(400).json({ error: "No data found for the specified sensor." });
+        }
+
+        const { rows, rows_missing_input } = buildCorrectedRows(rawRows, model, sourceDateColumn, targetSchema, targetDateColumn, sourceSchema);
+
+        if (rows.length === 0) {
+            return response.status(400).json({
+                error: `None of the ${rawRows.length} raw rows had a value for every model input, so there is no usable input. Nothing was inserted.`,
+                rows_missing_input,
+            });
+        }
+
+        // Corrected rows go through the same type, range and duplicate checks as uploaded ones
+        const columnMetadata = await getColumnMetadata(RDSdatabase, sensor_table_name);
+        const { validRows, report } = validateReadings(rows, targetSchema, targetDateColumn, 1, columnMetadata, on_out_of_range);
+
+        if (dry_run) {
+            return response.status(200).json({
+                ...await buildIngestionPreview(RDSdatabase, sensor_table_name, targetDateColumn, validRows, report, on_conflict, on_invalid),
+                source_table_name,
+                rows_read: rawRows.length,
+                rows_missing_input,
+            });
+        }
+
+        if (validRows.length === 0 || (report.rows_rejected > 0 && on_invalid === "reject")) {
+            return response.status(400).json({
+                error: `${report.rows_rejected} of ${report.rows_checked} corrected rows failed validation and ${rows_missing_input} raw rows were missing an input. Nothing was inserted.`
+                    + (report.rows_rejected > 0 ? " Use on_invalid=skip to insert the valid rows." : ""),
+                validation: report,
+            });
+        }
+
+        // The corrected rows, the run record and the lineage commit together or not at all
+        const { insertResult, run } = await RDSdatabase.transaction(async (trx) => {
+            const insertResult = await insertReadingsWithConflictPolicy(
+                RDSdatabase, sensor_table_name, targetDateColumn, validRows, on_conflict, trx
+            );
+
+            if (insertResult.conflict) {
+                return { insertResult };
+            }
+
+            const ran_at = formatDateTime(new Date());
+
+            const run = {
+                calibration_model_id: model.id,
+                sensor_brand,
+                sensor_id,
+                source_table_name,
+                sensor_table_name,
+                start_date,
+                end_date,
+                rows_read: rawRows.length,
+                rows_missing_input,
+                rows_rejected: report.rows_rejected,
+                inserted: insertResult.inserted,
+                updated: insertResult.updated,
+                skipped: insertResult.skipped,
+                on_conflict,
+                ran_at,
+            };
+
+            await trx(CALIBRATION_RUNS_TABLE).insert(run);
+
+            await trx(SENSOR_MODELS_TABLE)
+                .where({ sensor_table_name })
+                .update(lineageColumns({
+                    source_table_name,
+                    model_version: version,
+                    coefficients: { model_form: model.model_form, ...definition },
+                    produced_at: ran_at,
+                }));
+
+            return { insertResult, run };
+        });
+
+        if (insertResult.conflict) {
+            return response.status(409).json({
+                error: `${insertResult.conflicting_timestamps.length} corrected rows have timestamps that already exist. Nothing was inserted. Use on_conflict=skip or on_conflict=overwrite to load the remaining rows.`,
+                conflicting_timestamps: insertResult.conflicting_timestamps,
+            });
+        }
+
+        return response.status(201).json({
+            message: `Calibration model '${model_name}' version '${version}' wrote ${run.inserted + run.updated} rows to '${sensor_table_name}'.`,
+            run,
+            validation: report,
+        });
+
+    } catch (err) {
+        console.error('Error running calibration model:', err);
+        return response.status(500).json({ error: `An error occurred while running the calibration model: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+module.exports = {
+    getAllCalibrationModels,
+    createCalibrationModel,
+    getCalibrationModel,
+    runCalibrationModel,
+};
@@ -1,7 +1,53 @@
 const { RDSInstanceConnection } = require("../Database/RDSInstanceConnection");
-const { getDateColumn, formatDateTime, compareSets } = require("../Utility/SensorSchemaUtility.js");
-const { Parser } = require("json2csv");
+const { getDateColumn, getLastReading, getSensorDataSchema, formatDateTime } = require("../Utility/SensorSchemaUtility.js");
+const {
+    parseBucket,
+    bucketExpression,
+    getNumericColumns,
+    normalizeAggregateRow,
+    parseAggregateFunctions,
+    aggregateRows,
+    aggregateIntoWindows,
+} = require("../Utility/ReadingsAggregationUtility.js");
+const { AQI_POLLUTANTS, computeHourlyAQI } = require("../Utility/AirQualityIndexUtility.js");
+const {
+    MEASUREMENT_INTERVAL_SECONDS,
+    inferSamplingInterval,
+    buildCompletenessReport,
+} = require("../Utility/DataCompletenessUtility.js");
+const {
+    CONFLICT_POLICIES,
+    INVALID_ROW_POLICIES,
+    OUT_OF_RANGE_POLICIES,
+    stripCommentLines,
+    columnMismatch,
+    validateReadings,
+    insertReadingsWithConflictPolicy,
+    buildIngestionPreview,
+} = require("../Utility/ReadingsIngestionUtility.js");
+const { EXPORT_FORMATS, streamReadingsExport } = require("../Utility/ReadingsExportUtility.js");
+const { parsePagination, buildPage } = require("../Utility/PaginationUtility.js");
+const {
+    getLocationHistory,
+    annotateWithLocation,
+    createLocationAnnotator,
+} = require("../Utility/LocationHistoryUtility.js");
+const { Readable } = require("stream");
 const { pipeline } = require("stream/promises");
+const { getIngestionWarnings } = require("../Utility/SensorLifecycleUtility.js");
+const {
+    getOverlappingEvents,
+    annotateWithEvents,
+    createEventAnnotator,
+} = require("../Utility/SensorEventsUtility.js");
+const {
+    SENSOR_GROUPS_TABLE,
+    getGroupMembers,
+    mergeReadingsOnTimestamp,
+} = require("../Utility/SensorGroupUtility.js");
+const { getSchemaVersions, matchSchemaVersion } = require("../Utility/SchemaEvolutionUtility.js");
+const { getColumnMetadata, metadataCommentLines, createPrecisionRounder } = require("../Utility/ColumnMetadataUtility.js");
+const { planUnitConversions, createUnitConverter } = require("../Utility/UnitConversionUtility.js");
 const Busboy = require("busboy");
 const csv = require("csv-parser");
 
@@ -10,7 +56,17 @@ const MEASUREMENT_TYPES = ["RAW", "CORRECTED"];
 const MEASUREMENT_TIME_INTERVALS = ["HOURLY", "DAILY", "OTHER"];
 
 
-// GET data via date queries (as CSV)
+// Metadata lines written above a CSV export, describing the columns in the units they are exported in
+function exportCommentLines(columnMetadata, unitPlan) {
+    if (!unitPlan.converting) {
+        return metadataCommentLines(columnMetadata);
+    }
+
+    return [...metadataCommentLines(unitPlan.column_metadata), `# units converted on read, gas conditions ${unitPlan.gas_conditions}`];
+}
+
+
+// GET data via date queries (as CSV or NDJSON)
 async function exportSensorDataToCSV(request, response) {
     // Extract parameters from the request
     const {
@@ -21,7 +77,9 @@ async function exportSensorDataToCSV(request, response) {
         measurement_time_interval,
     } = request.params;
 
-    let { start_date, end_date } = request.query;
+    let { start_date, end_date, agg, format = "csv" } = request.query;
+    const with_location = request.query.with_location === "true";
+    const with_events = request.query.with_events === "true";
 
     // Format start_date and end_date in this format YYYY-MM-DD HH:MM:SS
     try {
@@ -31,6 +89,20 @@ async function exportSensorDataToCSV(request, response) {
         return response.status(400).json({ error: "Could not parse input dates: " + err });
     }
 
+    if (!EXPORT_FORMATS[format]) {
+        return response.status(400).json({
+            error: `Invalid format. Allowed values are: ${Object.keys(EXPORT_FORMATS).join(", ")}.`
+        });
+    }
+
+    const aggregateFunctions = agg ? parseAggregateFunctions(agg) : undefined;
+
+    if (agg && !aggregateFunctions) {
+        return response.status(400).json({
+            error: "Invalid agg. Allowed values are: mean, min, max, median, stddev, count and percentiles such as p5, p95 or p98."
+        });
+    }
+
     if (!sensor_brand || !sensor_id) {
         return response
             .status(400)
@@ -71,28 +143,94 @@ async function exportSensorDataToCSV(request, response) {
             });
         }
 
-        // Fetch all data from the constructed sensor table
-        const sensor_data = await RDSdatabase(AQ_DATA_TABLE)
-            .select("*")
+        // Read columns in the requested units, converted from the units declared in their column metadata
+        const columnMetadata = await getColumnMetadata(RDSdatabase, AQ_DATA_TABLE);
+        const unitPlan = planUnitConversions(request.query, columnMetadata);
+
+        if (unitPlan.error) {
+            return response.status(400).json({ error: unitPlan.error });
+        }
+
+        const commentLines = format === "csv" ? exportCommentLines(columnMetadata, unitPlan) : [];
+
+        // Summarize the date range into a single row when an agg option was given
+        if (aggregateFunctions) {
+            const sensor_data = await RDSdatabase(AQ_DATA_TABLE)
+                .select("*")
+                .where(dateColumn, ">=", start_date)
+                .andWhere(dateColumn, "<=", end_date);
+
+            if (!sensor_data || sensor_data.length === 0) {
+                return response
+                    .status(400)
+                    .json({ error: "No data found for the specified sensor." });
+            }
+
+            const numericColumns = await getNumericColumns(RDSdatabase, AQ_DATA_TABLE);
+            const readings = unitPlan.converting ? sensor_data.map(unitPlan.convertRow) : sensor_data;
+            let summary = aggregateRows(readings, dateColumn, numericColumns, aggregateFunctions);
+
+            if (with_location) {
+                const history = await getLocationHistory(RDSdatabase, sensor_brand, sensor_id);
+                summary = annotateWithLocation(summary, history, dateColumn);
+            }
+
+            if (with_events) {
+                const events = await getOverlappingEvents(RDSdatabase, sensor_brand, sensor_id, start_date, end_date);
+                summary = annotateWithEvents(summary, events, dateColumn);
+            }
+
+            return await streamReadingsExport(Readable.from([summary]), response, format, AQ_DATA_TABLE, [], commentLines);
+        }
+
+        const firstReading = await RDSdatabase(AQ_DATA_TABLE)
+            .first(dateColumn)
             .where(dateColumn, ">=", start_date)
             .andWhere(dateColumn, "<=", end_date);
 
-        if (!sensor_data || sensor_data.length === 0) {
+        if (!firstReading) {
             return response
                 .status(400)
                 .json({ error: "No data found for the specified sensor." });
         }
 
-        // Convert JSON data array to CSV 
-        const json2csvParser = new Parser();
-        const csv = json2csvParser.parse(sensor_data);
+        // Load everything the row transforms need before the row query starts streaming
+        const rowTransforms = unitPlan.converting ? [createUnitConverter(unitPlan.convertRow)] : [];
+
+        // Round columns to their declared precision (in the units they are exported in)
+        const precisionRounder = createPrecisionRounder(unitPlan.converting ? unitPlan.column_metadata : columnMetadata);
+
+        if (precisionRounder) {
+            rowTransforms.push(precisionRounder);
+        }
+
+        // Attach the coordinates the sensor had when each reading was taken
+        if (with_location) {
+            const history = await getLocationHistory(RDSdatabase, sensor_brand, sensor_id);
+            rowTransforms.push(createLocationAnnotator(history, dateColumn));
+        }
 
-        response.header("Content-Type", "text/csv");
-        response.header("Content-Disposition",`attachment; filename=${AQ_DATA_TABLE}.csv`);
-        response.send(csv);
+        // Attach the maintenance events in progress when each reading was taken
+        if (with_events) {
+            const events = await getOverlappingEvents(RDSdatabase, sensor_brand, sensor_id, start_date, end_date);
+            rowTransforms.push(createEventAnnotator(events, dateColumn));
+        }
+
+        // Stream rows from the database straight into the response
+        const rowStream = RDSdatabase(AQ_DATA_TABLE)
+            .select("*")
+            .where(dateColumn, ">=", start_date)
+            .andWhere(dateColumn, "<=", end_date)
+            .orderBy(dateColumn, "asc")
+            .stream();
+
+        await streamReadingsExport(rowStream, response, format, AQ_DATA_TABLE, rowTransforms, commentLines);
 
     } catch (err) {
         console.error("Error downloading sensor data: ", err);
+        if (response.headersSent) {
+            return response.end();
+        }
         return response.status(500).json({
             error: `Error processing your request: ${err.sqlMessage || err.message}`
         });
@@ -110,6 +248,11 @@ async function insertSensorDataFromCSV(request, response) {
         measurement_time_interval,
     } = request.params;
 
+    const on_conflict = request.query.on_conflict || "error";
+    const on_invalid = request.query.on_invalid || "reject";
+    const on_out_of_range = request.query.on_out_of_range || "reject";
+    const dry_run = request.query.dry_run === "true";
+
     if (!sensor_brand || !sensor_id) {
         return response
             .status(400)
@@ -128,6 +271,24 @@ async function insertSensorDataFromCSV(request, response) {
         });
     }
 
+    if (!CONFLICT_POLICIES.includes(on_conflict)) {
+        return response.status(400).json({
+            error: `Invalid on_conflict policy. Allowed values are: ${CONFLICT_POLICIES.join(", ")}.`
+        });
+    }
+
+    if (!INVALID_ROW_POLICIES.includes(on_invalid)) {
+        return response.status(400).json({
+            error: `Invalid on_invalid policy. Allowed values are: ${INVALID_ROW_POLICIES.join(", ")}.`
+        });
+    }
+
+    if (!OUT_OF_RANGE_POLICIES.includes(on_out_of_range)) {
+        return response.status(400).json({
+            error: `Invalid on_out_of_range policy. Allowed values are: ${OUT_OF_RANGE_POLICIES.join(", ")}.`
+        });
+    }
+
     try {
         let RDSdatabase = await RDSInstanceConnection();
 
@@ -163,41 +324,81 @@ async function insertSensorDataFromCSV(request, response) {
             });
         }
 
-        // Array of dicts to be inserted into DB Table
+        const dataSchema = await getSensorDataSchema(RDSdatabase, AQ_DATA_TABLE);
+
+        // Files may follow any schema version of the model, columns added later are left NULL
+        const schemaVersions = await getSchemaVersions(RDSdatabase, AQ_DATA_TABLE);
+        const columnMetadata = await getColumnMetadata(RDSdatabase, AQ_DATA_TABLE);
+
+        // Uploads for sensors that are not deployed are accepted but flagged
+        const lifecycleWarnings = await getIngestionWarnings(RDSdatabase, sensor_brand, sensor_id);
+
+        // Array of dicts to be inserted into DB Table, and the file line of each
         const sensorData = [];
+        const sensorDataLines = [];
+        const parsingFinished = [];
+        let headerMismatch;
+        let uploadSchemaVersion;
+
         const busboy = new Busboy({ headers: request.headers });
 
         busboy.on("file", (fieldname, file, filename) => {
             console.log(`Receiving file: ${filename}`);
-            file
-                .pipe(csv())
-                .on("data", (row) => {
-                    const incomingColumns = new Set(Object.keys(row));
-                    if (!compareSets(incomingColumns, schemaColumns)) {
-                        console.error("Incoming columns do not match schema.");
-                        busboy.emit("error", new Error("Column validation failed."));
-                        return;
-                    }
-                    if (row[dateColumn]) {
-                        row[dateColumn] = formatDateTime(row[dateColumn]); 
-                    }
-                    sensorData.push(row);
-                })
-                .on("end", () => console.log("File parsing complete."))
-                .on("error", (err) => {
-                    console.error("Error parsing CSV:", err);
-                    busboy.emit("error", err);
-                });
+            // Comment lines are removed before parsing so errors still point at the lines of the file
+            const lineNumbers = [];
+            let rowCount = 0;
+
+            parsingFinished.push(new Promise((resolve) => {
+                file
+                    .pipe(stripCommentLines(lineNumbers))
+                    .pipe(csv())
+                    .on("headers", (headers) => {
+                        uploadSchemaVersion = matchSchemaVersion(schemaVersions, headers);
+                        headerMismatch = uploadSchemaVersion ? undefined : columnMismatch(new Set(headers), schemaColumns);
+                    })
+                    .on("data", (row) => {
+                        rowCount++;
+                        if (!headerMismatch) {
+                            sensorData.push(row);
+                            sensorDataLines.push(lineNumbers[rowCount]);
+                        }
+                    })
+                    .on("end", () => {
+                        console.log("File parsing complete.");
+                        resolve();
+                    })
+                    .on("error", (err) => {
+                        console.error("Error parsing CSV:", err);
+                        busboy.emit("error", err);
+                        resolve();
+                    });
+            }));
         });
 
         busboy.on("error", (err) => {
             console.error("Busboy encountered an error:", err);
-            return response.status(400).json({ error: err.message });
+            if (!response.headersSent) {
+                return response.status(400).json({ error: err.message });
+            }
         });
 
         busboy.on("finish", async () => {
             console.log("Busboy finished processing.");
 
+            // The CSV parser can still be flushing its last rows when busboy finishes
+            await Promise.all(parsingFinished);
+
+            if (response.headersSent) {
+                return;
+            }
+
+            if (headerMismatch) {
+                console.error("Incoming columns do not match schema.");
+                return response
+                    .status(400)
+                    .json({ error: `Column validation failed: ${headerMismatch}.` });
+            }
+
             if (sensorData.length === 0) {
                 console.error("No valid data found in the CSV.");
                 return response
@@ -205,9 +406,52 @@ async function insertSensorDataFromCSV(request, response) {
                     .json({ error: "No valid data found in the CSV file." });
             }
 
+            const uploadSchema = uploadSchemaVersion ? uploadSchemaVersion.sensor_data_schema : dataSchema;
+            const { validRows, report } = validateReadings(sensorData, uploadSchema, dateColumn, sensorDataLines, columnMetadata, on_out_of_range);
+
+            // Dry runs stop here and describe what the upload would do
+            if (dry_run) {
+                try {
+                    return response.status(200).json({
+                        ...await buildIngestionPreview(RDSdatabase, AQ_DATA_TABLE, dateColumn, validRows, report, on_conflict, on_invalid),
+                        warnings: lifecycleWarnings,
+                    });
+                } catch (dbError) {
+                    console.error("Error building ingestion preview:", dbError);
+                    return response.status(500).json({ error: "Failed to compare the file with existing data." });
+                }
+            }
+
+            if (report.rows_rejected > 0 && (on_invalid === "reject" || validRows.length === 0)) {
+                return response.status(400).json({
+                    error: `${report.rows_rejected} of ${report.rows_checked} rows failed validation. Nothing was inserted. Use on_invalid=skip to insert the valid rows.`,
+                    validation: report,
+                });
+            }
+
             try {
-                await RDSdatabase(AQ_DATA_TABLE).insert(sensorData);
-                response.status(200).json({ message: "Data inserted successfully." });
+                const insertResult = await insertReadingsWithConflictPolicy(
+                    RDSdatabase, AQ_DATA_TABLE, dateColumn, validRows, on_conflict
+                );
+
+                if (insertResult.conflict) {
+                    return response.status(409).json({
+                        error: `${insertResult.conflicting_timestamps.length} rows have timestamps that already exist or repeat in the file. Nothing was inserted. Use on_conflict=skip or on_conflict=overwrite to load the remaining rows.`,
+                        conflicting_timestamps: insertResult.conflicting_timestamps,
+                    });
+                }
+
+                const { inserted, skipped, updated } = insertResult;
+
+                response.status(200).json({
+                    message: "Data inserted successfully.",
+                    inserted,
+                    skipped,
+                    updated,
+                    rejected: report.rows_rejected,
+                    validation: report,
+                    warnings: lifecycleWarnings,
+                });
             } catch (dbError) {
                 console.error("Database insertion error:", dbError);
                 response
@@ -236,7 +480,9 @@ async function fetchSensorDataReadings(request, response) {
         measurement_time_interval,
     } = request.params;
 
-    let { start_date, end_date, averaged_rows } = request.query;
+    let { start_date, end_date, averaged_rows, agg } = request.query;
+    const with_location = request.query.with_location === "true";
+    const with_events = request.query.with_events === "true";
 
     // Format start_date and end_date in this format YYYY-MM-DD HH:MM:SS
     try {
@@ -246,6 +492,24 @@ async function fetchSensorDataReadings(request, response) {
         return response.status(400).json({ error: "Could not parse input dates: " + err });
     }
 
+    const aggregateFunctions = agg ? parseAggregateFunctions(agg) : undefined;
+
+    if (agg && !aggregateFunctions) {
+        return response.status(400).json({
+            error: "Invalid agg. Allowed values are: mean, min, max, median, stddev, count and percentiles such as p5, p95 or p98."
+        });
+    }
+
+    const pagination = parsePagination(request.query, "after");
+
+    if (pagination.error) {
+        return response.status(400).json({ error: pagination.error });
+    }
+
+    if (pagination.paginated && (averaged_rows || aggregateFunctions)) {
+        return response.status(400).json({ error: "limit and cursor cannot be combined with averaged_rows or agg." });
+    }
+
     if (!sensor_brand || !sensor_id) {
         return response
             .status(400)
@@ -284,6 +548,63 @@ async function fetchSensorDataReadings(request, response) {
             });
         }
 
+        // Read columns in the requested units, converted from the units declared in their column metadata
+        const unitPlan = planUnitConversions(request.query, request.query.units ? await getColumnMetadata(RDSdatabase, AQ_DATA_TABLE) : {});
+
+        if (unitPlan.error) {
+            return response.status(400).json({ error: unitPlan.error });
+        }
+
+        const convertUnits = (rows) => unitPlan.converting ? rows.map(unitPlan.convertRow) : rows;
+
+        // Attach the coordinates and maintenance events in effect when each (possibly averaged) row was taken
+        const annotateRows = async (rows) => {
+            let annotated = rows;
+
+            if (with_location) {
+                const history = await getLocationHistory(RDSdatabase, sensor_brand, sensor_id);
+                annotated = annotated.map((row) => annotateWithLocation(row, history, dateColumn));
+            }
+
+            if (with_events) {
+                const events = await getOverlappingEvents(RDSdatabase, sensor_brand, sensor_id, start_date, end_date);
+                annotated = annotated.map((row) => annotateWithEvents(row, events, dateColumn));
+            }
+
+            return annotated;
+        };
+
+        // Page through the date range ordered by the (unique) date column
+        if (pagination.paginated) {
+            const [{ total_count }] = await RDSdatabase(AQ_DATA_TABLE)
+                .count({ total_count: "*" })
+                .where(dateColumn, ">=", start_date)
+                .andWhere(dateColumn, "<=", end_date);
+
+            if (total_count === 0) {
+                return response
+                    .status(400)
+                    .json({ error: "No data found for the specified sensor." });
+            }
+
+            const pageQuery = RDSdatabase(AQ_DATA_TABLE)
+                .select("*")
+                .where(dateColumn, ">=", start_date)
+                .andWhere(dateColumn, "<=", end_date)
+                .orderBy(dateColumn, "asc")
+                .limit(pagination.limit + 1);
+
+            if (pagination.position) {
+                pageQuery.andWhere(dateColumn, ">", pagination.position.after);
+            }
+
+            const rows = await annotateRows(convertUnits(await pageQuery));
+
+            return response.status(200).json(
+                buildPage(rows, pagination.limit, total_count, (row) => ({ after: formatDateTime(row[dateColumn]) }))
+            );
+        }
+
         // Fetch all data from the constructed sensor table
         const allData = await RDSdatabase(AQ_DATA_TABLE)
             .select("*")
@@ -297,74 +618,469 @@ async function fetchSensorDataReadings(request, response) {
                 .json({ error: "No data found for the specified sensor." });
         }
 
-        // Holds the averagedData
-        const averagedData = [];
+        // An agg option without a row count summarizes the whole date range as one row
+        if (aggregateFunctions && !averaged_rows) {
+            averaged_rows = 1;
+        }
 
-        // Check if an averaged row count was given
+        // Return JSON data array
         if (averaged_rows) {
-            // Ensure average row  count is valid
-            if (averaged_rows > allData.length) {
-                averaged_rows = allData.length;
-            }
+            // Only numeric schema columns are averaged or aggregated
+            const numericColumns = await getNumericColumns(RDSdatabase, AQ_DATA_TABLE);
 
-            const rowsPerAveragedRow = Math.floor(allData.length / averaged_rows);
-            const extraRows = allData.length % averaged_rows;
+            return response.status(200).json(await annotateRows(
+                aggregateIntoWindows(convertUnits(allData), parseInt(averaged_rows, 10), dateColumn, numericColumns, aggregateFunctions)
+            ));
+        } else {
+            return response.status(200).json(await annotateRows(convertUnits(allData)));
+        }
 
-            let currentIndex = 0;
+    } catch (err) {
+        console.error("Error fetching sensor data: ", err);
+        return response.status(500).json({ error: "Error processing your request." });
+    }
+}
 
-            // We will recalculate how many rows to average to guarantee exact count
-            for (let i = 0; i < averaged_rows; i++) {
 
-                // will change as we 
-                const rowsToAverage = rowsPerAveragedRow + (i < extraRows ? 1 : 0)
+// GET data grouped into calendar windows (as JSON)
+async function fetchAggregatedSensorDataReadings(request, response) {
+    // Extract parameters from the request
+    const {
+        sensor_brand,
+        sensor_id,
+        measurement_model,
+        measurement_type,
+        measurement_time_interval,
+    } = request.params;
 
-                if (currentIndex >= allData.length) break;
+    let { start_date, end_date, bucket } = request.query;
 
-                // Determine the start index of the next window
-                const startIndex = currentIndex;
+    // Format start_date and end_date in this format YYYY-MM-DD HH:MM:SS
+    try {
+        start_date = formatDateTime(start_date);
+        end_date = formatDateTime(end_date);
+    } catch (err) {
+        return response.status(400).json({ error: "Could not parse input dates: " + err });
+    }
 
-                // End index of window is just the size of the window 
-                const endIndex = Math.min(startIndex + rowsToAverage, allData.length);
+    if (!sensor_brand || !sensor_id) {
+        return response
+            .status(400)
+            .json({ error: "Sensor brand and sensor ID are required." });
+    }
 
-                // Average the data 
-                let averagedPoint = {}
-                let totalTime = 0;
-                for (let j = startIndex; j < endIndex; j++) {
-                    // Update the averaged point
-                    const dataPoint = allData[j];
-                    for (let key in dataPoint) {
-                        if (key !== dateColumn && key !== "id") {
-                            averagedPoint[key] = (averagedPoint[key] || 0) + dataPoint[key];
-                        } else if (key === dateColumn) {
-                            totalTime += new Date(dataPoint[key]).getTime();
-                        }
-                    }
-                }
+    if (!MEASUREMENT_TYPES.includes(measurement_type)) {
+        return response.status(400).json({
+            error: `Invalid measurement type. Allowed values are: ${MEASUREMENT_TYPES.join(", ")}.`
+        });
+    }
 
-                // Average the data in averagedPoint
-                for (let key in averagedPoint) {
-                    averagedPoint[key] = averagedPoint[key] / rowsToAverage;
-                }
+    if (!MEASUREMENT_TIME_INTERVALS.includes(measurement_time_interval)) {
+        return response.status(400).json({
+            error: `Invalid time interval. Allowed values are: ${MEASUREMENT_TIME_INTERVALS.join(", ")}.`
+        });
+    }
 
-                averagedPoint[dateColumn] = new Date(totalTime / rowsToAverage);
+    const bucketSeconds = parseBucket(bucket);
 
-                // Add the averaged data point
-                averagedData.push(averagedPoint);
+    if (!bucketSeconds) {
+        return response.status(400).json({
+            error: "Invalid bucket. Use a positive whole number followed by m, h, d or w (e.g. 15m, 1h, 1d, 1w)."
+        });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const AQ_DATA_TABLE = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+        const tableExists = await RDSdatabase.schema.hasTable(AQ_DATA_TABLE);
 
-                // Updated the next window's starting index
-                currentIndex = endIndex;
+        if (!tableExists) {
+            return response.status(400).json({
+                error: `Table '${AQ_DATA_TABLE}' does not exist. Please ensure the parameters were correctly given.`
+            });
+        }
+
+        const dateColumn = await getDateColumn(RDSdatabase, AQ_DATA_TABLE);
+
+        if (!dateColumn) {
+            return response.status(400).json({
+                error: `Table '${AQ_DATA_TABLE}' does not have any data OR is missing a datetime column.`
+            });
+        }
+
+        const numericColumns = await getNumericColumns(RDSdatabase, AQ_DATA_TABLE);
+        const { sql, bindings } = bucketExpression(dateColumn, bucketSeconds);
+
+        // One row per window holding the mean of every numeric column and the number of rows behind it
+        const bucketedData = await RDSdatabase(AQ_DATA_TABLE)
+            .select(RDSdatabase.raw(`${sql} AS bucket_start`, bindings))
+            .select(numericColumns.map((column) => RDSdatabase.raw("AVG(??) AS ??", [column, column])))
+            .count({ sample_count: "*" })
+            .where(dateColumn, ">=", start_date)
+            .andWhere(dateColumn, "<=", end_date)
+            .groupBy("bucket_start")
+            .orderBy("bucket_start", "asc");
+
+        if (!bucketedData || bucketedData.length === 0) {
+            return response
+                .status(400)
+                .json({ error: "No data found for the specified sensor." });
+        }
+
+        return response.status(200).json(bucketedData.map(normalizeAggregateRow));
+
+    } catch (err) {
+        console.error("Error fetching aggregated sensor data: ", err);
+        return response.status(500).json({ error: "Error processing your request." });
+    }
+}
+
+
+// GET the readings of every member of a sensor group merged into one row per timestamp (as JSON)
+async function fetchGroupDataReadings(request, response) {
+    const {
+        group_name,
+        measurement_model,
+        measurement_type,
+        measurement_time_interval,
+    } = request.params;
+
+    let { start_date, end_date, bucket } = request.query;
+
+    // Format start_date and end_date in this format YYYY-MM-DD HH:MM:SS
+    try {
+        start_date = formatDateTime(start_date);
+        end_date = formatDateTime(end_date);
+    } catch (err) {
+        return response.status(400).json({ error: "Could not parse input dates: " + err });
+    }
+
+    if (!MEASUREMENT_TYPES.includes(measurement_type)) {
+        return response.status(400).json({
+            error: `Invalid measurement type. Allowed values are: ${MEASUREMENT_TYPES.join(", ")}.`
+        });
+    }
+
+    if (!MEASUREMENT_TIME_INTERVALS.includes(measurement_time_interval)) {
+        return response.status(400).json({
+            error: `Invalid time interval. Allowed values are: ${MEASUREMENT_TIME_INTERVALS.join(", ")}.`
+        });
+    }
+
+    // Raw timestamps rarely line up across sensors, a bucket averages each member onto shared windows first
+    const bucketSeconds = bucket === undefined ? undefined : parseBucket(bucket);
+
+    if (bucket !== undefined && !bucketSeconds) {
+        return response.status(400).json({
+            error: "Invalid bucket. Use a positive whole number followed by m, h, d or w (e.g. 15m, 1h, 1d, 1w)."
+        });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const group = await RDSdatabase(SENSOR_GROUPS_TABLE)
+            .where({ group_name })
+            .first();
+
+        if (!group) {
+            return response.status(404).json({ error: `Sensor group '${group_name}' not found.` });
+        }
+
+        const members = await getGroupMembers(RDSdatabase, group.id);
+
+        if (members.length === 0) {
+            return response.status(400).json({ error: `Sensor group '${group_name}' has no members.` });
+        }
+
+        // Members without a matching measurement table are reported and left out of the merge
+        const sensors = [];
+        const memberReadings = [];
+
+        for (const { sensor_brand, sensor_id } of members) {
+            const AQ_DATA_TABLE = `${sensor_brand}_${sensor_id}_${measurement_model}_${measurement_type}_${measurement_time_interval}`;
+            const tableExists = await RDSdatabase.schema.hasTable(AQ_DATA_TABLE);
+            const dateColumn = tableExists ? await getDateColumn(RDSdatabase, AQ_DATA_TABLE) : undefined;
+
+            if (!dateColumn) {
+                sensors.push({
+                    sensor_brand,
+                    sensor_id,
+                    sensor_table_name: AQ_DATA_TABLE,
+                    included: false,
+                    reason: tableExists ? "Table is missing a datetime column." : "Table does not exist.",
+                });
+                continue;
             }
-        } 
 
-        // Return JSON data array
-        if (averaged_rows) {
-            return response.status(200).json(averagedData);
-        } else {
-            return response.status(200).json(allData);
+            const numericColumns = await getNumericColumns(RDSdatabase, AQ_DATA_TABLE);
+            let rows;
+
+            if (bucketSeconds) {
+                const { sql, bindings } = bucketExpression(dateColumn, bucketSeconds);
+
+                rows = (await RDSdatabase(AQ_DATA_TABLE)
+                    .select(RDSdatabase.raw(`${sql} AS bucket_start`, bindings))
+                    .select(numericColumns.map((column) => RDSdatabase.raw("AVG(??) AS ??", [column, column])))
+                    .where(dateColumn, ">=", start_date)
+                    .andWhere(dateColumn, "<=", end_date)
+                    .groupBy("bucket_start")).map(normalizeAggregateRow);
+            } else {
+                rows = await RDSdatabase(AQ_DATA_TABLE)
+                    .select(dateColumn, ...numericColumns)
+                    .where(dateColumn, ">=", start_date)
+                    .andWhere(dateColumn, "<=", end_date);
+            }
+
+            sensors.push({ sensor_brand, sensor_id, sensor_table_name: AQ_DATA_TABLE, included: true, row_count: rows.length });
+            memberReadings.push({
+                sensor_brand,
+                sensor_id,
+                dateColumn: bucketSeconds ? "bucket_start" : dateColumn,
+                columns: numericColumns,
+                rows,
+            });
         }
 
+        const data = mergeReadingsOnTimestamp(memberReadings);
+
+        if (data.length === 0) {
+            return response.status(400).json({ error: "No data found for the members of this group.", sensors });
+        }
+
+        return response.status(200).json({ group_name, sensors, data });
+
     } catch (err) {
-        console.error("Error fetching sensor data: ", err);
+        console.error("Error fetching sensor group data: ", err);
+        return response.status(500).json({ error: "Error processing your request." });
+    }
+}
+
+
+// GET EPA AQI sub-indices, overall AQI and PM NowCast per hour (as JSON)
+async function fetchSensorAirQualityIndex(request, response) {
+    // Extract parameters from the request
+    const {
+        sensor_brand,
+        sensor_id,
+        measurement_model,
+        measurement_type,
+        measurement_time_interval,
+    } = request.params;
+
+    let { start_date, end_date } = request.query;
+
+    // Format start_date and end_date in this format YYYY-MM-DD HH:MM:SS
+    try {
+        start_date = formatDateTime(start_date);
+        end_date = formatDateTime(end_date);
+    } catch (err) {
+        return response.status(400).json({ error: "Could not parse input dates: " + err });
+    }
+
+    if (!sensor_brand || !sensor_id) {
+        return response
+            .status(400)
+            .json({ error: "Sensor brand and sensor ID are required." });
+    }
+
+    if (!MEASUREMENT_TYPES.includes(measurement_type)) {
+        return response.status(400).json({
+            error: `Invalid measurement type. Allowed values are: ${MEASUREMENT_TYPES.join(", ")}.`
+        });
+    }
+
+    if (!MEASUREMENT_TIME_INTERVALS.includes(measurement_time_interval)) {
+        return response.status(400).json({
+            error: `Invalid time interval. Allowed values are: ${MEASUREMENT_TIME_INTERVALS.join(", ")}.`
+        });
+    }
+
+    if (measurement_time_interval === "DAILY") {
+        return response.status(400).json({
+            error: "AQI is computed from hourly averages. Use an HOURLY or OTHER measurement table."
+        });
+    }
+
+    // Map each requested pollutant to the schema column holding it (e.g. ?pm25=PM2_5&o3=ozone)
+    const pollutantColumns = {};
+
+    for (const pollutant of Object.keys(AQI_POLLUTANTS)) {
+        if (request.query[pollutant]) {
+            pollutantColumns[pollutant] = request.query[pollutant];
+        }
+    }
+
+    if (Object.keys(pollutantColumns).length === 0) {
+        return response.status(400).json({
+            error: `Map at least one pollutant to a column. Allowed pollutants are: ${Object.keys(AQI_POLLUTANTS).join(", ")}.`
+        });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const AQ_DATA_TABLE = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+        const tableExists = await RDSdatabase.schema.hasTable(AQ_DATA_TABLE);
+
+        if (!tableExists) {
+            return response.status(400).json({
+                error: `Table '${AQ_DATA_TABLE}' does not exist. Please ensure the parameters were correctly given.`
+            });
+        }
+
+        const dateColumn = await getDateColumn(RDSdatabase, AQ_DATA_TABLE);
+
+        if (!dateColumn) {
+            return response.status(400).json({
+                error: `Table '${AQ_DATA_TABLE}' does not have any data OR is missing a datetime column.`
+            });
+        }
+
+        const numericColumns = await getNumericColumns(RDSdatabase, AQ_DATA_TABLE);
+        const unknownColumns = Object.values(pollutantColumns).filter((column) => !numericColumns.includes(column));
+
+        if (unknownColumns.length > 0) {
+            return response.status(400).json({
+                error: `Columns not found in the model's numeric schema: ${unknownColumns.join(", ")}.`
+            });
+        }
+
+        // Look back 24 hours so the first requested hour has complete averaging windows
+        const lookbackDate = formatDateTime(new Date(new Date(start_date).getTime() - 24 * 60 * 60 * 1000));
+        const { sql, bindings } = bucketExpression(dateColumn, 60 * 60);
+
+        const hourlyData = await RDSdatabase(AQ_DATA_TABLE)
+            .select(RDSdatabase.raw(`${sql} AS bucket_start`, bindings))
+            .select(Object.values(pollutantColumns).map((column) => RDSdatabase.raw("AVG(??) AS ??", [column, column])))
+            .where(dateColumn, ">=", lookbackDate)
+            .andWhere(dateColumn, "<=", end_date)
+            .groupBy("bucket_start")
+            .orderBy("bucket_start", "asc");
+
+        const aqiData = computeHourlyAQI(
+            hourlyData.map(normalizeAggregateRow),
+            "bucket_start",
+            pollutantColumns,
+            new Date(start_date).getTime(),
+            new Date(end_date).getTime()
+        );
+
+        if (aqiData.length === 0) {
+            return response
+                .status(400)
+                .json({ error: "No data found for the specified sensor." });
+        }
+
+        return response.status(200).json(aqiData);
+
+    } catch (err) {
+        console.error("Error computing AQI for sensor data: ", err);
+        return response.status(500).json({ error: "Error processing your request." });
+    }
+}
+
+
+// GET a completeness and gap report for a date range (as JSON)
+async function fetchSensorDataCompleteness(request, response) {
+    // Extract parameters from the request
+    const {
+        sensor_brand,
+        sensor_id,
+        measurement_model,
+        measurement_type,
+        measurement_time_interval,
+    } = request.params;
+
+    let { start_date, end_date } = request.query;
+
+    // Format start_date and end_date in this format YYYY-MM-DD HH:MM:SS
+    try {
+        start_date = formatDateTime(start_date);
+        end_date = formatDateTime(end_date);
+    } catch (err) {
+        return response.status(400).json({ error: "Could not parse input dates: " + err });
+    }
+
+    // A reversed range has no expected readings, so completeness would be meaningless
+    if (start_date > end_date) {
+        return response.status(400).json({ error: "start_date must not be after end_date." });
+    }
+
+    if (!sensor_brand || !sensor_id) {
+        return response
+            .status(400)
+            .json({ error: "Sensor brand and sensor ID are required." });
+    }
+
+    if (!MEASUREMENT_TYPES.includes(measurement_type)) {
+        return response.status(400).json({
+            error: `Invalid measurement type. Allowed values are: ${MEASUREMENT_TYPES.join(", ")}.`
+        });
+    }
+
+    if (!MEASUREMENT_TIME_INTERVALS.includes(measurement_time_interval)) {
+        return response.status(400).json({
+            error: `Invalid time interval. Allowed values are: ${MEASUREMENT_TIME_INTERVALS.join(", ")}.`
+        });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const AQ_DATA_TABLE = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+        const tableExists = await RDSdatabase.schema.hasTable(AQ_DATA_TABLE);
+
+        if (!tableExists) {
+            return response.status(400).json({
+                error: `Table '${AQ_DATA_TABLE}' does not exist. Please ensure the parameters were correctly given.`
+            });
+        }
+
+        const dateColumn = await getDateColumn(RDSdatabase, AQ_DATA_TABLE);
+
+        if (!dateColumn) {
+            return response.status(400).json({
+                error: `Table '${AQ_DATA_TABLE}' does not have any data OR is missing a datetime column.`
+            });
+        }
+
+        // Only the date column is needed to locate gaps
+        const readings = await RDSdatabase(AQ_DATA_TABLE)
+            .select(dateColumn)
+            .where(dateColumn, ">=", start_date)
+            .andWhere(dateColumn, "<=", end_date)
+            .orderBy(dateColumn, "asc");
+
+        const timestamps = readings.map((reading) => new Date(reading[dateColumn]).getTime());
+
+        // OTHER tables have no fixed cadence, so it is inferred from the readings themselves
+        const intervalSeconds = MEASUREMENT_INTERVAL_SECONDS[measurement_time_interval] || inferSamplingInterval(timestamps);
+
+        if (!intervalSeconds) {
+            return response.status(400).json({
+                error: "At least two readings are needed in the date range to infer the sampling interval."
+            });
+        }
+
+        const report = buildCompletenessReport(
+            timestamps,
+            new Date(start_date).getTime(),
+            new Date(end_date).getTime(),
+            intervalSeconds
+        );
+
+        return response.status(200).json({
+            sensor_table_name: AQ_DATA_TABLE,
+            start_date,
+            end_date,
+            interval_inferred: !MEASUREMENT_INTERVAL_SECONDS[measurement_time_interval],
+            ...report,
+        });
+
+    } catch (err) {
+        console.error("Error building completeness report: ", err);
         return response.status(500).json({ error: "Error processing your request." });
     }
 }
@@ -382,6 +1098,10 @@ async function insertSensorDataReadings(request, response) {
     } = request.params;
 
     const requestPayload = await request.body;
+    const on_conflict = request.query.on_conflict || "error";
+    const on_invalid = request.query.on_invalid || "reject";
+    const on_out_of_range = request.query.on_out_of_range || "reject";
+    const dry_run = request.query.dry_run === "true";
 
     // Validate required parameters
     if (!sensor_brand || !sensor_id) {
@@ -402,6 +1122,28 @@ async function insertSensorDataReadings(request, response) {
         });
     }
 
+    if (!CONFLICT_POLICIES.includes(on_conflict)) {
+        return response.status(400).json({
+            error: `Invalid on_conflict policy. Allowed values are: ${CONFLICT_POLICIES.join(", ")}.`
+        });
+    }
+
+    if (!INVALID_ROW_POLICIES.includes(on_invalid)) {
+        return response.status(400).json({
+            error: `Invalid on_invalid policy. Allowed values are: ${INVALID_ROW_POLICIES.join(", ")}.`
+        });
+    }
+
+    if (!OUT_OF_RANGE_POLICIES.includes(on_out_of_range)) {
+        return response.status(400).json({
+            error: `Invalid on_out_of_range policy. Allowed values are: ${OUT_OF_RANGE_POLICIES.join(", ")}.`
+        });
+    }
+
+    if (!Array.isArray(requestPayload) || requestPayload.length === 0) {
+        return response.status(400).json({ error: "Request body must be a non-empty JSON array of readings." });
+    }
+
     try {
         let RDSdatabase = await RDSInstanceConnection();
 
@@ -441,32 +1183,64 @@ async function insertSensorDataReadings(request, response) {
         // Get the date column
         const dateColumn = await getDateColumn(RDSdatabase, AQ_DATA_TABLE);
 
-        if (!compareSets(incomingColumns, schemaColumns)) {
+        // Payloads may follow any schema version of the model, columns added later are left NULL
+        const uploadSchemaVersion = matchSchemaVersion(await getSchemaVersions(RDSdatabase, AQ_DATA_TABLE), incomingColumns);
+        const mismatch = uploadSchemaVersion ? undefined : columnMismatch(incomingColumns, schemaColumns);
+
+        if (mismatch) {
             return response.status(400).json({
-                error: "Error processing your data. Column names or data types do not match table schema."
+                error: `Error processing your data. Column names or data types do not match table schema (${mismatch}).`
             });
         }
 
-        // Ensure entire Date column from payload has proper formatting
-        for (let i = 0; i < requestPayload.length; i++) {
-            const row = requestPayload[i];
-            if (row[dateColumn]) {
-                (requestPayload[i])[dateColumn] = formatDateTime(row[dateColumn]);
-            }
+        // Check every row against the model's column types and normalize the date column
+        const dataSchema = uploadSchemaVersion
+            ? uploadSchemaVersion.sensor_data_schema
+            : await getSensorDataSchema(RDSdatabase, AQ_DATA_TABLE);
+        const columnMetadata = await getColumnMetadata(RDSdatabase, AQ_DATA_TABLE);
+        const { validRows, report } = validateReadings(requestPayload, dataSchema, dateColumn, 1, columnMetadata, on_out_of_range);
+
+        // Uploads for sensors that are not deployed are accepted but flagged
+        const lifecycleWarnings = await getIngestionWarnings(RDSdatabase, sensor_brand, sensor_id);
+
+        // Dry runs stop here and describe what the upload would do
+        if (dry_run) {
+            return response.status(200).json({
+                ...await buildIngestionPreview(RDSdatabase, AQ_DATA_TABLE, dateColumn, validRows, report, on_conflict, on_invalid),
+                warnings: lifecycleWarnings,
+            });
         }
 
-        // Insert data to Table
-        const insertResult = await RDSdatabase(AQ_DATA_TABLE).insert(requestPayload);
-
-        if (insertResult > 0) {
-            return response.status(201).json({
-                message: `Successfully inserted ${requestPayload.length} rows`
+        if (report.rows_rejected > 0 && (on_invalid === "reject" || validRows.length === 0)) {
+            return response.status(400).json({
+                error: `${report.rows_rejected} of ${report.rows_checked} rows failed validation. Nothing was inserted. Use on_invalid=skip to insert the valid rows.`,
+                validation: report,
             });
-        } else {
-            return response.status(500).json({
-                error: "Failed to insert air quality data into database."
+        }
+
+        // Insert data to Table following the on_conflict policy
+        const insertResult = await insertReadingsWithConflictPolicy(
+            RDSdatabase, AQ_DATA_TABLE, dateColumn, validRows, on_conflict
+        );
+
+        if (insertResult.conflict) {
+            return response.status(409).json({
+                error: `${insertResult.conflicting_timestamps.length} rows have timestamps that already exist or repeat in the payload. Nothing was inserted. Use on_conflict=skip or on_conflict=overwrite to load the remaining rows.`,
+                conflicting_timestamps: insertResult.conflicting_timestamps,
             });
         }
+
+        const { inserted, skipped, updated } = insertResult;
+
+        return response.status(201).json({
+            message: `Successfully inserted ${inserted} rows`,
+            inserted,
+            skipped,
+            updated,
+            rejected: report.rows_rejected,
+            validation: report,
+            warnings: lifecycleWarnings,
+        });
     } catch (err) {
         console.error("Error processing sensor data: ", err);
         return response.status(500).json({ error: "Error processing your request." });
@@ -524,19 +1298,16 @@ async function getLastDataReading(request, response) {
             });
         }
 
-        // Fetch all data from the constructed sensor table
-        const last_row = await RDSdatabase(AQ_DATA_TABLE)
-            .select("*")
-            .orderBy(dateColumn, "desc")
-            .limit(1);
+        // Fetch the most recent row from the constructed sensor table
+        const last_row = await getLastReading(RDSdatabase, AQ_DATA_TABLE, dateColumn);
 
-        if (!last_row || last_row.length === 0) {
+        if (!last_row) {
             return response
                 .status(400)
                 .json({ error: "No data found for the specified sensor." });
         }
 
-        return response.status(200).json(last_row);
+        return response.status(200).json([last_row]);
 
     } catch (err) {
         console.error("Error fetching last row of sensor data readings: ", err);
@@ -549,6 +1320,10 @@ module.exports = {
     exportSensorDataToCSV,
     insertSensorDataFromCSV,
     fetchSensorDataReadings,
+    fetchAggregatedSensorDataReadings,
+    fetchGroupDataReadings,
+    fetchSensorAirQualityIndex,
+    fetchSensorDataCompleteness,
     insertSensorDataReadings,
     getLastDataReading,
 };
@@ -0,0 +1,157 @@
+const { RDSInstanceConnection } = require("../Database/RDSInstanceConnection");
+const { formatDateTime } = require("../Utility/SensorSchemaUtility.js");
+const {
+    SENSOR_EVENTS_TABLE,
+    EVENT_TYPES,
+    getOverlappingEvents,
+} = require("../Utility/SensorEventsUtility.js");
+const Joi = require("joi");
+
+
+// GLOBAL VARS, ENUMS, & SCHEMAS
+const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
+
+// Events without an end are instantaneous (ended_at = started_at)
+const sensorEventSchema = Joi.object({
+    event_type: Joi.string().valid(...EVENT_TYPES).required(),
+    started_at: Joi.date().required(),
+    ended_at: Joi.date().min(Joi.ref("started_at")),
+    notes: Joi.string().allow("").max(5000),
+});
+
+
+// Record a maintenance or calibration event for a sensor
+async function addSensorEvent(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    const { error, value } = sensorEventSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    const { event_type, started_at, ended_at, notes } = value;
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const event = {
+            sensor_brand,
+            sensor_id,
+            event_type,
+            started_at: formatDateTime(started_at),
+            ended_at: formatDateTime(ended_at || started_at),
+            notes: notes || null,
+            created_at: formatDateTime(new Date()),
+        };
+
+        const [id] = await RDSdatabase(SENSOR_EVENTS_TABLE).insert(event);
+
+        return response.status(201).json({ message: "Sensor event recorded.", event: { id, ...event } });
+
+    } catch (err) {
+        console.error('Error recording sensor event:', err);
+        return response.status(500).json({ error: `An error occurred while recording the sensor event: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// List a sensor's events, optionally only those overlapping a date range or of one type
+async function getSensorEvents(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+    let { start_date, end_date, event_type } = request.query;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    if (event_type !== undefined && !EVENT_TYPES.includes(event_type)) {
+        return response.status(400).json({ error: `Invalid event_type. Allowed values are: ${EVENT_TYPES.join(", ")}.` });
+    }
+
+    // Open-ended ranges cover everything before or after the given date
+    try {
+        start_date = formatDateTime(start_date || "1970-01-01 00:00:00");
+        end_date = formatDateTime(end_date || "9999-12-31 23:59:59");
+    } catch (err) {
+        return response.status(400).json({ error: "Could not parse input dates: " + err });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        let events = await getOverlappingEvents(RDSdatabase, sensor_brand, sensor_id, start_date, end_date);
+
+        if (event_type) {
+            events = events.filter((event) => event.event_type === event_type);
+        }
+
+        return response.status(200).json({
+            data: events,
+            message: events.length ? "Successfully returned the sensor's events." : "No events recorded for this sensor in the given range."
+        });
+
+    } catch (err) {
+        console.error('Error fetching sensor events:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the sensor events: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Remove an event recorded by mistake
+async function deleteSensorEvent(request, response) {
+    const { sensor_brand, sensor_id, event_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    if (!/^\d+$/.test(event_id)) {
+        return response.status(400).json({ error: 'event_id must be a positive integer.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const deletedRows = await RDSdatabase(SENSOR_EVENTS_TABLE)
+            .where({ id: Number(event_id), sensor_brand, sensor_id })
+            .del();
+
+        if (deletedRows === 0) {
+            return response.status(404).json({ error: 'Event not found for this sensor.' });
+        }
+
+        return response.status(200).json({ message: 'Sensor event deleted.' });
+
+    } catch (err) {
+        console.error('Error deleting sensor event:', err);
+        return response.status(500).json({ error: `An error occurred while deleting the sensor event: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+module.exports = {
+    addSensorEvent,
+    getSensorEvents,
+    deleteSensorEvent,
+};
@@ -0,0 +1,274 @@
+const { RDSInstanceConnection } = require("../Database/RDSInstanceConnection");
+const { formatDateTime } = require("../Utility/SensorSchemaUtility.js");
+const {
+    SENSOR_GROUPS_TABLE,
+    SENSOR_GROUP_MEMBERS_TABLE,
+    GROUP_NAME_PATTERN,
+    getGroupMembers,
+} = require("../Utility/SensorGroupUtility.js");
+const Joi = require("joi");
+
+
+// GLOBAL VARS, ENUMS, & SCHEMAS
+const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
+
+const groupMemberSchema = Joi.object({
+    sensor_brand: Joi.string().required(),
+    sensor_id: Joi.string().required(),
+});
+
+const sensorGroupSchema = Joi.object({
+    group_name: Joi.string().pattern(GROUP_NAME_PATTERN).required()
+        .messages({ "string.pattern.base": "group_name may only contain letters, digits, '_' and '-' (up to 100 characters)." }),
+    description: Joi.string().allow("").max(1000),
+    sensors: Joi.array().items(groupMemberSchema).default([]),
+});
+
+const groupMembersSchema = Joi.object({
+    sensors: Joi.array().items(groupMemberSchema).min(1).required(),
+});
+
+
+// Sensors of a member list that are not in the SENSORS table
+async function findUnregisteredSensors(database, sensors) {
+    if (sensors.length === 0) {
+        return [];
+    }
+
+    const registered = await database(SENSOR_TABLE)
+        .select("sensor_brand", "sensor_id")
+        .whereIn(["sensor_brand", "sensor_id"], sensors.map((sensor) => [sensor.sensor_brand, sensor.sensor_id]));
+
+    const registeredKeys = new Set(registered.map((sensor) => `${sensor.sensor_brand}/${sensor.sensor_id}`));
+
+    return sensors.filter((sensor) => !registeredKeys.has(`${sensor.sensor_brand}/${sensor.sensor_id}`));
+}
+
+
+// Add sensors to a group, ignoring ones that are already members
+async function insertGroupMembers(database, group_id, sensors) {
+    if (sensors.length === 0) {
+        return;
+    }
+
+    const added_at = formatDateTime(new Date());
+
+    await database(SENSOR_GROUP_MEMBERS_TABLE)
+        .insert(sensors.map(({ sensor_brand, sensor_id }) => ({ group_id, sensor_brand, sensor_id, added_at })))
+        .onConflict(["group_id", "sensor_brand", "sensor_id"])
+        .ignore();
+}
+
+
+// List every group and how many sensors it holds
+async function getAllSensorGroups(request, response) {
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const groups = await RDSdatabase(SENSOR_GROUPS_TABLE)
+            .select(`${SENSOR_GROUPS_TABLE}.group_name`, `${SENSOR_GROUPS_TABLE}.description`, `${SENSOR_GROUPS_TABLE}.created_at`)
+            .count({ member_count: `${SENSOR_GROUP_MEMBERS_TABLE}.id` })
+            .leftJoin(SENSOR_GROUP_MEMBERS_TABLE, `${SENSOR_GROUP_MEMBERS_TABLE}.group_id`, `${SENSOR_GROUPS_TABLE}.id`)
+            .groupBy(`${SENSOR_GROUPS_TABLE}.id`)
+            .orderBy(`${SENSOR_GROUPS_TABLE}.group_name`, "asc");
+
+        return response.status(200).json({
+            data: groups,
+            message: groups.length ? "Successfully returned all sensor groups." : "No sensor groups have been created at this moment."
+        });
+
+    } catch (err) {
+        console.error('Error fetching sensor groups:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the sensor groups: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Create a named group, optionally with its first members
+async function createSensorGroup(request, response) {
+    const { error, value } = sensorGroupSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    const { group_name, description, sensors } = value;
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const groupExists = await RDSdatabase(SENSOR_GROUPS_TABLE)
+            .where({ group_name })
+            .first();
+
+        if (groupExists) {
+            return response.status(400).json({ error: `A sensor group named '${group_name}' already exists.` });
+        }
+
+        const unregistered = await findUnregisteredSensors(RDSdatabase, sensors);
+
+        if (unregistered.length > 0) {
+            return response.status(400).json({ error: 'Some sensors are not registered.', sensors: unregistered });
+        }
+
+        await RDSdatabase.transaction(async (trx) => {
+            const [group_id] = await trx(SENSOR_GROUPS_TABLE).insert({
+                group_name,
+                description: description || null,
+                created_at: formatDateTime(new Date()),
+            });
+
+            await insertGroupMembers(trx, group_id, sensors);
+        });
+
+        return response.status(201).json({ message: `Sensor group '${group_name}' created.` });
+
+    } catch (err) {
+        console.error('Error creating sensor group:', err);
+        if (err.code === 'ER_DUP_ENTRY') {
+            return response.status(400).json({ error: `A sensor group named '${group_name}' already exists.` });
+        }
+        return response.status(500).json({ error: `An error occurred while creating the sensor group: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Get a group and its members
+async function getSensorGroup(request, response) {
+    const { group_name } = request.params;
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const group = await RDSdatabase(SENSOR_GROUPS_TABLE)
+            .where({ group_name })
+            .first();
+
+        if (!group) {
+            return response.status(404).json({ error: `Sensor group '${group_name}' not found.` });
+        }
+
+        return response.status(200).json({
+            group_name: group.group_name,
+            description: group.description,
+            created_at: group.created_at,
+            members: await getGroupMembers(RDSdatabase, group.id),
+        });
+
+    } catch (err) {
+        console.error('Error fetching sensor group:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the sensor group: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Delete a group. The sensors themselves are not touched
+async function deleteSensorGroup(request, response) {
+    const { group_name } = request.params;
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const group = await RDSdatabase(SENSOR_GROUPS_TABLE)
+            .where({ group_name })
+            .first();
+
+        if (!group) {
+            return response.status(404).json({ error: `Sensor group '${group_name}' not found.` });
+        }
+
+        await RDSdatabase.transaction(async (trx) => {
+            await trx(SENSOR_GROUP_MEMBERS_TABLE).where({ group_id: group.id }).del();
+            await trx(SENSOR_GROUPS_TABLE).where({ id: group.id }).del();
+        });
+
+        return response.status(200).json({ message: `Sensor group '${group_name}' deleted.` });
+
+    } catch (err) {
+        console.error('Error deleting sensor group:', err);
+        return response.status(500).json({ error: `An error occurred while deleting the sensor group: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Add sensors to a group. Sensors that are already members are left as they are
+async function addSensorGroupMembers(request, response) {
+    const { group_name } = request.params;
+
+    const { error, value } = groupMembersSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const group = await RDSdatabase(SENSOR_GROUPS_TABLE)
+            .where({ group_name })
+            .first();
+
+        if (!group) {
+            return response.status(404).json({ error: `Sensor group '${group_name}' not found.` });
+        }
+
+        const unregistered = await findUnregisteredSensors(RDSdatabase, value.sensors);
+
+        if (unregistered.length > 0) {
+            return response.status(400).json({ error: 'Some sensors are not registered.', sensors: unregistered });
+        }
+
+        await insertGroupMembers(RDSdatabase, group.id, value.sensors);
+
+        return response.status(200).json({
+            message: 'Sensor group members saved.',
+            members: await getGroupMembers(RDSdatabase, group.id),
+        });
+
+    } catch (err) {
+        console.error('Error adding sensor group members:', err);
+        return response.status(500).json({ error: `An error occurred while adding the sensor group members: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Remove one sensor from a group
+async function removeSensorGroupMember(request, response) {
+    const { group_name, sensor_brand, sensor_id } = request.params;
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const group = await RDSdatabase(SENSOR_GROUPS_TABLE)
+            .where({ group_name })
+            .first();
+
+        if (!group) {
+            return response.status(404).json({ error: `Sensor group '${group_name}' not found.` });
+        }
+
+        const deletedRows = await RDSdatabase(SENSOR_GROUP_MEMBERS_TABLE)
+            .where({ group_id: group.id, sensor_brand, sensor_id })
+            .del();
+
+        if (deletedRows === 0) {
+            return response.status(404).json({ error: `Sensor '${sensor_brand}/${sensor_id}' is not a member of '${group_name}'.` });
+        }
+
+        return response.status(200).json({ message: `Sensor '${sensor_brand}/${sensor_id}' removed from '${group_name}'.` });
+
+    } catch (err) {
+        console.error('Error removing sensor group member:', err);
+        return response.status(500).json({ error: `An error occurred while removing the sensor group member: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+module.exports = {
+    getAllSensorGroups,
+    createSensorGroup,
+    getSensorGroup,
+    deleteSensorGroup,
+    addSensorGroupMembers,
+    removeSensorGroupMember,
+};
@@ -1,6 +1,36 @@
-const { createSensorMeasurementTable, createPayload } = require("../Utility/SensorSchemaUtility.js")
+const {
+    MEASUREMENT_TYPES,
+    MEASUREMENT_TIME_INTERVALS,
+    createSensorMeasurementTable,
+    createPayload,
+    getSensorDataSchema,
+} = require("../Utility/SensorSchemaUtility.js")
 const { RDSInstanceConnection } = require("../Database/RDSInstanceConnection");
-const { Parser } = require("json2csv");
+const { parsePagination, buildPage } = require("../Utility/PaginationUtility.js");
+const { EXPORT_FORMATS, streamReadingsExport } = require("../Utility/ReadingsExportUtility.js");
+const {
+    describeMeasurementTables,
+    createConfirmationToken,
+    checkConfirmationToken,
+    streamArchive,
+    finishArchive,
+    dropMeasurementTables,
+} = require("../Utility/SensorTeardownUtility.js");
+const {
+    SENSOR_MODEL_SCHEMA_VERSIONS_TABLE,
+    ADDABLE_COLUMN_TYPES,
+    COLUMN_NAME_PATTERN,
+    getSchemaVersions,
+    addSchemaColumns,
+} = require("../Utility/SchemaEvolutionUtility.js");
+const {
+    getColumnMetadata,
+    columnMetadataErrors,
+    metadataCommentLines,
+    createPrecisionRounder,
+} = require("../Utility/ColumnMetadataUtility.js");
+const { lineageColumns, checkLineageSource, buildLineageGraph } = require("../Utility/ModelLineageUtility.js");
+const { CALIBRATION_RUNS_TABLE } = require("../Utility/CalibrationUtility.js");
 const Joi = require("joi");
 
 
@@ -8,8 +38,24 @@ const Joi = require("joi");
 const AQ_DATABASE = process.env.RDS_DB_NAME || "Air_Quality";
 const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
 const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
-const MEASUREMENT_TYPES = ["RAW", "CORRECTED"] 
-const MEASUREMENT_TIME_INTERVALS = ["HOURLY", "DAILY", "OTHER"];
+
+// { column: { unit, parameter_code, description, min_value, max_value, precision } }
+const columnMetadataSchema = Joi.object().pattern(Joi.string(), Joi.object({
+    unit: Joi.string().max(50),
+    parameter_code: Joi.string().max(50),
+    description: Joi.string().allow("").max(1000),
+    min_value: Joi.number(),
+    max_value: Joi.number(),
+    precision: Joi.number().integer().min(0).max(10),
+}).min(1));
+
+// Where a CORRECTED table came from: its source table and the correction model version and coefficients used
+const lineageSchema = Joi.object({
+    source_table_name: Joi.string().max(255).required(),
+    model_version: Joi.string().max(100),
+    coefficients: Joi.object(),
+    produced_at: Joi.date().iso(),
+});
 
 const sensorMeasurementSchema = Joi.object({
     sensor_id: Joi.string().required(),
@@ -18,13 +64,58 @@ const sensorMeasurementSchema = Joi.object({
     measurement_model: Joi.string(),
     measurement_type: Joi.string().required().valid(...MEASUREMENT_TYPES),
     measurement_time_interval: Joi.string().required().valid(...MEASUREMENT_TIME_INTERVALS),
+    column_metadata: columnMetadataSchema,
+    lineage: lineageSchema,
+});
+
+const columnMetadataUpdateSchema = Joi.object({
+    column_metadata: columnMetadataSchema.min(1).required(),
+});
+
+// { column: type } pairs for the nullable columns to add
+const schemaChangeSchema = Joi.object({
+    add_columns: Joi.object()
+        .pattern(COLUMN_NAME_PATTERN, Joi.string().valid(...ADDABLE_COLUMN_TYPES).required())
+        .min(1)
+        .required()
+        .messages({ "object.unknown": "Column names must start with a letter or '_' and only contain letters, digits and '_' (up to 64 characters)." }),
+    base_version: Joi.number().integer().min(1),
+    note: Joi.string().allow("").max(1000),
 });
 
 
 // Get all Sensor Models
 async function getAllSensorModels(request, response) {
+    const pagination = parsePagination(request.query, "after_id");
+
+    if (pagination.error) {
+        return response.status(400).json({ error: pagination.error });
+    }
+
     try {
         let RDSdatabase = await RDSInstanceConnection();
+
+        // Page through the registry ordered by primary key
+        if (pagination.paginated) {
+            const [{ total_count }] = await RDSdatabase(SENSOR_MODELS_TABLE).count({ total_count: "*" });
+
+            const pageQuery = RDSdatabase(SENSOR_MODELS_TABLE)
+                .select("*")
+                .orderBy("id", "asc")
+                .limit(pagination.limit + 1);
+
+            if (pagination.position) {
+                pageQuery.where("id", ">", pagination.position.after_id);
+            }
+
+            const page = buildPage(await pageQuery, pagination.limit, total_count, (model) => ({ after_id: model.id }));
+
+            return response.status(200).json({
+                ...page,
+                message: total_count ? "Successfully returned a page of Sensor Models." : "No Sensor Models have been registered at this moment."
+            });
+        }
+
         const all_sensor_models = await RDSdatabase(SENSOR_MODELS_TABLE).select("*")
         return response.status(200).json({
             data: all_sensor_models,
@@ -61,23 +152,43 @@ async function addSensorModel(request, response) {
             measurement_model,
             measurement_type,
             measurement_time_interval,
+            column_metadata,
+            lineage,
         } = value;
 
+        const metadataErrors = column_metadata ? columnMetadataErrors(column_metadata, sensor_data_schema) : [];
+
+        if (metadataErrors.length > 0) {
+            return response.status(400).json({ error: "column_metadata does not match the schema: " + metadataErrors.join(" ") });
+        }
+
         // For http response
         sncr_id = sensor_id;
         sncr_brand = sensor_brand;
 
         const sensor_table_name = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
 
+        if (lineage && measurement_type !== "CORRECTED") {
+            return response.status(400).json({ error: "Only CORRECTED models can have a lineage." });
+        }
+
+        const lineageError = lineage ? await checkLineageSource(RDSdatabase, sensor_table_name, lineage.source_table_name) : undefined;
+
+        if (lineageError) {
+            return response.status(400).json({ error: lineageError });
+        }
+
         // First, insert this row into SENSOR_MODEL_TABLE table
         const [insertedId] = await RDSdatabase(SENSOR_MODELS_TABLE).insert({
             sensor_id,
             sensor_brand,
             sensor_table_name,
             sensor_data_schema: JSON.stringify(sensor_data_schema),
+            column_metadata: column_metadata ? JSON.stringify(column_metadata) : null,
             measurement_model,
             measurement_type,
             measurement_time_interval,
+            ...(lineage ? lineageColumns(lineage) : {}),
         });
 
         // Then try and create corresponding model measurement table
@@ -152,7 +263,11 @@ async function getSensorModelDataSchema(request, response) {
             return response.status(500).json({ error: `The Sensor associated with this model has NOT been registered yet. Register a sensor of brand '${sensor_brand}' and serial number '${sensor_id}' first using the POST '/api/v2/sensors{sensor_brand}/{sensor_id}' endpoint`});
         }
 
-        return response.status(200).json(tableSchema);
+        // Units, parameter codes, descriptions and valid ranges of the columns, next to the column -> type pairs
+        return response.status(200).json({
+            ...tableSchema,
+            column_metadata: await getColumnMetadata(RDSdatabase, sensor_table_name),
+        });
 
     } catch (err) {
         console.error('Error fetching Sensor Model`s Schema:', err);
@@ -218,30 +333,484 @@ async function downloadSensorModelReadings(request, response) {
             });
         }
 
+        const format = request.query.format || "csv";
+
+        if (!EXPORT_FORMATS[format]) {
+            return response.status(400).json({
+                error: `Invalid format. Allowed values are: ${Object.keys(EXPORT_FORMATS).join(", ")}.`
+            });
+        }
+
         // Define the table name
         const sensor_table = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
 
         let RDSdatabase = await RDSInstanceConnection();
 
-        // Fetch all data from the constructed sensor table
-        const sensor_data = await RDSdatabase(sensor_table).select("*");
-
         // Check if data exists
-        if (!sensor_data || sensor_data.length === 0) {
+        const firstReading = await RDSdatabase(sensor_table).first("id");
+
+        if (!firstReading) {
             return response.status(400).json({ error: 'No data has been logged under the specified Sensor Model.' });
         }
 
-        // Convert JSON data array to CSV format using json2csv
-        const json2csvParser = new Parser();
-        const csv = json2csvParser.parse(sensor_data);
+        const columnMetadata = await getColumnMetadata(RDSdatabase, sensor_table);
+        const commentLines = format === "csv" ? metadataCommentLines(columnMetadata) : [];
+        const precisionRounder = createPrecisionRounder(columnMetadata);
+
+        // Stream the whole table into the response row by row
+        const rowStream = RDSdatabase(sensor_table).select("*").orderBy("id", "asc").stream();
 
-        response.header('Content-Type', 'text/csv');
-        response.header('Content-Disposition', `attachment; filename=${sensor_table}.csv`);
-        response.send(csv);
+        await streamReadingsExport(rowStream, response, format, sensor_table, precisionRounder ? [precisionRounder] : [], commentLines);
 
     } catch (err) {
         console.error('Error downloading entire sensor table:', err);
-        return response.status(500).json({ error: `Error processing your request: ${err.sqlMessage}` });
+        if (response.headersSent) {
+            return response.end();
+        }
+        return response.status(500).json({ error: `Error processing your request: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Set the metadata of some columns of a sensor model. Unlike the schema itself, metadata can always be corrected:
+// each column given replaces that column's metadata, other columns keep theirs
+async function updateSensorModelMetadata(request, response) {
+    const { sensor_brand, sensor_id, measurement_model, measurement_type, measurement_time_interval } = request.params;
+
+    if (!sensor_brand || !sensor_id) {
+        return response.status(400).json({ error: 'Sensor brand and sensor ID are required.' });
+    }
+
+    const { error, value } = columnMetadataUpdateSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensor_table_name = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+
+        const sensorModel = await RDSdatabase(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .first();
+
+        if (!sensorModel) {
+            return response.status(404).json({ error: `Sensor Model '${sensor_table_name}' does not exist.` });
+        }
+
+        const metadataErrors = columnMetadataErrors(value.column_metadata, await getSensorDataSchema(RDSdatabase, sensor_table_name));
+
+        if (metadataErrors.length > 0) {
+            return response.status(400).json({ error: "column_metadata does not match the schema: " + metadataErrors.join(" ") });
+        }
+
+        const column_metadata = { ...await getColumnMetadata(RDSdatabase, sensor_table_name), ...value.column_metadata };
+
+        await RDSdatabase(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .update({ column_metadata: JSON.stringify(column_metadata) });
+
+        return response.status(200).json({ message: "Column metadata saved.", column_metadata });
+
+    } catch (err) {
+        console.error('Error saving Sensor Model column metadata:', err);
+        return response.status(500).json({ error: `An error occurred while saving the column metadata: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Record (or correct) which table a CORRECTED model was derived from, with the model version and coefficients used
+async function updateSensorModelLineage(request, response) {
+    const { sensor_brand, sensor_id, measurement_model, measurement_type, measurement_time_interval } = request.params;
+
+    if (!sensor_brand || !sensor_id) {
+        return response.status(400).json({ error: 'Sensor brand and sensor ID are required.' });
+    }
+
+    const { error, value } = lineageSchema.required().validate(request.body, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensor_table_name = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+
+        const sensorModel = await RDSdatabase(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .first();
+
+        if (!sensorModel) {
+            return response.status(404).json({ error: `Sensor Model '${sensor_table_name}' does not exist.` });
+        }
+
+        if (sensorModel.measurement_type !== "CORRECTED") {
+            return response.status(400).json({ error: "Only CORRECTED models can have a lineage." });
+        }
+
+        const lineageError = await checkLineageSource(RDSdatabase, sensor_table_name, value.source_table_name);
+
+        if (lineageError) {
+            return response.status(400).json({ error: lineageError });
+        }
+
+        const lineage = lineageColumns(value);
+
+        await RDSdatabase(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .update(lineage);
+
+        return response.status(200).json({
+            message: "Lineage saved.",
+            sensor_table_name,
+            ...lineage,
+            model_coefficients: value.coefficients || null,
+        });
+
+    } catch (err) {
+        console.error('Error saving Sensor Model lineage:', err);
+        return response.status(500).json({ error: `An error occurred while saving the lineage: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Derivation graph of a sensor's models: which table each CORRECTED table came from, with what model version and when
+async function getSensorModelLineage(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || !sensor_id) {
+        return response.status(400).json({ error: 'Sensor brand and sensor ID are required.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensor = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensor) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const graph = await buildLineageGraph(RDSdatabase, sensor_brand, sensor_id);
+
+        return response.status(200).json({ sensor_brand, sensor_id, ...graph });
+
+    } catch (err) {
+        console.error('Error fetching Sensor Model lineage:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the lineage: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// List every schema version of a sensor model, oldest first
+async function getSensorModelSchemaVersions(request, response) {
+    const { sensor_brand, sensor_id, measurement_model, measurement_type, measurement_time_interval } = request.params;
+
+    if (!sensor_brand || !sensor_id) {
+        return response.status(400).json({ error: 'Sensor brand and sensor ID are required.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensor_table_name = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+
+        const sensorModel = await RDSdatabase(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .first();
+
+        if (!sensorModel) {
+            return response.status(404).json({ error: `Sensor Model '${sensor_table_name}' does not exist.` });
+        }
+
+        const versions = await getSchemaVersions(RDSdatabase, sensor_table_name);
+
+        return response.status(200).json({
+            sensor_table_name,
+            current_version: versions[versions.length - 1].version,
+            versions,
+        });
+
+    } catch (err) {
+        console.error('Error fetching Sensor Model schema versions:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the schema versions: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Add nullable columns to a sensor model's measurement table, recording the result as a new schema version
+async function addSensorModelColumns(request, response) {
+    const { sensor_brand, sensor_id, measurement_model, measurement_type, measurement_time_interval } = request.params;
+
+    if (!sensor_brand || !sensor_id) {
+        return response.status(400).json({ error: 'Sensor brand and sensor ID are required.' });
+    }
+
+    const { error, value } = schemaChangeSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensor_table_name = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+
+        const sensorModel = await RDSdatabase(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .first();
+
+        if (!sensorModel) {
+            return response.status(404).json({ error: `Sensor Model '${sensor_table_name}' does not exist.` });
+        }
+
+        if (!await RDSdatabase.schema.hasTable(sensor_table_name)) {
+            return response.status(400).json({
+                error: `Measurement table '${sensor_table_name}' was never created. Delete the Sensor Model and add it again instead.`
+            });
+        }
+
+        const schemaVersion = await addSchemaColumns(RDSdatabase, sensorModel, value.add_columns, value.note, value.base_version);
+
+        return response.status(201).json({
+            message: `Schema of '${sensor_table_name}' is now at version ${schemaVersion.version}. Uploads may use this or any earlier version's columns.`,
+            version: schemaVersion,
+        });
+
+    } catch (err) {
+        if (err.status === 400 || err.status === 409) {
+            return response.status(err.status).json({ error: err.message });
+        }
+        console.error('Error changing Sensor Model schema:', err);
+        if (err.code === 'ER_DUP_ENTRY') {
+            return response.status(409).json({ error: 'The schema was changed by another request in the meantime. Fetch the versions and try again.' });
+        }
+        return response.status(500).json({ error: `An error occurred while changing the Sensor Model schema: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// The registry row and measurement table a model deletion would remove (undefined when neither exists).
+// addSensorModel inserts the row before creating the table, so a failed creation leaves a row without a table.
+// Models derived from the table and calibration runs that read or wrote it are listed, as they would be left
+// pointing at a table that no longer exists
+async function buildModelDeletionPreview(database, params) {
+    const { sensor_brand, sensor_id, measurement_model, measurement_type, measurement_time_interval } = params;
+    const sensor_table_name = `${sensor_brand}_${sensor_id}_${measurement_model || "RAW-MODEL"}_${measurement_type}_${measurement_time_interval}`;
+
+    const modelRows = await database(SENSOR_MODELS_TABLE)
+        .select("*")
+        .where({ sensor_table_name });
+
+    const schemaVersionRows = await database(SENSOR_MODEL_SCHEMA_VERSIONS_TABLE)
+        .select("*")
+        .where({ sensor_table_name })
+        .orderBy("version", "asc");
+
+    const dependentModels = await database(SENSOR_MODELS_TABLE)
+        .select("sensor_table_name")
+        .where({ source_table_name: sensor_table_name })
+        .orderBy("id", "asc");
+
+    const calibrationRunRows = await database(CALIBRATION_RUNS_TABLE)
+        .select("*")
+        .where({ source_table_name: sensor_table_name })
+        .orWhere({ sensor_table_name })
+        .orderBy("id", "asc");
+
+    const [measurementTable] = await describeMeasurementTables(database, [
+        { sensor_table_name, measurement_model, measurement_type, measurement_time_interval }
+    ]);
+
+    if (modelRows.length === 0 && !measurementTable.table_exists) {
+        return undefined;
+    }
+
+    let partial_state = null;
+
+    if (modelRows.length > 0 && !measurementTable.table_exists) {
+        partial_state = "The SENSOR_MODELS row exists but its measurement table was never created. Deleting removes the row so the model can be added again.";
+    } else if (modelRows.length === 0) {
+        partial_state = "The measurement table exists without a SENSOR_MODELS row. Deleting drops the table.";
+    }
+
+    const preview = {
+        sensor_brand,
+        sensor_id,
+        sensor_table_name,
+        registry_row: modelRows.length > 0,
+        schema_versions: schemaVersionRows.length,
+        measurement_tables: [measurementTable],
+        dependent_models: dependentModels.map((model) => model.sensor_table_name),
+        calibration_runs: calibrationRunRows.length,
+        partial_state,
+    };
+
+    return { preview, modelRows, schemaVersionRows, calibrationRunRows };
+}
+
+
+// Show what deleting a sensor model would remove and issue the token needed to do it
+async function previewSensorModelDeletion(request, response) {
+    const { sensor_brand, sensor_id, measurement_type, measurement_time_interval } = request.params;
+
+    if (!sensor_brand || !sensor_id) {
+        return response.status(400).json({ error: 'Sensor brand and sensor ID are required.' });
+    }
+
+    if (!MEASUREMENT_TYPES.includes(measurement_type)) {
+        return response.status(400).json({
+            error: `Invalid measurement type. Allowed values are: ${MEASUREMENT_TYPES.join(", ")}.`
+        });
+    }
+
+    if (!MEASUREMENT_TIME_INTERVALS.includes(measurement_time_interval)) {
+        return response.status(400).json({
+            error: `Invalid time interval. Allowed values are: ${MEASUREMENT_TIME_INTERVALS.join(", ")}.`
+        });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const deletion = await buildModelDeletionPreview(RDSdatabase, request.params);
+
+        if (!deletion) {
+            return response.status(404).json({ error: "No Sensor Model or measurement table matches these parameters." });
+        }
+
+        return response.status(200).json({
+            ...deletion.preview,
+            ...createConfirmationToken(deletion.preview),
+            message: "Nothing has been deleted. Send the confirmation_token with a DELETE to the same model path to remove the above"
+                + " (refused while dependent_models is not empty, and while calibration_runs is not 0 unless cascade=true deletes them)."
+        });
+
+    } catch (err) {
+        console.error('Error previewing Sensor Model deletion:', err);
+        return response.status(500).json({ error: `An error occurred while previewing the Sensor Model deletion: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Delete a sensor model's SENSOR_MODELS row and drop its measurement table. With archive=true the table and rows are
+// first streamed back as an NDJSON download whose last line holds the outcome. Refused while other models are derived
+// from the table, and while calibration runs reference it unless cascade=true deletes those runs too
+async function deleteSensorModel(request, response) {
+    const { sensor_brand, sensor_id, measurement_type, measurement_time_interval } = request.params;
+    const { confirmation_token } = request.query;
+    const archive = request.query.archive === "true";
+    const cascade = request.query.cascade === "true";
+
+    if (!sensor_brand || !sensor_id) {
+        return response.status(400).json({ error: 'Sensor brand and sensor ID are required.' });
+    }
+
+    if (!MEASUREMENT_TYPES.includes(measurement_type)) {
+        return response.status(400).json({
+            error: `Invalid measurement type. Allowed values are: ${MEASUREMENT_TYPES.join(", ")}.`
+        });
+    }
+
+    if (!MEASUREMENT_TIME_INTERVALS.includes(measurement_time_interval)) {
+        return response.status(400).json({
+            error: `Invalid time interval. Allowed values are: ${MEASUREMENT_TIME_INTERVALS.join(", ")}.`
+        });
+    }
+
+    if (!confirmation_token) {
+        return response.status(400).json({
+            error: 'confirmation_token is required. Get one from the Sensor Model delete-preview endpoint.'
+        });
+    }
+
+    // Once the archive has started the status is sent, so later results go into its last line
+    const respond = (status, body) => (response.headersSent ? finishArchive(response, body) : response.status(status).json(body));
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const deletion = await buildModelDeletionPreview(RDSdatabase, request.params);
+
+        if (!deletion) {
+            return response.status(404).json({ error: "No Sensor Model or measurement table matches these parameters." });
+        }
+
+        const { sensor_table_name, measurement_tables, dependent_models, calibration_runs } = deletion.preview;
+
+        if (dependent_models.length > 0) {
+            return response.status(409).json({
+                error: `Other sensor models are derived from '${sensor_table_name}'. Delete them or change their lineage first.`,
+                dependent_models,
+            });
+        }
+
+        if (calibration_runs > 0 && !cascade) {
+            return response.status(409).json({
+                error: `${calibration_runs} calibration runs read or wrote '${sensor_table_name}'. Add cascade=true to delete their CALIBRATION_RUNS rows with the model.`,
+                calibration_runs,
+            });
+        }
+
+        const tokenError = checkConfirmationToken(confirmation_token, deletion.preview);
+
+        if (tokenError) {
+            return response.status(400).json({ error: tokenError });
+        }
+
+        if (archive) {
+            try {
+                const archived = await streamArchive(RDSdatabase, response, sensor_table_name, measurement_tables, {
+                    [SENSOR_MODELS_TABLE]: deletion.modelRows,
+                    [SENSOR_MODEL_SCHEMA_VERSIONS_TABLE]: deletion.schemaVersionRows,
+                    [CALIBRATION_RUNS_TABLE]: deletion.calibrationRunRows,
+                });
+
+                if (!archived) {
+                    return;
+                }
+            } catch (err) {
+                console.error('Error archiving Sensor Model before deletion:', err);
+                return respond(500, { error: `Archiving failed, nothing was deleted: ${err.sqlMessage || err.message}` });
+            }
+        }
+
+        // Table first, so a failure leaves the same recoverable partial state addSensorModel can
+        const dropped_tables = await dropMeasurementTables(RDSdatabase, measurement_tables);
+
+        let deleted_registry_rows;
+
+        try {
+            deleted_registry_rows = await RDSdatabase.transaction(async (trx) => {
+                await trx(CALIBRATION_RUNS_TABLE).whereIn("id", deletion.calibrationRunRows.map((run) => run.id)).del();
+                await trx(SENSOR_MODEL_SCHEMA_VERSIONS_TABLE).where({ sensor_table_name }).del();
+                return trx(SENSOR_MODELS_TABLE).where({ sensor_table_name }).del();
+            });
+        } catch (err) {
+            console.error('Error deleting Sensor Model registry rows:', err);
+            return respond(500, {
+                error: `The measurement table was dropped but deleting its SENSOR_MODELS row failed, so the row still points at a table that no longer exists. Request a new delete-preview and confirmation_token to finish the deletion: ${err.sqlMessage || err.message}`,
+                dropped_tables,
+            });
+        }
+
+        return respond(200, {
+            message: `Sensor Model '${sensor_table_name}' deleted. It can now be added again with a corrected schema.`,
+            dropped_tables,
+            deleted_registry_rows,
+            deleted_calibration_runs: calibration_runs,
+        });
+
+    } catch (err) {
+        console.error('Error deleting Sensor Model:', err);
+        return respond(500, { error: `An error occurred while deleting the Sensor Model: ${err.sqlMessage || err.message}` });
     }
 }
 
@@ -252,4 +821,11 @@ module.exports = {
     getSensorModels,
     getSensorModelDataSchema,
     downloadSensorModelReadings,
+    updateSensorModelMetadata,
+    updateSensorModelLineage,
+    getSensorModelLineage,
+    getSensorModelSchemaVersions,
+    addSensorModelColumns,
+    previewSensorModelDeletion,
+    deleteSensorModel,
 };
@@ -0,0 +1,131 @@
+const { RDSInstanceConnection } = require("../Database/RDSInstanceConnection");
+const { formatDateTime } = require("../Utility/SensorSchemaUtility.js");
+const {
+    SENSOR_TAGS_TABLE,
+    TAG_KEY_PATTERN,
+    getSensorTags,
+} = require("../Utility/SensorTagsUtility.js");
+const Joi = require("joi");
+
+
+// GLOBAL VARS, ENUMS, & SCHEMAS
+const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
+
+// { key: value } pairs. Numbers and booleans are stored as text so they can be matched by ?tag.key=value
+const sensorTagsSchema = Joi.object()
+    .pattern(TAG_KEY_PATTERN, Joi.alternatives(Joi.string().max(255), Joi.number(), Joi.boolean()).required())
+    .min(1)
+    .messages({ "object.unknown": "Tag keys may only contain letters, digits, '_' and '-' (up to 100 characters)." });
+
+
+// Get a sensor's metadata tags
+async function getTags(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        return response.status(200).json({ sensor_brand, sensor_id, tags: await getSensorTags(RDSdatabase, sensor_brand, sensor_id) });
+
+    } catch (err) {
+        console.error('Error fetching sensor tags:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the sensor tags: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Create or update tags on a sensor. Tags not named in the body are left untouched
+async function upsertTags(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    const { error, value } = sensorTagsSchema.validate(request.body || {}, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const updated_at = formatDateTime(new Date());
+
+        await RDSdatabase(SENSOR_TAGS_TABLE)
+            .insert(Object.entries(value).map(([tag_key, tag_value]) => ({
+                sensor_brand,
+                sensor_id,
+                tag_key,
+                tag_value: String(tag_value),
+                updated_at,
+            })))
+            .onConflict(["sensor_brand", "sensor_id", "tag_key"])
+            .merge(["tag_value", "updated_at"]);
+
+        return response.status(200).json({
+            message: 'Sensor tags saved.',
+            tags: await getSensorTags(RDSdatabase, sensor_brand, sensor_id)
+        });
+
+    } catch (err) {
+        console.error('Error saving sensor tags:', err);
+        return response.status(500).json({ error: `An error occurred while saving the sensor tags: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Remove one tag from a sensor
+async function deleteTag(request, response) {
+    const { sensor_brand, sensor_id, tag_key } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const deletedRows = await RDSdatabase(SENSOR_TAGS_TABLE)
+            .where({ sensor_brand, sensor_id, tag_key })
+            .del();
+
+        if (deletedRows === 0) {
+            return response.status(404).json({ error: `Sensor has no tag '${tag_key}'.` });
+        }
+
+        return response.status(200).json({ message: `Tag '${tag_key}' removed.` });
+
+    } catch (err) {
+        console.error('Error deleting sensor tag:', err);
+        return response.status(500).json({ error: `An error occurred while deleting the sensor tag: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+module.exports = {
+    getTags,
+    upsertTags,
+    deleteTag,
+};
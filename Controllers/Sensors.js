@@ -1,23 +1,143 @@
 const { RDSInstanceConnection } = require("../Database/RDSInstanceConnection");
+const { parsePagination, buildPage } = require("../Utility/PaginationUtility.js");
+const {
+    MEASUREMENT_TIME_INTERVALS,
+    createSensorMeasurementTable,
+    formatDateTime,
+} = require("../Utility/SensorSchemaUtility.js");
+const {
+    SENSOR_LOCATIONS_TABLE,
+    getLocationHistory,
+    locationAt,
+    recordLocationChange,
+} = require("../Utility/LocationHistoryUtility.js");
+const { haversineKm, boundingBoxAround, whereInBoundingBox } = require("../Utility/GeoSearchUtility.js");
+const { GEOJSON_CONTENT_TYPE, sensorToFeature, featureCollection } = require("../Utility/GeoJSONUtility.js");
+const {
+    LIFECYCLE_STATES,
+    MAX_REASON_LENGTH,
+    SENSOR_STATUS_HISTORY_TABLE,
+    parseStatusFilter,
+    transitionSensorStatus,
+    getStatusHistory,
+} = require("../Utility/SensorLifecycleUtility.js");
+const { SENSOR_TAGS_TABLE, parseTagFilters, whereHasTags, getSensorTags } = require("../Utility/SensorTagsUtility.js");
+const {
+    HEALTH_STATUSES,
+    getLatestReadings,
+    buildSensorHealth,
+    summarizeHealth,
+} = require("../Utility/SensorHealthUtility.js");
+const { SENSOR_EVENTS_TABLE } = require("../Utility/SensorEventsUtility.js");
+const { SENSOR_GROUP_MEMBERS_TABLE } = require("../Utility/SensorGroupUtility.js");
+const { SENSOR_MODEL_SCHEMA_VERSIONS_TABLE } = require("../Utility/SchemaEvolutionUtility.js");
+const { CALIBRATION_RUNS_TABLE } = require("../Utility/CalibrationUtility.js");
+const {
+    describeMeasurementTables,
+    createConfirmationToken,
+    checkConfirmationToken,
+    streamArchive,
+    finishArchive,
+    dropMeasurementTables,
+} = require("../Utility/SensorTeardownUtility.js");
+const Busboy = require("busboy");
+const csv = require("csv-parser");
 const Joi = require("joi");
 
 
 // GLOBAL VARS, ENUMS, & SCHEMAS
 const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
+const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
 
 const sensorUploadSchema = Joi.object({
     sensor_id: Joi.string().required(),
     sensor_brand: Joi.string().required(),
     sensor_latitude: Joi.number().min(-90).max(90).required(),
     sensor_longitude: Joi.number().min(-180).max(180).required(),
+    status: Joi.string().valid("planned", "deployed").default("deployed"),
 });
 
+const MAX_BULK_SENSORS = 500;
+
+// The RAW model created for each sensor of a bulk registration, unless raw_model_schema names its own
+// measurement_model or measurement_time_interval
+const DEFAULT_RAW_MODEL = { measurement_model: "RAW-MODEL", measurement_type: "RAW", measurement_time_interval: "OTHER" };
+
+const INVALID_STATUS_FILTER = `Invalid status filter. Allowed values are: ${LIFECYCLE_STATES.join(", ")} (comma separated).`;
+
+// Either a bounding box (min/max lat and lon) or a point with a radius in kilometres
+const sensorSearchSchema = Joi.object({
+    min_lat: Joi.number().min(-90).max(90),
+    max_lat: Joi.number().min(Joi.ref("min_lat")).max(90),
+    min_lon: Joi.number().min(-180).max(180),
+    max_lon: Joi.number().min(-180).max(180),
+    lat: Joi.number().min(-90).max(90),
+    lon: Joi.number().min(-180).max(180),
+    radius_km: Joi.number().positive().max(20016),
+    is_active: Joi.boolean(),
+    status: Joi.string(),
+})
+    .and("min_lat", "max_lat", "min_lon", "max_lon")
+    .and("lat", "lon", "radius_km")
+    .xor("min_lat", "lat")
+    .messages({
+        "object.xor": "Give either min_lat, max_lat, min_lon and max_lon, or lat, lon and radius_km.",
+        "object.missing": "Give either min_lat, max_lat, min_lon and max_lon, or lat, lon and radius_km.",
+    });
+
 
 // Get all Sensors and their information
 async function getAllSensors(request, response) {
+    const pagination = parsePagination(request.query, "after_id");
+
+    if (pagination.error) {
+        return response.status(400).json({ error: pagination.error });
+    }
+
+    const statuses = request.query.status === undefined ? undefined : parseStatusFilter(request.query.status);
+
+    if (request.query.status !== undefined && !statuses) {
+        return response.status(400).json({ error: INVALID_STATUS_FILTER });
+    }
+
+    const tagFilters = parseTagFilters(request.query);
+
+    if (!tagFilters) {
+        return response.status(400).json({ error: "Invalid tag filter. Use tag.<key>=<value> once per key; keys may only contain letters, digits, '_' and '-'." });
+    }
+
+    // Optionally restrict a query to some lifecycle states and to sensors carrying every requested tag
+    const withFilters = (query) => {
+        if (statuses) {
+            query.whereIn("lifecycle_status", statuses);
+        }
+        return whereHasTags(query, tagFilters);
+    };
+
     try {
         let RDSdatabase = await RDSInstanceConnection();
-        const sensors = await RDSdatabase(SENSOR_TABLE).select("*")
+
+        // Page through the registry ordered by primary key
+        if (pagination.paginated) {
+            const [{ total_count }] = await withFilters(RDSdatabase(SENSOR_TABLE).count({ total_count: "*" }));
+
+            const pageQuery = withFilters(RDSdatabase(SENSOR_TABLE).select("*"))
+                .orderBy("id", "asc")
+                .limit(pagination.limit + 1);
+
+            if (pagination.position) {
+                pageQuery.where("id", ">", pagination.position.after_id);
+            }
+
+            const page = buildPage(await pageQuery, pagination.limit, total_count, (sensor) => ({ after_id: sensor.id }));
+
+            return response.status(200).json({
+                ...page,
+                message: total_count ? "Successfully returned a page of registered Sensors." : "No Sensors have been registered at this moment."
+            });
+        }
+
+        const sensors = await withFilters(RDSdatabase(SENSOR_TABLE).select("*"));
         return response.status(200).json({
             data: sensors,
             message: sensors.length ? "Successfully returned all registered Sensors.": "No Sensors have been registered at this moment."
@@ -29,6 +149,509 @@ async function getAllSensors(request, response) {
 }
 
 
+// Find sensors inside a bounding box or within a radius of a point
+async function searchSensors(request, response) {
+    const { error, value } = sensorSearchSchema.validate(request.query, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    const { lat, lon, radius_km, is_active, status } = value;
+    const byRadius = radius_km !== undefined;
+    const statuses = status === undefined ? undefined : parseStatusFilter(status);
+
+    if (status !== undefined && !statuses) {
+        return response.status(400).json({ error: [INVALID_STATUS_FILTER] });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        // A radius search is pre-filtered by the box around the circle, then trimmed to exact distances
+        const box = byRadius ? boundingBoxAround(lat, lon, radius_km) : value;
+        const query = whereInBoundingBox(RDSdatabase(SENSOR_TABLE).select("*"), box);
+
+        if (is_active !== undefined) {
+            query.andWhere("is_active", is_active);
+        }
+
+        if (statuses) {
+            query.whereIn("lifecycle_status", statuses);
+        }
+
+        let sensors = await query;
+
+        if (byRadius) {
+            sensors = sensors
+                .map((sensor) => ({
+                    ...sensor,
+                    distance_km: Number(haversineKm(lat, lon, Number(sensor.sensor_latitude), Number(sensor.sensor_longitude)).toFixed(3)),
+                }))
+                .filter((sensor) => sensor.distance_km <= radius_km)
+                .sort((a, b) => a.distance_km - b.distance_km);
+        }
+
+        return response.status(200).json({
+            data: sensors,
+            message: sensors.length ? `Found ${sensors.length} matching Sensors.` : "No Sensors match this search."
+        });
+
+    } catch (err) {
+        console.error('Error searching sensors:', err);
+        return response.status(500).json({ error: `An error occurred while searching sensors: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Optional measurement model whose latest reading is attached to every GeoJSON feature
+const geoJSONQuerySchema = Joi.object({
+    is_active: Joi.boolean(),
+    status: Joi.string(),
+    measurement_model: Joi.string(),
+    measurement_type: Joi.string().valid("RAW", "CORRECTED"),
+    measurement_time_interval: Joi.string().valid("HOURLY", "DAILY", "OTHER"),
+}).and("measurement_model", "measurement_type", "measurement_time_interval");
+
+
+// Get the Sensors registry as a GeoJSON FeatureCollection of Points
+async function getSensorsGeoJSON(request, response) {
+    const { error, value } = geoJSONQuerySchema.validate(request.query, { abortEarly: false });
+
+    if (error) {
+        return response.status(400).json({ error: error.details.map(detail => detail.message) });
+    }
+
+    const { is_active, status, measurement_model, measurement_type, measurement_time_interval } = value;
+    const statuses = status === undefined ? undefined : parseStatusFilter(status);
+
+    if (status !== undefined && !statuses) {
+        return response.status(400).json({ error: [INVALID_STATUS_FILTER] });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        // Sensors without coordinates cannot be placed on a map
+        const query = RDSdatabase(SENSOR_TABLE)
+            .select("*")
+            .whereNotNull("sensor_latitude")
+            .whereNotNull("sensor_longitude");
+
+        if (is_active !== undefined) {
+            query.andWhere("is_active", is_active);
+        }
+
+        if (statuses) {
+            query.whereIn("lifecycle_status", statuses);
+        }
+
+        const sensors = await query;
+
+        if (!measurement_model) {
+            response.header("Content-Type", GEOJSON_CONTENT_TYPE);
+            return response.status(200).send(JSON.stringify(featureCollection(sensors.map((sensor) => sensorToFeature(sensor)))));
+        }
+
+        // Measurement tables registered for the chosen model, keyed by brand/id (brands and ids may contain '_')
+        const sensorModels = await RDSdatabase(SENSOR_MODELS_TABLE)
+            .select("sensor_brand", "sensor_id", "sensor_table_name")
+            .where({ measurement_model, measurement_type, measurement_time_interval });
+
+        const tablesBySensor = new Map(
+            sensorModels.map((model) => [`${model.sensor_brand}/${model.sensor_id}`, model.sensor_table_name])
+        );
+
+        // Same rows as GET /readings/last, fetched for all tables at once
+        const latestReadings = await getLatestReadings(RDSdatabase, [...new Set(tablesBySensor.values())]);
+
+        const features = sensors.map((sensor) => {
+            const measurement_table = tablesBySensor.get(`${sensor.sensor_brand}/${sensor.sensor_id}`) || null;
+            const latest_reading = (measurement_table && latestReadings.get(measurement_table)) || null;
+
+            return sensorToFeature(sensor, { measurement_table, latest_reading });
+        });
+
+        response.header("Content-Type", GEOJSON_CONTENT_TYPE);
+        return response.status(200).send(JSON.stringify(featureCollection(features)));
+
+    } catch (err) {
+        console.error('Error building sensors GeoJSON:', err);
+        return response.status(500).json({ error: `An error occurred while building the sensors GeoJSON: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Reporting health of the whole fleet (retired sensors are left out unless a status filter asks for them)
+async function getFleetHealth(request, response) {
+    const statuses = request.query.status === undefined ? undefined : parseStatusFilter(request.query.status);
+
+    if (request.query.status !== undefined && !statuses) {
+        return response.status(400).json({ error: INVALID_STATUS_FILTER });
+    }
+
+    const healthFilter = request.query.health === undefined ? undefined : String(request.query.health).split(",").map((state) => state.trim());
+
+    if (healthFilter && !healthFilter.every((state) => HEALTH_STATUSES.includes(state))) {
+        return response.status(400).json({ error: `Invalid health filter. Allowed values are: ${HEALTH_STATUSES.join(", ")} (comma separated).` });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const query = RDSdatabase(SENSOR_TABLE).select("sensor_brand", "sensor_id", "lifecycle_status");
+
+        if (statuses) {
+            query.whereIn("lifecycle_status", statuses);
+        } else {
+            query.whereNot("lifecycle_status", "retired");
+        }
+
+        const sensorHealth = await buildSensorHealth(RDSdatabase, await query);
+        const data = healthFilter ? sensorHealth.filter((sensor) => healthFilter.includes(sensor.status)) : sensorHealth;
+
+        return response.status(200).json({
+            generated_at: formatDateTime(new Date()),
+            summary: summarizeHealth(sensorHealth),
+            data,
+        });
+
+    } catch (err) {
+        console.error('Error building fleet health:', err);
+        return response.status(500).json({ error: `An error occurred while checking sensor health: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Reporting health of one sensor across all of its measurement tables
+async function getSensorHealth(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .select("sensor_brand", "sensor_id", "lifecycle_status")
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const [sensorHealth] = await buildSensorHealth(RDSdatabase, [sensorExists]);
+
+        return response.status(200).json({ generated_at: formatDateTime(new Date()), ...sensorHealth });
+
+    } catch (err) {
+        console.error('Error checking sensor health:', err);
+        return response.status(500).json({ error: `An error occurred while checking the sensor health: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Insert a validated sensor, log its initial lifecycle state and open its first deployment in the location history
+async function registerSensor(trx, sensor, date_uploaded) {
+    const { sensor_id, sensor_brand, sensor_latitude, sensor_longitude, status } = sensor;
+
+    await trx(SENSOR_TABLE).insert({
+        sensor_id,
+        sensor_brand,
+        sensor_latitude,
+        sensor_longitude,
+        last_location_update: date_uploaded,
+        is_active: true,
+        lifecycle_status: status,
+        date_uploaded,
+    });
+
+    await trx(SENSOR_STATUS_HISTORY_TABLE).insert({
+        sensor_brand,
+        sensor_id,
+        from_status: null,
+        to_status: status,
+        reason: "Sensor registered.",
+        changed_at: date_uploaded,
+    });
+
+    await trx(SENSOR_LOCATIONS_TABLE).insert({
+        sensor_brand,
+        sensor_id,
+        sensor_latitude,
+        sensor_longitude,
+        effective_from: date_uploaded,
+        effective_to: null,
+    });
+}
+
+
+// Read a bulk registration upload: a JSON array (or { sensors, raw_model_schema }) or a multipart CSV file
+// with an optional raw_model_schema form field holding JSON
+function readBulkUpload(request) {
+    if (!request.is("multipart/form-data")) {
+        const body = request.body || {};
+        return Promise.resolve(Array.isArray(body) ? { sensors: body } : body);
+    }
+
+    return new Promise((resolve, reject) => {
+        const sensors = [];
+        const parsingFinished = [];
+        let raw_model_schema;
+
+        const busboy = new Busboy({ headers: request.headers });
+
+        busboy.on("field", (fieldname, value) => {
+            if (fieldname === "raw_model_schema") {
+                raw_model_schema = value;
+            }
+        });
+
+        busboy.on("file", (fieldname, file) => {
+            parsingFinished.push(new Promise((done, fail) => {
+                file
+                    .pipe(csv())
+                    .on("data", (row) => sensors.push(row))
+                    .on("end", done)
+                    .on("error", fail);
+            }));
+        });
+
+        busboy.on("error", reject);
+
+        // The CSV parser can still be flushing its last rows when busboy finishes
+        busboy.on("finish", () => {
+            Promise.all(parsingFinished).then(() => resolve({ sensors, raw_model_schema }), reject);
+        });
+
+        request.pipe(busboy);
+    });
+}
+
+
+// Unambiguous identity of a sensor for duplicate checks
+function sensorKey(sensor) {
+    return JSON.stringify([sensor.sensor_brand, sensor.sensor_id]);
+}
+
+
+// Check a RAW model schema up front so table creation does not fail halfway through a batch
+function rawModelSchemaError(schema) {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema) || Object.keys(schema).length === 0) {
+        return "raw_model_schema must be an object mapping column names to data types.";
+    }
+
+    if (!Object.values(schema).every((dataType) => typeof dataType === "string")) {
+        return "Every raw_model_schema data type must be a string.";
+    }
+
+    const dateColumns = Object.values(schema).filter((dataType) => ["date", "datetime"].includes(dataType.toLowerCase()));
+
+    if (dateColumns.length !== 1) {
+        return `raw_model_schema must contain exactly one date or datetime column, found ${dateColumns.length}.`;
+    }
+
+    return undefined;
+}
+
+
+// Split raw_model_schema into the RAW model to create and its column -> data type map
+function parseRawModelSchema(rawModelSchema) {
+    if (!rawModelSchema || typeof rawModelSchema !== "object" || Array.isArray(rawModelSchema)) {
+        return { error: "raw_model_schema must be an object mapping column names to data types." };
+    }
+
+    const {
+        measurement_model = DEFAULT_RAW_MODEL.measurement_model,
+        measurement_time_interval = DEFAULT_RAW_MODEL.measurement_time_interval,
+        ...columns
+    } = rawModelSchema;
+
+    if (typeof measurement_model !== "string" || measurement_model.trim() === "") {
+        return { error: "raw_model_schema.measurement_model must be a non-empty string." };
+    }
+
+    if (!MEASUREMENT_TIME_INTERVALS.includes(measurement_time_interval)) {
+        return { error: `raw_model_schema.measurement_time_interval must be one of: ${MEASUREMENT_TIME_INTERVALS.join(", ")}.` };
+    }
+
+    const error = rawModelSchemaError(columns);
+
+    if (error) {
+        return { error };
+    }
+
+    return {
+        model: { ...DEFAULT_RAW_MODEL, measurement_model, measurement_time_interval },
+        columns,
+    };
+}
+
+
+// Register many sensors at once from a JSON array or CSV file. Either every sensor is registered or none is
+async function bulkRegisterSensors(request, response) {
+    let upload;
+
+    try {
+        upload = await readBulkUpload(request);
+    } catch (err) {
+        console.error('Error reading bulk sensor upload:', err);
+        return response.status(400).json({ error: `Could not read the upload: ${err.message}` });
+    }
+
+    let { sensors, raw_model_schema } = upload;
+    const isCSV = request.is("multipart/form-data");
+
+    if (!Array.isArray(sensors) || sensors.length === 0) {
+        return response.status(400).json({ error: "Provide a non-empty array of sensors (JSON) or a CSV file with one sensor per row." });
+    }
+
+    if (sensors.length > MAX_BULK_SENSORS) {
+        return response.status(400).json({ error: `At most ${MAX_BULK_SENSORS} sensors can be registered per request.` });
+    }
+
+    // CSV form fields arrive as text
+    if (typeof raw_model_schema === "string") {
+        try {
+            raw_model_schema = JSON.parse(raw_model_schema);
+        } catch (err) {
+            return response.status(400).json({ error: "raw_model_schema must be valid JSON." });
+        }
+    }
+
+    let rawModel;
+
+    if (raw_model_schema !== undefined) {
+        rawModel = parseRawModelSchema(raw_model_schema);
+        if (rawModel.error) {
+            return response.status(400).json({ error: rawModel.error });
+        }
+    }
+
+    // Validate every row with the single-sensor schema. CSV line 1 is the header; JSON uses the 1-based array position
+    const firstLine = isCSV ? 2 : 1;
+    const validSensors = [];
+    const errors = [];
+    const seen = new Set();
+
+    sensors.forEach((row, index) => {
+        const line = index + firstLine;
+
+        // Empty CSV cells mean "not given"
+        const payload = Object.fromEntries(
+            Object.entries(row || {}).filter(([_, value]) => value !== "" && value !== null)
+        );
+
+        const { error, value } = sensorUploadSchema.validate(payload, { abortEarly: false });
+
+        if (error) {
+            error.details.forEach((detail) => errors.push({ line, column: detail.path.join(".") || null, reason: detail.message }));
+            return;
+        }
+
+        const key = sensorKey(value);
+
+        if (seen.has(key)) {
+            errors.push({ line, column: "sensor_id", reason: `Sensor '${value.sensor_id}' of brand '${value.sensor_brand}' appears more than once in the upload.` });
+            return;
+        }
+
+        seen.add(key);
+        validSensors.push({ line, ...value });
+    });
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        // Sensors that are already registered
+        if (validSensors.length) {
+            const existing = await RDSdatabase(SENSOR_TABLE)
+                .select("sensor_brand", "sensor_id")
+                .whereIn(["sensor_brand", "sensor_id"], validSensors.map((sensor) => [sensor.sensor_brand, sensor.sensor_id]));
+
+            const existingKeys = new Set(existing.map((sensor) => sensorKey(sensor)));
+
+            validSensors
+                .filter((sensor) => existingKeys.has(sensorKey(sensor)))
+                .forEach((sensor) => errors.push({
+                    line: sensor.line,
+                    column: "sensor_id",
+                    reason: `A sensor with ID '${sensor.sensor_id}' and brand '${sensor.sensor_brand}' already exists.`
+                }));
+        }
+
+        if (errors.length) {
+            errors.sort((a, b) => a.line - b.line);
+            return response.status(400).json({
+                error: `${new Set(errors.map((err) => err.line)).size} of ${sensors.length} sensors failed validation. Nothing was registered.`,
+                errors,
+            });
+        }
+
+        const date_uploaded = formatDateTime(new Date());
+
+        await RDSdatabase.transaction(async (trx) => {
+            for (const sensor of validSensors) {
+                await registerSensor(trx, sensor, date_uploaded);
+            }
+        });
+
+        // Table creation commits implicitly in MySQL, so RAW models are created after the sensors and reported per sensor
+        const raw_models = [];
+
+        if (rawModel) {
+            const { measurement_model, measurement_type, measurement_time_interval } = rawModel.model;
+
+            for (const { sensor_brand, sensor_id } of validSensors) {
+                const sensor_table_name = `${sensor_brand}_${sensor_id}_${measurement_model}_${measurement_type}_${measurement_time_interval}`;
+
+                try {
+                    // Register the model first, as addSensorModel does, so a rejected row never leaves an orphan table
+                    await RDSdatabase(SENSOR_MODELS_TABLE).insert({
+                        sensor_id,
+                        sensor_brand,
+                        sensor_table_name,
+                        sensor_data_schema: JSON.stringify(rawModel.columns),
+                        measurement_model,
+                        measurement_type,
+                        measurement_time_interval,
+                    });
+
+                    const tableCreationResult = await createSensorMeasurementTable(RDSdatabase, sensor_table_name, rawModel.columns);
+
+                    if (!tableCreationResult.success) {
+                        await RDSdatabase(SENSOR_MODELS_TABLE).where({ sensor_table_name }).del();
+                        raw_models.push({ sensor_brand, sensor_id, sensor_table_name, created: false, error: tableCreationResult.message });
+                        continue;
+                    }
+
+                    raw_models.push({ sensor_brand, sensor_id, sensor_table_name, created: true });
+                } catch (err) {
+                    console.error(`Error creating RAW model for ${sensor_brand} ${sensor_id}:`, err);
+                    raw_models.push({ sensor_brand, sensor_id, sensor_table_name, created: false, error: err.sqlMessage || err.message });
+                }
+            }
+        }
+
+        return response.status(201).json({
+            message: `Successfully registered ${validSensors.length} sensors.`,
+            registered: validSensors.map(({ sensor_brand, sensor_id }) => ({ sensor_brand, sensor_id })),
+            raw_models,
+        });
+
+    } catch (err) {
+        console.error('Error registering sensors:', err);
+        if (err.code === 'ER_DUP_ENTRY') {
+            return response.status(400).json({ error: `A sensor in the upload was registered by another request in the meantime. Nothing was registered.` });
+        }
+        return response.status(500).json({ error: `An error occurred while registering the sensors: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
 // Add a sensor 
 async function addNewSensor(request, response) {
     let given_sensor_id;
@@ -41,7 +664,8 @@ async function addNewSensor(request, response) {
             sensor_brand: request.params.sensor_brand,
             sensor_id: request.params.sensor_id,
             sensor_latitude: parseFloat(request.query.sensor_latitude),
-            sensor_longitude: parseFloat(request.query.sensor_longitude)
+            sensor_longitude: parseFloat(request.query.sensor_longitude),
+            status: request.query.status,
         };
 
         const { error, value } = sensorUploadSchema.validate(payload, { abortEarly: false });
@@ -50,31 +674,13 @@ async function addNewSensor(request, response) {
             return response.status(400).json({ error: error.details.map(detail => detail.message) });
         }
 
-        // Deconstruct the validated payload
-        const { 
-            sensor_id,
-            sensor_brand,
-            sensor_latitude,
-            sensor_longitude,
-        } = value;
-
-        given_sensor_id = sensor_id
-        given_sensor_brand = sensor_brand; 
-
-        // Define additional fields for insertion
-        const date_uploaded = RDSdatabase.fn.now();
-        const last_location_update = RDSdatabase.fn.now(); 
-        const is_active = true;
-
-        // Insert the new sensor into the SENSORS table
-        await RDSdatabase(SENSOR_TABLE).insert({
-            sensor_id,
-            sensor_brand,
-            sensor_latitude,
-            sensor_longitude,
-            last_location_update,
-            is_active,
-            date_uploaded,
+        given_sensor_id = value.sensor_id;
+        given_sensor_brand = value.sensor_brand;
+
+        const date_uploaded = formatDateTime(new Date());
+
+        await RDSdatabase.transaction(async (trx) => {
+            await registerSensor(trx, value, date_uploaded);
         });
 
         // Respond with success
@@ -110,7 +716,9 @@ async function getSensorInfo(request, response) {
             return response.status(200).json({ message: `Sensor with ID '${sensor_id}' of brand '${sensor_brand}', has not been registered!`});
         }
 
-        return response.status(200).json(sensor_info);
+        const tags = await getSensorTags(RDSdatabase, sensor_brand, sensor_id);
+
+        return response.status(200).json(sensor_info.map((sensor) => ({ ...sensor, tags })));
 
     } catch (err) {
         console.error('Error fetching sensors:', err);
@@ -122,7 +730,7 @@ async function getSensorInfo(request, response) {
 // Update a sensors location 
 async function updateSensorLocation(request, response) {
     const { sensor_brand, sensor_id, } = request.params;
-    const { new_latitude, new_longitude } = request.query;
+    const { new_latitude, new_longitude, effective_from } = request.query;
 
     if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
         return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
@@ -143,6 +751,14 @@ async function updateSensorLocation(request, response) {
         return response.status(400).json({ error: 'Invalid latitude or longitude values.' });
     }
 
+    // Moves default to now but can be back-dated when recorded after the fact
+    let movedAt;
+    try {
+        movedAt = formatDateTime(effective_from === undefined ? new Date() : effective_from);
+    } catch (err) {
+        return response.status(400).json({ error: 'effective_from must be a valid date or datetime.' });
+    }
+
     try {
         let RDSdatabase = await RDSInstanceConnection();
 
@@ -155,14 +771,20 @@ async function updateSensorLocation(request, response) {
             return response.status(400).json({ error: 'Sensor not found.' });
         }
 
-        // Update the sensor's location
-        const updatedRows = await RDSdatabase(SENSOR_TABLE)
-            .where({ sensor_brand, sensor_id })
-            .update({
-                sensor_latitude: newLatitude,
-                sensor_longitude: newLongitude,
-                last_location_update: RDSdatabase.fn.now()
-            });
+        // Close the current deployment, open the new one and update the sensor's location together
+        const { previous, updatedRows } = await RDSdatabase.transaction(async (trx) => {
+            const previous = await recordLocationChange(trx, sensorExists, newLatitude, newLongitude, movedAt);
+
+            const updatedRows = await trx(SENSOR_TABLE)
+                .where({ sensor_brand, sensor_id })
+                .update({
+                    sensor_latitude: newLatitude,
+                    sensor_longitude: newLongitude,
+                    last_location_update: movedAt
+                });
+
+            return { previous, updatedRows };
+        });
 
 
         if (updatedRows === 0) {
@@ -176,18 +798,187 @@ async function updateSensorLocation(request, response) {
                 sensor_id,
                 new_latitude: newLatitude,
                 new_longitude: newLongitude,
-                previous_latitude: sensorExists.sensor_latitude,
-                previous_longitude: sensorExists.sensor_longitude
+                previous_latitude: previous.sensor_latitude,
+                previous_longitude: previous.sensor_longitude,
+                effective_from: movedAt
             }
         });
 
     } catch (err) {
+        if (err.status === 400) {
+            return response.status(400).json({ error: err.message });
+        }
         console.error('Error updating sensor location:', err);
         return response.status(500).json({ error: `An error occurred while updating the sensor location: ${err.sqlMessage || err.message}`});
     }
 }
 
 
+// List every site a sensor has been deployed at, oldest first
+async function getSensorLocationHistory(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const history = await getLocationHistory(RDSdatabase, sensor_brand, sensor_id);
+
+        return response.status(200).json({
+            data: history,
+            message: history.length ? "Successfully returned the sensor's location history." : "No location history has been recorded for this sensor."
+        });
+
+    } catch (err) {
+        console.error('Error fetching sensor location history:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the sensor location history: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Find where a sensor was deployed at a given timestamp
+async function getSensorLocationAt(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+    const { timestamp } = request.query;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    if (!timestamp || isNaN(new Date(timestamp).getTime())) {
+        return response.status(400).json({ error: 'timestamp is a required parameter and must be a valid date or datetime.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const history = await getLocationHistory(RDSdatabase, sensor_brand, sensor_id);
+        const location = locationAt(history, timestamp);
+
+        if (!location) {
+            return response.status(404).json({ error: `No recorded location for sensor '${sensor_id}' of brand '${sensor_brand}' at ${formatDateTime(timestamp)}.` });
+        }
+
+        return response.status(200).json({ sensor_brand, sensor_id, timestamp: formatDateTime(timestamp), ...location });
+
+    } catch (err) {
+        console.error('Error fetching sensor location:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the sensor location: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Move a sensor through its lifecycle (planned, deployed, maintenance, offline, retired)
+async function updateSensorStatus(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+    const { status, reason, changed_at } = request.query;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    if (!status || !LIFECYCLE_STATES.includes(status)) {
+        return response.status(400).json({ error: `status is required. Allowed values are: ${LIFECYCLE_STATES.join(", ")}.` });
+    }
+
+    if (!reason || reason.trim() === "") {
+        return response.status(400).json({ error: 'reason is a required parameter.' });
+    }
+
+    if (reason.trim().length > MAX_REASON_LENGTH) {
+        return response.status(400).json({ error: `reason must be at most ${MAX_REASON_LENGTH} characters.` });
+    }
+
+    // Transitions default to now but can be back-dated when recorded after the fact
+    let changedAt;
+    try {
+        changedAt = formatDateTime(changed_at === undefined ? new Date() : changed_at);
+    } catch (err) {
+        return response.status(400).json({ error: 'changed_at must be a valid date or datetime.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const previousStatus = await RDSdatabase.transaction(
+            (trx) => transitionSensorStatus(trx, sensorExists, status, reason.trim(), changedAt)
+        );
+
+        return response.status(200).json({
+            message: 'Sensor status updated successfully.',
+            updated: {
+                sensor_brand,
+                sensor_id,
+                previous_status: previousStatus,
+                status,
+                reason: reason.trim(),
+                changed_at: changedAt
+            }
+        });
+
+    } catch (err) {
+        if (err.status === 400) {
+            return response.status(400).json({ error: err.message });
+        }
+        console.error('Error updating sensor status:', err);
+        return response.status(500).json({ error: `An error occurred while updating the sensor status: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// List every lifecycle transition of a sensor, oldest first
+async function getSensorStatusHistory(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const sensorExists = await RDSdatabase(SENSOR_TABLE)
+            .where({ sensor_brand, sensor_id })
+            .first();
+
+        if (!sensorExists) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const history = await getStatusHistory(RDSdatabase, sensor_brand, sensor_id);
+
+        return response.status(200).json({
+            status: sensorExists.lifecycle_status,
+            data: history,
+            message: history.length ? "Successfully returned the sensor's status history." : "No status changes have been recorded for this sensor."
+        });
+
+    } catch (err) {
+        console.error('Error fetching sensor status history:', err);
+        return response.status(500).json({ error: `An error occurred while fetching the sensor status history: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
 // Flag a sensor inactive but do not remove its data
 async function deprecateSensor(request, response) {
     let RDSdatabase;
@@ -198,6 +989,10 @@ async function deprecateSensor(request, response) {
         return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
     }
 
+    if (request.query.reason && request.query.reason.length > MAX_REASON_LENGTH) {
+        return response.status(400).json({ error: `reason must be at most ${MAX_REASON_LENGTH} characters.` });
+    }
+
     try {
         RDSdatabase = await RDSInstanceConnection();
 
@@ -209,24 +1004,175 @@ async function deprecateSensor(request, response) {
             return response.status(400).json({ error: 'Sensor not found.' });
         }
 
-        // Update the sensor to inactive
-        const updatedRows = await RDSdatabase(SENSOR_TABLE)
-            .where({ sensor_brand, sensor_id })
-            .update({ is_active: false });
-
-        if (updatedRows === 0) {
-            return response.status(500).json({ error: 'Failed to update sensor status.' });
+        if (sensorExists.lifecycle_status === "retired") {
+            return response.status(200).json({ message: 'Sensor is already retired.' });
         }
 
+        // Retire the sensor (this also marks it inactive) and log why
+        const reason = request.query.reason || "Sensor deprecated.";
+
+        await RDSdatabase.transaction(async (trx) => {
+            await transitionSensorStatus(trx, sensorExists, "retired", reason, formatDateTime(new Date()));
+        });
+
         return response.status(200).json({ message: 'Sensor successfully marked as inactive.' });
 
     } catch (err) {
+        if (err.status === 400) {
+            return response.status(400).json({ error: err.message });
+        }
         console.error('Error deprecating sensor:', err);
         return response.status(500).json({ error: `An error occurred while deprecating the sensor: ${err.sqlMessage || err.message}` });
     }
 }
 
 
+// Registry tables holding rows for a sensor, in the order they are deleted (SENSORS last for the foreign keys)
+const SENSOR_REGISTRY_TABLES = [
+    SENSOR_GROUP_MEMBERS_TABLE,
+    SENSOR_TAGS_TABLE,
+    SENSOR_EVENTS_TABLE,
+    SENSOR_STATUS_HISTORY_TABLE,
+    SENSOR_LOCATIONS_TABLE,
+    SENSOR_MODEL_SCHEMA_VERSIONS_TABLE,
+    CALIBRATION_RUNS_TABLE,
+    SENSOR_MODELS_TABLE,
+    SENSOR_TABLE,
+];
+
+
+// Everything a hard delete of the sensor would remove (undefined when the sensor is not registered).
+// preview is what the confirmation token signs, registryRows are kept for the archive
+async function buildDeletionPreview(database, sensor_brand, sensor_id) {
+    const registryRows = {};
+
+    for (const table of SENSOR_REGISTRY_TABLES) {
+        registryRows[table] = await database(table).select("*").where({ sensor_brand, sensor_id }).orderBy("id", "asc");
+    }
+
+    if (registryRows[SENSOR_TABLE].length === 0) {
+        return undefined;
+    }
+
+    const preview = {
+        sensor_brand,
+        sensor_id,
+        measurement_tables: await describeMeasurementTables(database, registryRows[SENSOR_MODELS_TABLE]),
+        registry_rows: Object.fromEntries(SENSOR_REGISTRY_TABLES.map((table) => [table, registryRows[table].length])),
+    };
+
+    return { preview, registryRows };
+}
+
+
+// Show what deleting a sensor would remove and issue the token needed to do it
+async function previewSensorDeletion(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const deletion = await buildDeletionPreview(RDSdatabase, sensor_brand, sensor_id);
+
+        if (!deletion) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        return response.status(200).json({
+            ...deletion.preview,
+            ...createConfirmationToken(deletion.preview),
+            message: "Nothing has been deleted. Send the confirmation_token to DELETE /api/v2/sensors/{sensor_brand}/{sensor_id} to remove all of the above."
+        });
+
+    } catch (err) {
+        console.error('Error previewing sensor deletion:', err);
+        return response.status(500).json({ error: `An error occurred while previewing the sensor deletion: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
+// Permanently remove a sensor, its measurement tables and every registry row. With archive=true everything is first
+// streamed back as an NDJSON download whose last line holds the outcome
+async function deleteSensor(request, response) {
+    const { sensor_brand, sensor_id } = request.params;
+    const { confirmation_token } = request.query;
+    const archive = request.query.archive === "true";
+
+    if (!sensor_brand || sensor_brand === "" || !sensor_id || sensor_id === "") {
+        return response.status(400).json({ error: 'sensor_brand and sensor_id are required parameters.' });
+    }
+
+    if (!confirmation_token) {
+        return response.status(400).json({
+            error: 'confirmation_token is required. Get one from GET /api/v2/sensors/{sensor_brand}/{sensor_id}/delete-preview.'
+        });
+    }
+
+    // Once the archive has started the status is sent, so later results go into its last line
+    const respond = (status, body) => (response.headersSent ? finishArchive(response, body) : response.status(status).json(body));
+
+    try {
+        let RDSdatabase = await RDSInstanceConnection();
+
+        const deletion = await buildDeletionPreview(RDSdatabase, sensor_brand, sensor_id);
+
+        if (!deletion) {
+            return response.status(400).json({ error: 'Sensor not found.' });
+        }
+
+        const tokenError = checkConfirmationToken(confirmation_token, deletion.preview);
+
+        if (tokenError) {
+            return response.status(400).json({ error: tokenError });
+        }
+
+        const { measurement_tables } = deletion.preview;
+
+        if (archive) {
+            try {
+                if (!await streamArchive(RDSdatabase, response, `${sensor_brand}_${sensor_id}`, measurement_tables, deletion.registryRows)) {
+                    return;
+                }
+            } catch (err) {
+                console.error('Error archiving sensor before deletion:', err);
+                return respond(500, { error: `Archiving failed, nothing was deleted: ${err.sqlMessage || err.message}` });
+            }
+        }
+
+        // Tables go first: if the registry delete then fails, a new preview and token can finish the job
+        const dropped_tables = await dropMeasurementTables(RDSdatabase, measurement_tables);
+
+        try {
+            await RDSdatabase.transaction(async (trx) => {
+                for (const table of SENSOR_REGISTRY_TABLES) {
+                    await trx(table).where({ sensor_brand, sensor_id }).del();
+                }
+            });
+        } catch (err) {
+            console.error('Error deleting sensor registry rows:', err);
+            return respond(500, {
+                error: `The measurement tables were dropped but deleting the registry rows failed, so they still point at tables that no longer exist. Request a new delete-preview and confirmation_token to finish the deletion: ${err.sqlMessage || err.message}`,
+                dropped_tables,
+            });
+        }
+
+        return respond(200, {
+            message: `Sensor '${sensor_brand}/${sensor_id}' and all of its data were deleted.`,
+            dropped_tables,
+            deleted_rows: deletion.preview.registry_rows,
+        });
+
+    } catch (err) {
+        console.error('Error deleting sensor:', err);
+        return respond(500, { error: `An error occurred while deleting the sensor: ${err.sqlMessage || err.message}` });
+    }
+}
+
+
 // Get all Sensors of the same brand and their information
 async function getSensorsByBrand(request, response) {
     const { sensor_brand } = request.params;
@@ -235,13 +1181,25 @@ async function getSensorsByBrand(request, response) {
         return response.status(400).json({ error: 'sensor_brand is a required parameter.' });
     }
 
+    const statuses = request.query.status === undefined ? undefined : parseStatusFilter(request.query.status);
+
+    if (request.query.status !== undefined && !statuses) {
+        return response.status(400).json({ error: INVALID_STATUS_FILTER });
+    }
+
     try {
         let RDSdatabase = await RDSInstanceConnection();
 
-        const brand_sensors = await RDSdatabase(SENSOR_TABLE)
+        const query = RDSdatabase(SENSOR_TABLE)
             .select("*")
             .where("sensor_brand", request.params.sensor_brand);
 
+        if (statuses) {
+            query.whereIn("lifecycle_status", statuses);
+        }
+
+        const brand_sensors = await query;
+
         if (!brand_sensors || brand_sensors.length === 0) {
             return response.status(500).json({ 
                 error: `No sensors found for brand '${sensor_brand}'` 
@@ -259,9 +1217,20 @@ async function getSensorsByBrand(request, response) {
 
 module.exports = {
     getAllSensors,
+    searchSensors,
+    getSensorsGeoJSON,
+    getFleetHealth,
+    getSensorHealth,
     addNewSensor,
+    bulkRegisterSensors,
     updateSensorLocation, 
+    getSensorLocationHistory,
+    getSensorLocationAt,
+    updateSensorStatus,
+    getSensorStatusHistory,
     deprecateSensor,
+    previewSensorDeletion,
+    deleteSensor,
     getSensorInfo,
     getSensorsByBrand,
 };
@@ -0,0 +1,467 @@
+const express = require("express");
+const CalibrationModelRouter = express.Router();
+const { requireAdmin } = require("../Utility/AdminAuthUtility.js");
+
+const {
+    getAllCalibrationModels,
+    createCalibrationModel,
+    getCalibrationModel,
+    runCalibrationModel,
+} = require("../Controllers/CalibrationModels.js");
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalibrationModel:
+ *       type: object
+ *       required:
+ *         - model_name
+ *         - version
+ *         - model_form
+ *         - definition
+ *       properties:
+ *         model_name:
+ *           type: string
+ *           example: NOAHS-MODEL
+ *           description: Letters, digits, '_' and '-' (up to 100 characters). CORRECTED tables written by the model use it as their measurement_model.
+ *         version:
+ *           type: string
+ *           example: "1.0.0"
+ *           description: Letters, digits, '.', '_' and '-' (up to 50 characters). A version cannot be changed once registered.
+ *         model_form:
+ *           type: string
+ *           enum: [linear, multilinear, piecewise]
+ *         definition:
+ *           description: The coefficients. Every form names the output column of the CORRECTED table; missing intercepts are 0.
+ *           oneOf:
+ *             - type: object
+ *               description: linear (output = intercept + slope * input)
+ *               properties:
+ *                 output:
+ *                   type: string
+ *                 input:
+ *                   type: string
+ *                 slope:
+ *                   type: number
+ *                 intercept:
+ *                   type: number
+ *             - type: object
+ *               description: multilinear (output = intercept + sum of coefficient * column over terms)
+ *               properties:
+ *                 output:
+ *                   type: string
+ *                 intercept:
+ *                   type: number
+ *                 terms:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: number
+ *             - type: object
+ *               description: piecewise (the first segment whose below bound is above the input applies its multilinear terms, the last segment has no bound)
+ *               properties:
+ *                 output:
+ *                   type: string
+ *                 input:
+ *                   type: string
+ *                 segments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       below:
+ *                         type: number
+ *                       intercept:
+ *                         type: number
+ *                       terms:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: number
+ *           example:
+ *             output: pm25
+ *             intercept: 5.75
+ *             terms:
+ *               pm25_cf1: 0.52
+ *               humidity: -0.086
+ *         description:
+ *           type: string
+ *           example: US-wide PurpleAir correction with an RH term
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/calibration-models:
+ *   get:
+ *     summary: Retrieve all calibration models
+ *     description: Lists every registered version of every bias-correction model with its coefficients.
+ *     tags:
+ *       - Calibration Models
+ *     responses:
+ *       200:
+ *         description: All calibration model versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CalibrationModel'
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *   post:
+ *     summary: Register a calibration model version (admin)
+ *     description: Stores a linear, multilinear or piecewise bias-correction model. Versions are never changed, so register new coefficients as a new version.
+ *     tags:
+ *       - Calibration Models
+ *     security:
+ *       - AdminKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalibrationModel'
+ *     responses:
+ *       201:
+ *         description: Model version registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid body, invalid piecewise segments or the version already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Missing or wrong x-admin-key header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set on the server)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+CalibrationModelRouter.route("").get(getAllCalibrationModels).post(requireAdmin, createCalibrationModel);
+
+
+/**
+ * @swagger
+ * /api/v2/calibration-models/{model_name}/{version}:
+ *   get:
+ *     summary: Retrieve a calibration model version and its runs
+ *     tags:
+ *       - Calibration Models
+ *     parameters:
+ *       - in: path
+ *         name: model_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the model
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The version of the model
+ *     responses:
+ *       200:
+ *         description: The model version, the RAW columns it reads and every run made with it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CalibrationModel'
+ *                 - type: object
+ *                   properties:
+ *                     input_columns:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     runs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CalibrationRun'
+ *       404:
+ *         description: Model version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+CalibrationModelRouter.route("/:model_name/:version").get(getCalibrationModel);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalibrationRun:
+ *       type: object
+ *       properties:
+ *         calibration_model_id:
+ *           type: integer
+ *         sensor_brand:
+ *           type: string
+ *         sensor_id:
+ *           type: string
+ *         source_table_name:
+ *           type: string
+ *         sensor_table_name:
+ *           type: string
+ *           description: The CORRECTED table written
+ *         start_date:
+ *           type: string
+ *         end_date:
+ *           type: string
+ *         rows_read:
+ *           type: integer
+ *         rows_missing_input:
+ *           type: integer
+ *           description: RAW rows left out because an input column was empty or not numeric
+ *         rows_rejected:
+ *           type: integer
+ *         inserted:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         skipped:
+ *           type: integer
+ *         on_conflict:
+ *           type: string
+ *         ran_at:
+ *           type: string
+ *           format: date-time
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/calibration-models/{model_name}/{version}/run:
+ *   post:
+ *     summary: Run a calibration model on a sensor's RAW readings (admin)
+ *     description: Reads the sensor's RAW table over the date range, applies the model and writes the results into the CORRECTED table {sensor_brand}_{sensor_id}_{model_name}_CORRECTED_{measurement_time_interval}, which must first be added through POST /api/v2/sensor-models. The output goes to the model's output column, the date column takes the RAW timestamp and other columns shared with the RAW schema are copied. Rows go through the same checks as uploads. The run is recorded and becomes the lineage of the CORRECTED model.
+ *     tags:
+ *       - Calibration Models
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: model_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the model
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The version of the model
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sensor_brand
+ *               - sensor_id
+ *               - measurement_time_interval
+ *               - start_date
+ *               - end_date
+ *             properties:
+ *               sensor_brand:
+ *                 type: string
+ *                 example: PurpleAir
+ *               sensor_id:
+ *                 type: string
+ *                 example: "12345"
+ *               source_table_name:
+ *                 type: string
+ *                 description: RAW table to read. Defaults to the sensor's only RAW model.
+ *               measurement_time_interval:
+ *                 type: string
+ *                 enum: [HOURLY, DAILY, OTHER]
+ *                 description: Time interval of the CORRECTED table to write
+ *               start_date:
+ *                 type: string
+ *                 example: "2024-06-01"
+ *               end_date:
+ *                 type: string
+ *                 example: "2024-06-30 23:59:59"
+ *               on_conflict:
+ *                 type: string
+ *                 enum: [error, skip, overwrite]
+ *                 default: error
+ *                 description: What to do with corrected rows whose timestamp already exists in the CORRECTED table
+ *               on_invalid:
+ *                 type: string
+ *                 enum: [reject, skip]
+ *                 default: reject
+ *               on_out_of_range:
+ *                 type: string
+ *                 enum: [reject, flag]
+ *                 default: reject
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Compute and check the corrected rows without writing them
+ *     responses:
+ *       200:
+ *         description: Dry run preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/IngestionPreview'
+ *                 - type: object
+ *                   properties:
+ *                     source_table_name:
+ *                       type: string
+ *                     rows_read:
+ *                       type: integer
+ *                     rows_missing_input:
+ *                       type: integer
+ *       201:
+ *         description: Corrected rows written and the run recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 run:
+ *                   $ref: '#/components/schemas/CalibrationRun'
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
+ *       400:
+ *         description: Invalid body, no or several RAW models, missing CORRECTED table or columns, no data in range, no raw row with every model input, or rows failing validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
+ *       401:
+ *         description: Missing or wrong x-admin-key header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set on the server)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       404:
+ *         description: Model version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       409:
+ *         description: Corrected timestamps already exist and on_conflict=error. Nothing was inserted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 conflicting_timestamps:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+CalibrationModelRouter.route("/:model_name/:version/run").post(requireAdmin, runCalibrationModel);
+
+
+module.exports = CalibrationModelRouter;
@@ -5,37 +5,596 @@ const {
     exportSensorDataToCSV,
     insertSensorDataFromCSV,
     fetchSensorDataReadings,
+    fetchAggregatedSensorDataReadings,
+    fetchGroupDataReadings,
+    fetchSensorAirQualityIndex,
+    fetchSensorDataCompleteness,
     insertSensorDataReadings,
     getLastDataReading,
 } = require("../Controllers/DataReadings.js");
 
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ValidationReport:
+ *       type: object
+ *       description: Row-level validation result of an upload.
+ *       properties:
+ *         rows_checked:
+ *           type: integer
+ *         rows_valid:
+ *           type: integer
+ *         rows_rejected:
+ *           type: integer
+ *         errors_truncated:
+ *           type: boolean
+ *           description: True when more problems were found than are listed.
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *                 description: CSV line number (header is line 1) or 1-based position in the JSON array.
+ *               column:
+ *                 type: string
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *         rows_flagged:
+ *           type: integer
+ *           description: Stored rows with values outside a column's valid range (on_out_of_range=flag).
+ *         flags:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *               column:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     Page:
+ *       type: object
+ *       description: Returned instead of the plain listing when limit or cursor is given.
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             type: object
+ *         limit:
+ *           type: integer
+ *         total_count:
+ *           type: integer
+ *           description: Number of matching rows across all pages.
+ *         next_cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as cursor to fetch the next page; null on the last page.
+ *     IngestionPreview:
+ *       type: object
+ *       description: What an upload would do, produced by dry_run=true.
+ *       properties:
+ *         dry_run:
+ *           type: boolean
+ *         rows_received:
+ *           type: integer
+ *         rows_valid:
+ *           type: integer
+ *         rows_rejected:
+ *           type: integer
+ *         date_range:
+ *           type: object
+ *           properties:
+ *             start:
+ *               type: string
+ *             end:
+ *               type: string
+ *         overlap:
+ *           type: object
+ *           properties:
+ *             existing_timestamps:
+ *               type: integer
+ *             repeated_in_upload:
+ *               type: integer
+ *             first_existing:
+ *               type: string
+ *             last_existing:
+ *               type: string
+ *         on_conflict:
+ *           type: string
+ *         on_invalid:
+ *           type: string
+ *         would_insert:
+ *           type: integer
+ *         would_update:
+ *           type: integer
+ *         would_skip:
+ *           type: integer
+ *         blocked_by_validation:
+ *           type: boolean
+ *           description: True when rows failed validation and the upload would be refused (on_invalid=reject, or no valid rows).
+ *         blocked_by_conflict:
+ *           type: boolean
+ *           description: True when on_conflict=error and the upload would be refused.
+ *         sample_rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *         validation:
+ *           $ref: '#/components/schemas/ValidationReport'
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Set when the sensor is not deployed (planned, maintenance, offline or retired).
+ */
+
+
 /**
  * @swagger
  * /api/v2/readings/csv/{sensor_brand}/{sensor_id}/{measurement_model}/{measurement_type}/{measurement_time_interval}:
  *   get:
- *     summary: Get sensor readings in CSV format
- *     description: Fetch sensor data for a specific sensor within a date range and return as CSV.
+ *     summary: Get sensor readings in CSV or NDJSON format
+ *     description: Stream sensor data for a specific sensor within a date range as a CSV (default) or NDJSON download. When the model has column metadata, CSV files start with one comment line per described column, starting with '#' and listing its unit, parameter_code, description, valid range and precision (read them with comment='#').
+ *     tags:
+ *       - AQ Data Readings
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor.
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The unique ID of the sensor.
+ *       - in: path
+ *         name: measurement_model
+ *         required: false 
+ *         schema:
+ *           type: string
+ *         description: The model of the sensor measurement. (Use 'RAW_MODEL' when querying for raw data)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data) 
+ *       - name: start_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for fetching data.
+ *       - name: end_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for fetching data.
+ *       - name: agg
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: mean,max,p98
+ *         description: Comma separated aggregate functions applied to every numeric column (mean, min, max, median, stddev, count, or a percentile such as p5, p95, p98). When given, the CSV holds a single summary row for the date range with {column}_{function} columns.
+ *       - name: with_location
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Add sensor_latitude and sensor_longitude columns holding where the sensor was deployed when each row was taken (null if no location was recorded for that time).
+ *       - name: with_events
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Add a maintenance_events column listing the id and event_type of every sensor event (filter swap, calibration, co-location...) in progress when each row was taken.
+ *       - name: units
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         example: ug/m3,C
+ *         description: Comma-separated units to read columns in, converted from the unit declared in each column's metadata. A bare unit (ppb, ppm, ug/m3, mg/m3, C, F, K, Pa, hPa, mbar, kPa, atm, mmHg, inHg) converts every column it applies to, a column:unit entry (e.g. no2:ppb) only that column. Gases convert between ppb and ug/m3 with their molecular weight, found from the column's parameter_code (formula such as NO2 or AQS code such as 42602) or name; particulate matter keeps its mass unit.
+ *       - name: gas_conditions
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [reference, measured]
+ *           default: reference
+ *         description: Temperature and pressure used for ppb to ug/m3 conversions. reference uses ref_temperature and ref_pressure, measured uses each row's temperature and pressure columns (rows missing either read null).
+ *       - name: ref_temperature
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: number
+ *           default: 25
+ *         description: Reference temperature in C (gas_conditions=reference)
+ *       - name: ref_pressure
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: number
+ *           default: 1013.25
+ *         description: Reference pressure in hPa (gas_conditions=reference)
+ *       - name: temperature_column
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Temperature column for gas_conditions=measured. Defaults to the only column declaring a temperature unit.
+ *       - name: pressure_column
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Pressure column for gas_conditions=measured. Defaults to the only column declaring a pressure unit.
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *         description: Output format. Rows are streamed from the database, so large ranges do not need to fit in memory.
+ *     responses:
+ *       200:
+ *         description: CSV file containing sensor readings.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Bad request. Invalid parameters or no data found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Details about the validation or data retrieval error.
+ *       500:
+ *         description: Server error. An issue occurred while retrieving sensor data.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Error message describing the issue.
+ */
+DataRouter.get("/csv/:sensor_brand/:sensor_id/:measurement_model/:measurement_type/:measurement_time_interval", exportSensorDataToCSV);
+
+
+/**
+ * @swagger
+ * /api/v2/readings/json/{sensor_brand}/{sensor_id}/{measurement_model}/{measurement_type}/{measurement_time_interval}:
+ *   get:
+ *     summary: Get sensor readings in JSON format
+ *     description: Fetch sensor data for a specific sensor within a date range and return as JSON.
+ *     tags:
+ *       - AQ Data Readings
+ *     parameters:
+ *       - name: sensor_brand
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor.
+ *       - name: sensor_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The unique ID of the sensor.
+ *       - name: measurement_model
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The model of the sensor measurement. (Use 'RAW_MODEL' when querying for raw data)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data) 
+ *       - name: start_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for fetching data.
+ *       - name: end_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for fetching data.
+ *       - name: averaged_rows 
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: returns data from date query averaged to N rows.
+ *       - name: agg
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: mean,max,p98
+ *         description: Comma separated aggregate functions applied to every numeric column (mean, min, max, median, stddev, count, or a percentile such as p5, p95, p98). Values are returned as {column}_{function}. Without averaged_rows the whole date range is summarized as one row.
+ *       - name: with_location
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Add sensor_latitude and sensor_longitude columns holding where the sensor was deployed when each row was taken (null if no location was recorded for that time).
+ *       - name: with_events
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Add a maintenance_events column listing the id and event_type of every sensor event (filter swap, calibration, co-location...) in progress when each row was taken.
+ *       - name: units
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         example: ug/m3,C
+ *         description: Comma-separated units to read columns in, converted from the unit declared in each column's metadata. A bare unit (ppb, ppm, ug/m3, mg/m3, C, F, K, Pa, hPa, mbar, kPa, atm, mmHg, inHg) converts every column it applies to, a column:unit entry (e.g. no2:ppb) only that column. Gases convert between ppb and ug/m3 with their molecular weight, found from the column's parameter_code (formula such as NO2 or AQS code such as 42602) or name; particulate matter keeps its mass unit.
+ *       - name: gas_conditions
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [reference, measured]
+ *           default: reference
+ *         description: Temperature and pressure used for ppb to ug/m3 conversions. reference uses ref_temperature and ref_pressure, measured uses each row's temperature and pressure columns (rows missing either read null).
+ *       - name: ref_temperature
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: number
+ *           default: 25
+ *         description: Reference temperature in C (gas_conditions=reference)
+ *       - name: ref_pressure
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: number
+ *           default: 1013.25
+ *         description: Reference pressure in hPa (gas_conditions=reference)
+ *       - name: temperature_column
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Temperature column for gas_conditions=measured. Defaults to the only column declaring a temperature unit.
+ *       - name: pressure_column
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Pressure column for gas_conditions=measured. Defaults to the only column declaring a pressure unit.
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10000
+ *         description: Page size. Giving limit or cursor switches the response to a page envelope (data, limit, total_count, next_cursor). Cannot be combined with averaged_rows or agg. Pages follow the date column.
+ *       - name: cursor
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Opaque next_cursor value returned by the previous page.
+ *     responses:
+ *       200:
+ *         description: JSON array containing sensor readings, or a page envelope when limit or cursor is given.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     type: object
+ *                 - $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Bad request. Invalid parameters or no data found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message regarding the request failure.
+ *       500:
+ *         description: Server error. An issue occurred while retrieving sensor data.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Detailed error message about the server issue.
+ */
+DataRouter.get("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_type/:measurement_time_interval", fetchSensorDataReadings);
+
+
+/**
+ * @swagger
+ * /api/v2/readings/aggregate/{sensor_brand}/{sensor_id}/{measurement_model}/{measurement_type}/{measurement_time_interval}:
+ *   get:
+ *     summary: Get sensor readings aggregated into calendar windows
+ *     description: Groups a measurement table by fixed calendar windows on its date column (minutes, clock hours, UTC days or Monday-aligned weeks) and returns one row per window with the mean of every numeric column and the number of samples behind it. Empty windows are not returned.
+ *     tags:
+ *       - AQ Data Readings
+ *     parameters:
+ *       - name: sensor_brand
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor.
+ *       - name: sensor_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The unique ID of the sensor.
+ *       - name: measurement_model
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The model of the sensor measurement. (Use 'RAW_MODEL' when querying for raw data)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data) 
+ *       - name: start_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for fetching data.
+ *       - name: end_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for fetching data.
+ *       - name: bucket
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1h
+ *         description: Window size as a whole number followed by m (minutes), h (hours), d (days) or w (weeks), e.g. 15m, 1h, 1d, 1w.
+ *     responses:
+ *       200:
+ *         description: JSON array with one object per window.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   bucket_start:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Start of the window
+ *                   sample_count:
+ *                     type: integer
+ *                     description: Number of readings that fell inside the window
+ *       400:
+ *         description: Bad request. Invalid parameters or no data found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message regarding the request failure.
+ *       500:
+ *         description: Server error. An issue occurred while aggregating sensor data.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Detailed error message about the server issue.
+ */
+DataRouter.get("/aggregate/:sensor_brand/:sensor_id/:measurement_model/:measurement_type/:measurement_time_interval", fetchAggregatedSensorDataReadings);
+
+
+/**
+ * @swagger
+ * /api/v2/readings/group/{group_name}/{measurement_model}/{measurement_type}/{measurement_time_interval}:
+ *   get:
+ *     summary: Get the readings of every sensor in a group merged on timestamp
+ *     description: |
+ *       Reads the same measurement model, type and interval for every member of a sensor group and joins them into one row per timestamp.
+ *       Numeric columns are prefixed with the member's {sensor_brand}_{sensor_id}_ (e.g. PurpleAir_1234_pm25), and a member without a reading
+ *       at a timestamp has no columns in that row. Give a bucket to average every member onto shared calendar windows first, which lines up
+ *       raw readings that were not taken at exactly the same second. Members without a matching table are listed in sensors and skipped.
  *     tags:
  *       - AQ Data Readings
  *     parameters:
- *       - in: path
- *         name: sensor_brand
+ *       - name: group_name
+ *         in: path
  *         required: true
  *         schema:
  *           type: string
- *         description: The brand of the sensor.
- *       - in: path
- *         name: sensor_id
+ *         description: The name of the sensor group.
+ *       - name: measurement_model
+ *         in: path
  *         required: true
  *         schema:
  *           type: string
- *         description: The unique ID of the sensor.
- *       - in: path
- *         name: measurement_model
- *         required: false 
- *         schema:
- *           type: string
  *         description: The model of the sensor measurement. (Use 'RAW_MODEL' when querying for raw data)
  *       - in: path
  *         name: measurement_type
@@ -50,7 +609,7 @@ const {
  *         schema:
  *           type: string
  *           enum: [HOURLY, DAILY, OTHER]
- *         description: The measurements recorded time interval (OTHER if raw data) 
+ *         description: The measurements recorded time interval (OTHER if raw data)
  *       - name: start_date
  *         in: query
  *         required: true
@@ -65,16 +624,64 @@ const {
  *           type: string
  *           format: date
  *         description: End date for fetching data.
+ *       - name: bucket
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 1h
+ *         description: Optional window size (15m, 1h, 1d, 1w). Each member is averaged per window and rows are merged on the window start.
  *     responses:
  *       200:
- *         description: CSV file containing sensor readings.
+ *         description: The members that were read and the merged rows.
  *         content:
- *           text/csv:
+ *           application/json:
  *             schema:
- *               type: string
- *               format: binary
+ *               type: object
+ *               properties:
+ *                 group_name:
+ *                   type: string
+ *                 sensors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sensor_brand:
+ *                         type: string
+ *                       sensor_id:
+ *                         type: string
+ *                       sensor_table_name:
+ *                         type: string
+ *                       included:
+ *                         type: boolean
+ *                       row_count:
+ *                         type: integer
+ *                         description: Rows (or windows) read for this member
+ *                       reason:
+ *                         type: string
+ *                         description: Why the member was skipped
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Reading time, or window start when a bucket is given
+ *                     additionalProperties: true
  *       400:
- *         description: Bad request. Invalid parameters or no data found.
+ *         description: Bad request. Invalid parameters, the group has no members or no data was found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message regarding the request failure.
+ *       404:
+ *         description: The sensor group does not exist.
  *         content:
  *           application/json:
  *             schema:
@@ -82,9 +689,8 @@ const {
  *               properties:
  *                 error:
  *                   type: string
- *                   description: Details about the validation or data retrieval error.
  *       500:
- *         description: Server error. An issue occurred while retrieving sensor data.
+ *         description: Server error. An issue occurred while fetching the group's data.
  *         content:
  *           application/json:
  *             schema:
@@ -92,17 +698,17 @@ const {
  *               properties:
  *                 message:
  *                   type: string
- *                   description: Error message describing the issue.
+ *                   description: Detailed error message about the server issue.
  */
-DataRouter.get("/csv/:sensor_brand/:sensor_id/:measurement_model/:measurement_type/:measurement_time_interval", exportSensorDataToCSV);
+DataRouter.get("/group/:group_name/:measurement_model/:measurement_type/:measurement_time_interval", fetchGroupDataReadings);
 
 
 /**
  * @swagger
- * /api/v2/readings/json/{sensor_brand}/{sensor_id}/{measurement_model}/{measurement_type}/{measurement_time_interval}:
+ * /api/v2/readings/aqi/{sensor_brand}/{sensor_id}/{measurement_model}/{measurement_type}/{measurement_time_interval}:
  *   get:
- *     summary: Get sensor readings in JSON format
- *     description: Fetch sensor data for a specific sensor within a date range and return as JSON.
+ *     summary: Get US EPA AQI and NowCast for sensor readings
+ *     description: Averages the mapped pollutant columns by clock hour and computes, for every hour in the date range, the EPA AQI sub-index of each pollutant over its regulatory averaging period, the overall AQI with its dominant pollutant, and the hourly NowCast for PM2.5 and PM10. Map at least one pollutant to a column of the model's schema.
  *     tags:
  *       - AQ Data Readings
  *     parameters:
@@ -136,8 +742,8 @@ DataRouter.get("/csv/:sensor_brand/:sensor_id/:measurement_model/:measurement_ty
  *         required: true
  *         schema:
  *           type: string
- *           enum: [HOURLY, DAILY, OTHER]
- *         description: The measurements recorded time interval (OTHER if raw data) 
+ *           enum: [HOURLY, OTHER]
+ *         description: The measurements recorded time interval (DAILY tables are not supported)
  *       - name: start_date
  *         in: query
  *         required: true
@@ -152,23 +758,70 @@ DataRouter.get("/csv/:sensor_brand/:sensor_id/:measurement_model/:measurement_ty
  *           type: string
  *           format: date
  *         description: End date for fetching data.
- *       - name: averaged_rows 
+ *       - name: pm25
  *         in: query
  *         required: false
  *         schema:
- *           type: integer
- *         description: returns data from date query averaged to N rows.
+ *           type: string
+ *         description: Column holding PM2.5 in µg/m³ (24-hour average, NowCast).
+ *       - name: pm10
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Column holding PM10 in µg/m³ (24-hour average, NowCast).
+ *       - name: o3
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Column holding O3 in ppm (8-hour average, 1-hour above 0.125 ppm).
+ *       - name: no2
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Column holding NO2 in ppb (1-hour).
+ *       - name: co
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Column holding CO in ppm (8-hour average).
+ *       - name: so2
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Column holding SO2 in ppb (1-hour).
  *     responses:
  *       200:
- *         description: JSON array containing sensor readings.
+ *         description: JSON array with one object per hour.
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 type: object
+ *                 properties:
+ *                   hour:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Start of the hour
+ *                   sub_indices:
+ *                     type: object
+ *                     description: Averaged concentration and AQI per pollutant
+ *                   nowcast:
+ *                     type: object
+ *                     description: NowCast concentration and AQI for PM2.5 and PM10
+ *                   aqi:
+ *                     type: integer
+ *                     description: Overall AQI (highest sub-index)
+ *                   dominant_pollutant:
+ *                     type: string
+ *                     description: Pollutant responsible for the overall AQI
  *       400:
- *         description: Bad request. Invalid parameters or no data found.
+ *         description: Bad request. Invalid parameters, unknown columns or no data found.
  *         content:
  *           application/json:
  *             schema:
@@ -178,7 +831,7 @@ DataRouter.get("/csv/:sensor_brand/:sensor_id/:measurement_model/:measurement_ty
  *                   type: string
  *                   description: Error message regarding the request failure.
  *       500:
- *         description: Server error. An issue occurred while retrieving sensor data.
+ *         description: Server error. An issue occurred while computing the AQI.
  *         content:
  *           application/json:
  *             schema:
@@ -188,7 +841,128 @@ DataRouter.get("/csv/:sensor_brand/:sensor_id/:measurement_model/:measurement_ty
  *                   type: string
  *                   description: Detailed error message about the server issue.
  */
-DataRouter.get("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_type/:measurement_time_interval", fetchSensorDataReadings);
+DataRouter.get("/aqi/:sensor_brand/:sensor_id/:measurement_model/:measurement_type/:measurement_time_interval", fetchSensorAirQualityIndex);
+
+
+/**
+ * @swagger
+ * /api/v2/readings/completeness/{sensor_brand}/{sensor_id}/{measurement_model}/{measurement_type}/{measurement_time_interval}:
+ *   get:
+ *     summary: Get a data completeness and gap report
+ *     description: Compares the readings in a date range against the model's measurement interval (one reading per hour for HOURLY, per day for DAILY, or the median spacing between readings for OTHER) and returns the completeness percentage, every gap with its start and end, and the longest outage.
+ *     tags:
+ *       - AQ Data Readings
+ *     parameters:
+ *       - name: sensor_brand
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor.
+ *       - name: sensor_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The unique ID of the sensor.
+ *       - name: measurement_model
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The model of the sensor measurement. (Use 'RAW_MODEL' when querying for raw data)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data) 
+ *       - name: start_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the period to check.
+ *       - name: end_date
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period to check.
+ *     responses:
+ *       200:
+ *         description: Completeness report for the date range.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval_seconds:
+ *                   type: integer
+ *                   description: Expected spacing between readings
+ *                 interval_inferred:
+ *                   type: boolean
+ *                   description: Whether the interval was inferred from the data (OTHER tables)
+ *                 readings_found:
+ *                   type: integer
+ *                 expected_readings:
+ *                   type: integer
+ *                 missing_intervals:
+ *                   type: integer
+ *                 completeness_percent:
+ *                   type: number
+ *                 gap_count:
+ *                   type: integer
+ *                 longest_outage:
+ *                   type: object
+ *                   nullable: true
+ *                 gaps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       gap_start:
+ *                         type: string
+ *                         format: date-time
+ *                       gap_end:
+ *                         type: string
+ *                         format: date-time
+ *                       missing_intervals:
+ *                         type: integer
+ *                       duration_hours:
+ *                         type: number
+ *       400:
+ *         description: Bad request. Invalid parameters, start_date after end_date, or too little data to infer a cadence.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message regarding the request failure.
+ *       500:
+ *         description: Server error. An issue occurred while building the report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Detailed error message about the server issue.
+ */
+DataRouter.get("/completeness/:sensor_brand/:sensor_id/:measurement_model/:measurement_type/:measurement_time_interval", fetchSensorDataCompleteness);
 
 
 /**
@@ -232,6 +1006,37 @@ DataRouter.get("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_t
  *           type: string
  *           enum: [HOURLY, DAILY, OTHER]
  *         description: The measurements recorded time interval (OTHER if raw data) 
+ *       - name: on_conflict
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [error, skip, overwrite]
+ *           default: error
+ *         description: What to do with rows whose timestamp already exists (or repeats in the upload). error rejects the whole upload, skip keeps the stored readings, overwrite replaces them.
+ *       - name: on_invalid
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [reject, skip]
+ *           default: reject
+ *         description: What to do with rows that fail validation against the model's sensor_data_schema (number, integer, string, date/datetime). reject refuses the whole upload, skip inserts the valid rows and returns the rejects.
+ *       - name: on_out_of_range
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [reject, flag]
+ *           default: reject
+ *         description: What to do with values outside a column's min_value/max_value metadata. reject treats them as failed validation (see on_invalid), flag stores them and lists them in validation.flags.
+ *       - name: dry_run
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate only. Runs the schema match, date normalization, type checks and duplicate detection, then returns a preview (row count, date range, overlap with stored readings, sample normalized rows) without writing anything.
  *     requestBody:
  *       required: true
  *       content:
@@ -241,6 +1046,12 @@ DataRouter.get("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_t
  *             items:
  *               type: object
  *     responses:
+ *       200:
+ *         description: Dry run preview (dry_run=true). Nothing was written.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestionPreview'
  *       201:
  *         description: Sensor data successfully inserted into the database.
  *         content:
@@ -251,6 +1062,25 @@ DataRouter.get("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_t
  *                 message:
  *                   type: string
  *                   description: Success message.
+ *                 inserted:
+ *                   type: integer
+ *                   description: Rows written as new readings.
+ *                 skipped:
+ *                   type: integer
+ *                   description: Rows left out because their timestamp already existed or repeated.
+ *                 updated:
+ *                   type: integer
+ *                   description: Stored readings replaced (on_conflict=overwrite).
+ *                 rejected:
+ *                   type: integer
+ *                   description: Rows that failed validation and were not inserted (on_invalid=skip).
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Set when the sensor is not deployed (planned, maintenance, offline or retired). The data is still stored.
  *       400:
  *         description: Bad request. Invalid data or schema mismatch.
  *         content:
@@ -261,6 +1091,21 @@ DataRouter.get("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_t
  *                 error:
  *                   type: string
  *                   description: Validation error or mismatched data structure.
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
+ *       409:
+ *         description: Conflict. Some timestamps already exist and on_conflict is error; nothing was inserted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 conflicting_timestamps:
+ *                   type: array
+ *                   items:
+ *                     type: string
  *       500:
  *         description: Server error. An issue occurred while inserting sensor data.
  *         content:
@@ -316,6 +1161,37 @@ DataRouter.post("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_
  *           type: string
  *           enum: [HOURLY, DAILY, OTHER]
  *         description: The measurements recorded time interval (OTHER if raw data) 
+ *       - name: on_conflict
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [error, skip, overwrite]
+ *           default: error
+ *         description: What to do with rows whose timestamp already exists (or repeats in the upload). error rejects the whole upload, skip keeps the stored readings, overwrite replaces them.
+ *       - name: on_invalid
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [reject, skip]
+ *           default: reject
+ *         description: What to do with rows that fail validation against the model's sensor_data_schema (number, integer, string, date/datetime). reject refuses the whole upload, skip inserts the valid rows and returns the rejects.
+ *       - name: on_out_of_range
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [reject, flag]
+ *           default: reject
+ *         description: What to do with values outside a column's min_value/max_value metadata. reject treats them as failed validation (see on_invalid), flag stores them and lists them in validation.flags.
+ *       - name: dry_run
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate only. Runs the schema match, date normalization, type checks and duplicate detection, then returns a preview (row count, date range, overlap with stored readings, sample normalized rows) without writing anything.
  *     requestBody:
  *       required: true
  *       content:
@@ -327,6 +1203,12 @@ DataRouter.post("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_
  *                 type: string
  *                 format: binary
  *     responses:
+ *       200:
+ *         description: Dry run preview (dry_run=true). Nothing was written.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestionPreview'
  *       201:
  *         description: CSV file successfully processed and sensor data added.
  *         content:
@@ -337,6 +1219,25 @@ DataRouter.post("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_
  *                 message:
  *                   type: string
  *                   description: Success message.
+ *                 inserted:
+ *                   type: integer
+ *                   description: Rows written as new readings.
+ *                 skipped:
+ *                   type: integer
+ *                   description: Rows left out because their timestamp already existed or repeated.
+ *                 updated:
+ *                   type: integer
+ *                   description: Stored readings replaced (on_conflict=overwrite).
+ *                 rejected:
+ *                   type: integer
+ *                   description: Rows that failed validation and were not inserted (on_invalid=skip).
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Set when the sensor is not deployed (planned, maintenance, offline or retired). The data is still stored.
  *       400:
  *         description: Bad request. Invalid CSV data or schema mismatch.
  *         content:
@@ -347,6 +1248,21 @@ DataRouter.post("/json/:sensor_brand/:sensor_id/:measurement_model/:measurement_
  *                 error:
  *                   type: string
  *                   description: Details about the CSV parsing or validation error.
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
+ *       409:
+ *         description: Conflict. Some timestamps already exist and on_conflict is error; nothing was inserted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 conflicting_timestamps:
+ *                   type: array
+ *                   items:
+ *                     type: string
  *       500:
  *         description: Server error. An issue occurred while processing the CSV file.
  *         content:
@@ -0,0 +1,379 @@
+const express = require("express");
+const SensorGroupRouter = express.Router();
+
+const {
+    getAllSensorGroups,
+    createSensorGroup,
+    getSensorGroup,
+    deleteSensorGroup,
+    addSensorGroupMembers,
+    removeSensorGroupMember,
+} = require("../Controllers/SensorGroups.js");
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SensorGroupMember:
+ *       type: object
+ *       required:
+ *         - sensor_brand
+ *         - sensor_id
+ *       properties:
+ *         sensor_brand:
+ *           type: string
+ *           example: PurpleAir
+ *         sensor_id:
+ *           type: string
+ *           example: "12345"
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-groups:
+ *   get:
+ *     summary: Retrieve all sensor groups
+ *     description: Lists every named group of sensors (city deployments, study cohorts, co-location racks, ...) with its number of members.
+ *     tags:
+ *       - Sensor Groups
+ *     responses:
+ *       200:
+ *         description: All sensor groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       group_name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                         nullable: true
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       member_count:
+ *                         type: integer
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *   post:
+ *     summary: Create a sensor group
+ *     description: Creates a named group, optionally with its first members. Every member must already be registered.
+ *     tags:
+ *       - Sensor Groups
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - group_name
+ *             properties:
+ *               group_name:
+ *                 type: string
+ *                 example: baltimore-east
+ *                 description: Letters, digits, '_' and '-' (up to 100 characters)
+ *               description:
+ *                 type: string
+ *                 example: East Baltimore community deployment
+ *               sensors:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SensorGroupMember'
+ *     responses:
+ *       201:
+ *         description: Group created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid body, the name is taken or some sensors are not registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *                 sensors:
+ *                   type: array
+ *                   description: The unregistered sensors
+ *                   items:
+ *                     $ref: '#/components/schemas/SensorGroupMember'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorGroupRouter.route("").get(getAllSensorGroups).post(createSensorGroup);
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-groups/{group_name}:
+ *   get:
+ *     summary: Retrieve a sensor group and its members
+ *     tags:
+ *       - Sensor Groups
+ *     parameters:
+ *       - in: path
+ *         name: group_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the group
+ *     responses:
+ *       200:
+ *         description: The group and its members in the order they were added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 group_name:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                   nullable: true
+ *                 created_at:
+ *                   type: string
+ *                   format: date-time
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SensorGroupMember'
+ *                       - type: object
+ *                         properties:
+ *                           added_at:
+ *                             type: string
+ *                             format: date-time
+ *       404:
+ *         description: Group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *   delete:
+ *     summary: Delete a sensor group
+ *     description: Removes the group and its memberships. The sensors and their readings are not touched.
+ *     tags:
+ *       - Sensor Groups
+ *     parameters:
+ *       - in: path
+ *         name: group_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the group
+ *     responses:
+ *       200:
+ *         description: Group deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorGroupRouter.route("/:group_name").get(getSensorGroup).delete(deleteSensorGroup);
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-groups/{group_name}/members:
+ *   put:
+ *     summary: Add sensors to a group
+ *     description: Adds the given sensors to the group. Sensors that are already members are left as they are. Every sensor must already be registered.
+ *     tags:
+ *       - Sensor Groups
+ *     parameters:
+ *       - in: path
+ *         name: group_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the group
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sensors
+ *             properties:
+ *               sensors:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/SensorGroupMember'
+ *     responses:
+ *       200:
+ *         description: The group's members after the change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SensorGroupMember'
+ *       400:
+ *         description: Invalid body or some sensors are not registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *       404:
+ *         description: Group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorGroupRouter.route("/:group_name/members").put(addSensorGroupMembers);
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-groups/{group_name}/members/{sensor_brand}/{sensor_id}:
+ *   delete:
+ *     summary: Remove a sensor from a group
+ *     tags:
+ *       - Sensor Groups
+ *     parameters:
+ *       - in: path
+ *         name: group_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the group
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     responses:
+ *       200:
+ *         description: Sensor removed from the group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Group not found or the sensor is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorGroupRouter.route("/:group_name/members/:sensor_brand/:sensor_id").delete(removeSensorGroupMember);
+
+
+module.exports = SensorGroupRouter;
@@ -7,8 +7,17 @@ const {
     getSensorModels,
     getSensorModelDataSchema,
     downloadSensorModelReadings,
+    updateSensorModelMetadata,
+    updateSensorModelLineage,
+    getSensorModelLineage,
+    getSensorModelSchemaVersions,
+    addSensorModelColumns,
+    previewSensorModelDeletion,
+    deleteSensorModel,
 } = require("../Controllers/SensorModels.js");
 
+const { requireAdmin } = require("../Utility/AdminAuthUtility.js");
+
 
 /**
  * @swagger
@@ -18,6 +27,21 @@ const {
  *     description: Fetch an array of all uploaded Sensor Models and their Tables.
  *     tags:
  *       - Sensor Models
+ *     parameters:
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10000
+ *         description: Page size. Giving limit or cursor switches the response to a page envelope (data, limit, total_count, next_cursor). Pages follow the primary key.
+ *       - name: cursor
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Opaque next_cursor value returned by the previous page.
  *     responses:
  *       200:
  *         description: An array of sensors
@@ -120,6 +144,10 @@ SensorModelRouter.route("").get(getAllSensorModels);
  *                   temperature: "float"
  *                   humidity: "float"
  *                   timestamp: "datetime"
+ *               column_metadata:
+ *                 $ref: '#/components/schemas/ColumnMetadata'
+ *               lineage:
+ *                 $ref: '#/components/schemas/ModelLineage'
  *     responses:
  *       201:
  *         description: Sensor successfully added
@@ -246,7 +274,7 @@ SensorModelRouter.route("/:sensor_brand/:sensor_id").get(getSensorModels);
  * /api/v2/sensor-models/csv/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
  *   get:
  *     summary: Download an entire sensor model's data as a CSV file
- *     description: Fetches the data from a specifc sensor schema model based on specified parameters and returns it as a downloadable CSV file.
+ *     description: Fetches the data from a specifc sensor schema model based on specified parameters and returns it as a downloadable CSV file. When the model has column metadata, the CSV starts with one '#' comment line per described column listing its unit, parameter_code, description, valid range and precision.
  *     tags:
  *       - Sensor Models
  *     parameters:
@@ -282,15 +310,28 @@ SensorModelRouter.route("/:sensor_brand/:sensor_id").get(getSensorModels);
  *           type: string
  *           enum: [HOURLY, DAILY, OTHER]
  *         description: The measurements recorded time interval (OTHER if raw data) 
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *         description: Output format. Rows are streamed from the database, so large ranges do not need to fit in memory.
  *     responses:
  *       200:
- *         description: Sensor data successfully retrieved and returned as CSV.
+ *         description: Sensor data successfully retrieved and returned as CSV or NDJSON.
  *         content:
  *           text/csv:
  *             schema:
  *               type: string
  *               format: binary
  *               description: CSV file containing the sensor data.
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *               description: One JSON object per line.
  *       400:
  *         description: Invalid input or no data found for the specified sensor.
  *         content:
@@ -317,10 +358,313 @@ SensorModelRouter.route("/csv/:sensor_brand/:sensor_id/:measurement_type/:measur
 
 /**
  * @swagger
- * /api/v2/sensor-models/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
+ * components:
+ *   schemas:
+ *     SchemaVersion:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *         sensor_data_schema:
+ *           type: object
+ *           description: The full column -> type map at this version
+ *         added_columns:
+ *           type: object
+ *           description: Columns this version added
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: NULL for the original schema of a model that was never changed
+ */
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ColumnMetadata:
+ *       type: object
+ *       description: Column names mapped to their metadata. min_value and max_value are checked at ingestion (see on_out_of_range).
+ *       additionalProperties:
+ *         type: object
+ *         properties:
+ *           unit:
+ *             type: string
+ *             example: ug/m3
+ *           parameter_code:
+ *             type: string
+ *             description: Pollutant or parameter code (e.g. an AQS code such as 88101, or PM2.5)
+ *             example: "88101"
+ *           description:
+ *             type: string
+ *           min_value:
+ *             type: number
+ *           max_value:
+ *             type: number
+ *           precision:
+ *             type: integer
+ *             description: Decimal places the instrument reports. CSV and NDJSON exports round the column to it (except when units converts the column).
+ *       example:
+ *         pm25:
+ *           unit: ug/m3
+ *           parameter_code: "88101"
+ *           description: PM2.5 mass concentration
+ *           min_value: 0
+ *           max_value: 1000
+ *           precision: 1
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-models/metadata/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
+ *   put:
+ *     summary: Set the column metadata of a sensor model
+ *     description: Sets the unit, parameter code, description, valid range and precision of some columns. Each column given replaces that column's metadata and the other columns keep theirs. Metadata can be changed at any time, unlike the schema.
+ *     tags:
+ *       - Sensor Models
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data)
+ *       - in: path
+ *         name: measurement_model
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the model applied to the measurements (Use 'RAW_MODEL' for raw data)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - column_metadata
+ *             properties:
+ *               column_metadata:
+ *                 $ref: '#/components/schemas/ColumnMetadata'
+ *     responses:
+ *       200:
+ *         description: The model's column metadata after the change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 column_metadata:
+ *                   $ref: '#/components/schemas/ColumnMetadata'
+ *       400:
+ *         description: Invalid metadata, unknown columns, a range on a non-numeric column or min_value above max_value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *       404:
+ *         description: The sensor model does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorModelRouter.put(
+  "/metadata/:sensor_brand/:sensor_id/:measurement_type/:measurement_time_interval/:measurement_model", updateSensorModelMetadata);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ModelLineage:
+ *       type: object
+ *       description: Where a CORRECTED table came from. Only CORRECTED models can have a lineage.
+ *       required:
+ *         - source_table_name
+ *       properties:
+ *         source_table_name:
+ *           type: string
+ *           description: Registered measurement table the corrected table was derived from
+ *           example: Airly_00459_RAW-MODEL_RAW_OTHER
+ *         model_version:
+ *           type: string
+ *           description: Version of the correction model that produced the table
+ *           example: "2.1.0"
+ *         coefficients:
+ *           type: object
+ *           description: Coefficients the correction model was run with
+ *           example:
+ *             intercept: 1.2
+ *             pm25: 0.52
+ *             humidity: -0.085
+ *         produced_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the table was produced (defaults to now)
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-models/lineage/{sensor_brand}/{sensor_id}:
  *   get:
- *     summary: Get a specifc sensor measurement table's schema
- *     description: Retrieves a specifc sensor measurement table's schema and metada
+ *     summary: Get the derivation graph of a sensor's models
+ *     description: Returns the sensor's models as nodes and one edge per source table to derived table. Sources of other sensors are followed upstream, tables derived from this sensor's by other sensors are included, and sources that are no longer registered appear with registered=false.
+ *     tags:
+ *       - Sensor Models
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     responses:
+ *       200:
+ *         description: The lineage graph
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sensor_brand:
+ *                   type: string
+ *                 sensor_id:
+ *                   type: string
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sensor_table_name:
+ *                         type: string
+ *                       sensor_brand:
+ *                         type: string
+ *                       sensor_id:
+ *                         type: string
+ *                       measurement_model:
+ *                         type: string
+ *                       measurement_type:
+ *                         type: string
+ *                       measurement_time_interval:
+ *                         type: string
+ *                       source_table_name:
+ *                         type: string
+ *                         nullable: true
+ *                       model_version:
+ *                         type: string
+ *                         nullable: true
+ *                       model_coefficients:
+ *                         type: object
+ *                         nullable: true
+ *                       produced_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       registered:
+ *                         type: boolean
+ *                       other_sensor:
+ *                         type: boolean
+ *                         description: True for tables of other sensors linked to this sensor's
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       source:
+ *                         type: string
+ *                       target:
+ *                         type: string
+ *                       measurement_model:
+ *                         type: string
+ *                       model_version:
+ *                         type: string
+ *                         nullable: true
+ *                       produced_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       400:
+ *         description: Sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorModelRouter.route("/lineage/:sensor_brand/:sensor_id").get(getSensorModelLineage);
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-models/lineage/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
+ *   put:
+ *     summary: Set the lineage of a CORRECTED sensor model
+ *     description: Records which table the model was derived from and the correction model version and coefficients used, replacing any earlier lineage. Use it for models added before lineage was recorded or after re-running a correction.
  *     tags:
  *       - Sensor Models
  *     parameters:
@@ -337,11 +681,110 @@ SensorModelRouter.route("/csv/:sensor_brand/:sensor_id/:measurement_type/:measur
  *           type: string
  *         description: Unique identifier for the sensor (Serial Number)
  *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data)
+ *       - in: path
  *         name: measurement_model
- *         required: false
+ *         required: true
  *         schema:
  *           type: string
- *         description: The name of the model applied to the measurements (Use 'RAW_MODEL' for raw data) 
+ *         description: The name of the model applied to the measurements
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModelLineage'
+ *     responses:
+ *       200:
+ *         description: Lineage saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 sensor_table_name:
+ *                   type: string
+ *                 source_table_name:
+ *                   type: string
+ *                 model_version:
+ *                   type: string
+ *                   nullable: true
+ *                 model_coefficients:
+ *                   type: object
+ *                   nullable: true
+ *                 produced_at:
+ *                   type: string
+ *       400:
+ *         description: Invalid body, the model is not CORRECTED, or the source is unregistered, the model itself or derived from it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *       404:
+ *         description: The sensor model does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorModelRouter.put(
+  "/lineage/:sensor_brand/:sensor_id/:measurement_type/:measurement_time_interval/:measurement_model", updateSensorModelLineage);
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-models/schema/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
+ *   get:
+ *     summary: List the schema versions of a sensor model
+ *     description: Every version of the model's sensor_data_schema, oldest first. Models whose schema never changed have only version 1.
+ *     tags:
+ *       - Sensor Models
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
  *       - in: path
  *         name: measurement_type
  *         required: true
@@ -355,19 +798,31 @@ SensorModelRouter.route("/csv/:sensor_brand/:sensor_id/:measurement_type/:measur
  *         schema:
  *           type: string
  *           enum: [HOURLY, DAILY, OTHER]
- *         description: The measurements recorded time interval (OTHER if raw data) 
+ *         description: The measurements recorded time interval (OTHER if raw data)
+ *       - in: path
+ *         name: measurement_model
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the model applied to the measurements (Use 'RAW_MODEL' for raw data)
  *     responses:
  *       200:
- *         description: Sensor successfully added
+ *         description: The model's schema versions
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 sensor model schema:
- *                   type: object 
- *       400:
- *         description: Bad request. Request parameters error 
+ *                 sensor_table_name:
+ *                   type: string
+ *                 current_version:
+ *                   type: integer
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SchemaVersion'
+ *       404:
+ *         description: The sensor model does not exist
  *         content:
  *           application/json:
  *             schema:
@@ -375,7 +830,6 @@ SensorModelRouter.route("/csv/:sensor_brand/:sensor_id/:measurement_type/:measur
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Validation error messages or sensor registration error.
  *       500:
  *         description: Server error
  *         content:
@@ -385,10 +839,524 @@ SensorModelRouter.route("/csv/:sensor_brand/:sensor_id/:measurement_type/:measur
  *               properties:
  *                 error:
  *                   type: string
- *                   example: An error occurred while fetching this sensor's measuremnt schema
+ *   post:
+ *     summary: Add nullable columns to a sensor model (new schema version) (admin)
+ *     description: |
+ *       Adds the given columns to the measurement table as nullable columns (existing rows get NULL), updates the model's
+ *       sensor_data_schema and records the result as the next schema version. Columns can only be added, never changed or removed.
+ *       Uploads are accepted with the columns of any version, so files from older firmware keep loading.
+ *     tags:
+ *       - Sensor Models
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data)
+ *       - in: path
+ *         name: measurement_model
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the model applied to the measurements (Use 'RAW_MODEL' for raw data)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - add_columns
+ *             properties:
+ *               add_columns:
+ *                 type: object
+ *                 description: New column names mapped to string, number, float or integer
+ *                 additionalProperties:
+ *                   type: string
+ *                   enum: [string, number, float, integer]
+ *                 example:
+ *                   pm1: number
+ *                   temp_internal: number
+ *               base_version:
+ *                 type: integer
+ *                 description: The version this change was written against. The request is refused if the schema has moved on since.
+ *               note:
+ *                 type: string
+ *                 example: Firmware 2.3 added a PM1 channel
+ *     responses:
+ *       201:
+ *         description: The new schema version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 version:
+ *                   $ref: '#/components/schemas/SchemaVersion'
+ *       400:
+ *         description: Invalid body, a column already exists, or the measurement table was never created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Missing or wrong x-admin-key header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set on the server)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       404:
+ *         description: The sensor model does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       409:
+ *         description: base_version is outdated or another change was made at the same time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorModelRouter.route("/schema/:sensor_brand/:sensor_id/:measurement_type/:measurement_time_interval/:measurement_model")
+  .get(getSensorModelSchemaVersions)
+  .post(requireAdmin, addSensorModelColumns);
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-models/delete-preview/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
+ *   get:
+ *     summary: Preview the deletion of a sensor model (admin)
+ *     description: |
+ *       Shows whether the model's SENSOR_MODELS row and measurement table exist, how many rows the table holds, and flags the
+ *       partial state left when the row was registered but the table was never created. Also lists the models derived from
+ *       the table and counts the calibration runs that read or wrote it, which would otherwise be left pointing at a
+ *       missing table. Returns the confirmation_token the DELETE requires (valid for 10 minutes and only while nothing
+ *       shown changes). Nothing is deleted by this call.
+ *     tags:
+ *       - Sensor Models
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data)
+ *       - in: path
+ *         name: measurement_model
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the model applied to the measurements (Use 'RAW_MODEL' for raw data)
+ *     responses:
+ *       200:
+ *         description: What would be deleted and the confirmation token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sensor_table_name:
+ *                   type: string
+ *                 registry_row:
+ *                   type: boolean
+ *                   description: Whether a SENSOR_MODELS row exists
+ *                 schema_versions:
+ *                   type: integer
+ *                   description: Recorded schema versions that are removed with the model
+ *                 measurement_tables:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sensor_table_name:
+ *                         type: string
+ *                       table_exists:
+ *                         type: boolean
+ *                       row_count:
+ *                         type: integer
+ *                         nullable: true
+ *                 dependent_models:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Models whose source_table_name is this table. The DELETE is refused while any exist.
+ *                 calibration_runs:
+ *                   type: integer
+ *                   description: CALIBRATION_RUNS rows reading or writing this table. The DELETE needs cascade=true to remove them.
+ *                 partial_state:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Set when only the row or only the table exists
+ *                 confirmation_token:
+ *                   type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Bad request. Request parameters error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       401:
+ *         description: Missing or wrong x-admin-key header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set on the server)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       404:
+ *         description: Neither a SENSOR_MODELS row nor a measurement table matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+SensorModelRouter.get(
+  "/delete-preview/:sensor_brand/:sensor_id/:measurement_type/:measurement_time_interval/:measurement_model", requireAdmin, previewSensorModelDeletion);
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-models/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
+ *   get:
+ *     summary: Get a specifc sensor measurement table's schema
+ *     description: Retrieves a specifc sensor measurement table's schema as column -> type pairs, plus a column_metadata field with each column's unit, parameter code, description, valid range and precision ({} when none is set).
+ *     tags:
+ *       - Sensor Models
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: path
+ *         name: measurement_model
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: The name of the model applied to the measurements (Use 'RAW_MODEL' for raw data) 
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data) 
+ *     responses:
+ *       200:
+ *         description: The column -> type pairs and the column metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 column_metadata:
+ *                   $ref: '#/components/schemas/ColumnMetadata'
+ *               additionalProperties:
+ *                 type: string
+ *       400:
+ *         description: Bad request. Request parameters error 
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Validation error messages or sensor registration error.
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while fetching this sensor's measuremnt schema
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/sensor-models/{sensor_brand}/{sensor_id}/{measurement_type}/{measurement_time_interval}/{measurement_model}:
+ *   delete:
+ *     summary: Delete a sensor model and drop its measurement table (admin)
+ *     description: |
+ *       Drops the model's measurement table and removes its SENSOR_MODELS row so the model can be added again with a corrected schema.
+ *       Also cleans up a row whose table was never created. Requires the confirmation_token of a fresh delete-preview.
+ *       Refused while other models are derived from the table, and while calibration runs read or wrote it unless
+ *       cascade=true deletes those runs with the model.
+ *       With archive=true the response is instead an NDJSON download of the SENSOR_MODELS, schema version and calibration
+ *       run rows and the table's rows, ending in an { outcome } line holding the result below (or { error }). Nothing is deleted if
+ *       archiving fails or the client disconnects first.
+ *     tags:
+ *       - Sensor Models
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: path
+ *         name: measurement_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: This measurements air quality metric type
+ *       - in: path
+ *         name: measurement_time_interval
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: The measurements recorded time interval (OTHER if raw data)
+ *       - in: path
+ *         name: measurement_model
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The name of the model applied to the measurements (Use 'RAW_MODEL' for raw data)
+ *       - in: query
+ *         name: confirmation_token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token returned by the delete-preview endpoint
+ *       - in: query
+ *         name: archive
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Stream the registry rows and measurement table back as an NDJSON archive before dropping it
+ *       - in: query
+ *         name: cascade
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also delete the CALIBRATION_RUNS rows that read or wrote the table
+ *     responses:
+ *       200:
+ *         description: Sensor model deleted (with archive=true, the NDJSON archive ending in the outcome line)
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 dropped_tables:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 deleted_registry_rows:
+ *                   type: integer
+ *                 deleted_calibration_runs:
+ *                   type: integer
+ *       400:
+ *         description: Bad parameters, or a missing, expired or outdated confirmation_token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       401:
+ *         description: Missing or wrong x-admin-key header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set on the server)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       404:
+ *         description: Neither a SENSOR_MODELS row nor a measurement table matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       409:
+ *         description: Other models are derived from the table, or calibration runs reference it and cascade is not true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 dependent_models:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 calibration_runs:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
  */
 SensorModelRouter.route(
-  "/:sensor_brand/:sensor_id/:measurement_type/:measurement_time_interval/:measurement_model").get(getSensorModelDataSchema);
+  "/:sensor_brand/:sensor_id/:measurement_type/:measurement_time_interval/:measurement_model")
+  .get(getSensorModelDataSchema)
+  .delete(requireAdmin, deleteSensorModel);
 
 
 module.exports = SensorModelRouter;
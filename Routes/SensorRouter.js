@@ -3,13 +3,65 @@ const SensorRouter = express.Router();
 
 const {
     getAllSensors,
+    searchSensors,
+    getSensorsGeoJSON,
+    getFleetHealth,
+    getSensorHealth,
     addNewSensor, 
+    bulkRegisterSensors,
     getSensorInfo,
     updateSensorLocation, 
+    getSensorLocationHistory,
+    getSensorLocationAt,
+    updateSensorStatus,
+    getSensorStatusHistory,
     deprecateSensor,
+    previewSensorDeletion,
+    deleteSensor,
     getSensorsByBrand
 } = require("../Controllers/Sensors.js");
 
+const {
+    addSensorEvent,
+    getSensorEvents,
+    deleteSensorEvent,
+} = require("../Controllers/SensorEvents.js");
+
+const {
+    getTags,
+    upsertTags,
+    deleteTag,
+} = require("../Controllers/SensorTags.js");
+
+const { requireAdmin } = require("../Utility/AdminAuthUtility.js");
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkSensor:
+ *       type: object
+ *       required: [sensor_brand, sensor_id, sensor_latitude, sensor_longitude]
+ *       properties:
+ *         sensor_brand:
+ *           type: string
+ *         sensor_id:
+ *           type: string
+ *         sensor_latitude:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         sensor_longitude:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         status:
+ *           type: string
+ *           enum: [planned, deployed]
+ *           default: deployed
+ */
+
 
 /**
  * @swagger
@@ -19,41 +71,1591 @@ const {
  *     description: Fetch an array of all sensors from the database.
  *     tags:
  *       - Sensors
+ *     parameters:
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10000
+ *         description: Page size. Giving limit or cursor switches the response to a page envelope (data, limit, total_count, next_cursor). Pages follow the primary key.
+ *       - name: cursor
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Opaque next_cursor value returned by the previous page.
+ *       - name: tag.{key}
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only return sensors whose tag {key} equals this value, e.g. tag.project=Baltimore&tag.environment=outdoor. Repeat with different keys to require several tags.
+ *       - name: status
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: deployed,maintenance
+ *         description: Only return sensors in these lifecycle states (comma separated; planned, deployed, maintenance, offline, retired)
  *     responses:
  *       200:
  *         description: An array of sensors
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   sensor_id:
- *                     type: string
- *                     description: Unique identifier for the sensor (Serial Number)
- *                   sensor_brand:
- *                     type: string
- *                     description: Brand of the sensor
- *                   sensor_latitude:
- *                     type: number
- *                     format: float
- *                     description: Latitude coordinate of the sensor
- *                   sensor_longitude:
- *                     type: number
- *                     format: float
- *                     description: Longitude coordinate of the sensor
- *                   last_location_update:
- *                     type: boolean
- *                     description: The previous date the sensors location was updated
- *                   date_uploaded:
- *                     type: boolean
- *                     description: The creation date of a data table associated with this sensor 
- *                   is_active:
- *                     type: boolean
- *                     description: Whether the sensor is currently active
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   sensor_id:
+ *                     type: string
+ *                     description: Unique identifier for the sensor (Serial Number)
+ *                   sensor_brand:
+ *                     type: string
+ *                     description: Brand of the sensor
+ *                   sensor_latitude:
+ *                     type: number
+ *                     format: float
+ *                     description: Latitude coordinate of the sensor
+ *                   sensor_longitude:
+ *                     type: number
+ *                     format: float
+ *                     description: Longitude coordinate of the sensor
+ *                   last_location_update:
+ *                     type: boolean
+ *                     description: The previous date the sensors location was updated
+ *                   date_uploaded:
+ *                     type: boolean
+ *                     description: The creation date of a data table associated with this sensor 
+ *                   is_active:
+ *                     type: boolean
+ *                     description: Whether the sensor is currently active
+ *                   lifecycle_status:
+ *                     type: string
+ *                     enum: [planned, deployed, maintenance, offline, retired]
+ *                     description: Current lifecycle state of the sensor
+ *       500:
+ *         description: Server error. An error occurred fetching sensors.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error message describing the issue.
+ */
+SensorRouter.route("").get(getAllSensors);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/search:
+ *   get:
+ *     summary: Find sensors by location
+ *     description: Returns sensors inside a bounding box (min_lat, max_lat, min_lon, max_lon), or within radius_km of a point (lat, lon) sorted by distance. Give one of the two sets of parameters. A bounding box with min_lon greater than max_lon crosses the antimeridian.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: query
+ *         name: min_lat
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Southern edge of the bounding box
+ *       - in: query
+ *         name: max_lat
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Northern edge of the bounding box
+ *       - in: query
+ *         name: min_lon
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Western edge of the bounding box
+ *       - in: query
+ *         name: max_lon
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Eastern edge of the bounding box
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Latitude of the search centre
+ *       - in: query
+ *         name: lon
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Longitude of the search centre
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Search radius in kilometres (great-circle distance)
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Only return active (true) or deprecated (false) sensors
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: deployed,maintenance
+ *         description: Only return sensors in these lifecycle states (comma separated; planned, deployed, maintenance, offline, retired)
+ *     responses:
+ *       200:
+ *         description: Matching sensors. Radius searches add distance_km and are sorted nearest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sensor_id:
+ *                         type: string
+ *                       sensor_brand:
+ *                         type: string
+ *                       sensor_latitude:
+ *                         type: number
+ *                       sensor_longitude:
+ *                         type: number
+ *                       is_active:
+ *                         type: boolean
+ *                       distance_km:
+ *                         type: number
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request. Missing or invalid search parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       500:
+ *         description: Server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error message describing the server issue.
+ */
+SensorRouter.route("/search").get(searchSensors);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/geojson:
+ *   get:
+ *     summary: Retrieve the sensors registry as GeoJSON
+ *     description: Returns a GeoJSON FeatureCollection with one Point feature per sensor that has coordinates, ready for Leaflet or QGIS. Give measurement_model, measurement_type and measurement_time_interval together to attach each sensor's latest reading from that model (same lookup as /api/v2/readings/last).
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Only include active (true) or deprecated (false) sensors
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: deployed,maintenance
+ *         description: Only return sensors in these lifecycle states (comma separated; planned, deployed, maintenance, offline, retired)
+ *       - in: query
+ *         name: measurement_model
+ *         schema:
+ *           type: string
+ *         description: Model whose latest reading is attached (Use 'RAW_MODEL' for raw data)
+ *       - in: query
+ *         name: measurement_type
+ *         schema:
+ *           type: string
+ *           enum: [RAW, CORRECTED]
+ *         description: Measurement type of the model
+ *       - in: query
+ *         name: measurement_time_interval
+ *         schema:
+ *           type: string
+ *           enum: [HOURLY, DAILY, OTHER]
+ *         description: Time interval of the model
+ *     responses:
+ *       200:
+ *         description: A GeoJSON FeatureCollection
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   example: FeatureCollection
+ *                 features:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         example: Feature
+ *                       id:
+ *                         type: string
+ *                         example: Airly_00459
+ *                       geometry:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             example: Point
+ *                           coordinates:
+ *                             type: array
+ *                             description: "[longitude, latitude]"
+ *                             items:
+ *                               type: number
+ *                       properties:
+ *                         type: object
+ *                         properties:
+ *                           sensor_brand:
+ *                             type: string
+ *                           sensor_id:
+ *                             type: string
+ *                           is_active:
+ *                             type: boolean
+ *                           last_location_update:
+ *                             type: string
+ *                             format: date-time
+ *                           measurement_table:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Only present when a measurement model was given
+ *                           latest_reading:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Only present when a measurement model was given. Null if the sensor has no such table or it is empty.
+ *       400:
+ *         description: Bad request. Invalid query parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       500:
+ *         description: Server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error message describing the server issue.
+ */
+SensorRouter.route("/geojson").get(getSensorsGeoJSON);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SensorHealth:
+ *       type: object
+ *       properties:
+ *         sensor_brand:
+ *           type: string
+ *         sensor_id:
+ *           type: string
+ *         lifecycle_status:
+ *           type: string
+ *         last_reading_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Most recent reading across all of the sensor's measurement tables
+ *         hours_since_last:
+ *           type: number
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [healthy, late, silent, no_data]
+ *           description: Status of the sensor's healthiest table
+ *         tables:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sensor_table_name:
+ *                 type: string
+ *               measurement_time_interval:
+ *                 type: string
+ *               last_reading_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               hours_since_last:
+ *                 type: number
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [healthy, late, silent, no_data]
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/health:
+ *   get:
+ *     summary: Reporting health of the whole fleet
+ *     description: |
+ *       Looks up the most recent reading in every SENSOR_MODELS table of every sensor and classifies each table by the
+ *       hours since its last reading. Thresholds depend on measurement_time_interval - OTHER late after 1 h and silent
+ *       after 24 h, HOURLY late after 3 h and silent after 24 h, DAILY late after 48 h and silent after 7 days.
+ *       A sensor takes the status of its healthiest table (no_data if nothing was ever uploaded).
+ *       Retired sensors are left out unless the status filter includes them.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: deployed,maintenance
+ *         description: Only check sensors in these lifecycle states (comma separated)
+ *       - in: query
+ *         name: health
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: late,silent
+ *         description: Only list sensors with these health statuses (healthy, late, silent, no_data). The summary still counts every checked sensor.
+ *     responses:
+ *       200:
+ *         description: Health of each sensor and a count per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generated_at:
+ *                   type: string
+ *                   format: date-time
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     healthy:
+ *                       type: integer
+ *                     late:
+ *                       type: integer
+ *                     silent:
+ *                       type: integer
+ *                     no_data:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SensorHealth'
+ *       400:
+ *         description: Bad request. Invalid filter.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error message describing the server issue.
+ */
+SensorRouter.route("/health").get(getFleetHealth);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/bulk:
+ *   post:
+ *     summary: Register many sensors at once
+ *     description: |
+ *       Registers a batch of sensors from a JSON array or a CSV file (columns sensor_brand, sensor_id, sensor_latitude,
+ *       sensor_longitude and optionally status). Every row is validated like a single registration; if any row fails,
+ *       nothing is registered and the errors are listed per row. Give raw_model_schema to also create a RAW sensor model
+ *       and measurement table for each sensor, named RAW-MODEL / RAW / OTHER unless raw_model_schema also sets
+ *       measurement_model or measurement_time_interval (HOURLY, DAILY or OTHER).
+ *     tags:
+ *       - Sensors
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BulkSensor'
+ *               - type: object
+ *                 properties:
+ *                   sensors:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/BulkSensor'
+ *                   raw_model_schema:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: string
+ *                     description: Column names mapped to data types, plus optional measurement_model and measurement_time_interval
+ *                     example:
+ *                       measurement_time_interval: HOURLY
+ *                       timestamp: datetime
+ *                       pm25: float
+ *                       temperature: float
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file with one sensor per row
+ *               raw_model_schema:
+ *                 type: string
+ *                 description: Optional JSON object mapping column names to data types, plus optional measurement_model and measurement_time_interval
+ *     responses:
+ *       201:
+ *         description: Every sensor was registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 registered:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sensor_brand:
+ *                         type: string
+ *                       sensor_id:
+ *                         type: string
+ *                 raw_models:
+ *                   type: array
+ *                   description: One entry per sensor when raw_model_schema was given
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sensor_brand:
+ *                         type: string
+ *                       sensor_id:
+ *                         type: string
+ *                       sensor_table_name:
+ *                         type: string
+ *                       created:
+ *                         type: boolean
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: Invalid upload. Nothing was registered.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   description: Problems per row (CSV header is line 1; JSON uses the 1-based array position)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       column:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *       500:
+ *         description: Server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error message describing the server issue.
+ */
+SensorRouter.post("/bulk", bulkRegisterSensors);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}:
+ *   post:
+ *     summary: Add a new sensor
+ *     description: Adds a new sensor to the database. The sensor must have a unique sensor_id and sensor_brand.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor.
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: query 
+ *         name: sensor_latitude
+ *         required: false
+ *         schema:
+ *           type: number
+ *           format: float
+ *         description: Latitude coordinate of the sensor. Optional but must be a valid float if provided.
+ *       - in: query
+ *         name: sensor_longitude
+ *         required: false
+ *         schema:
+ *           type: number
+ *           format: float
+ *         description: Longitude coordinate of the sensor. Optional but must be a valid float if provided.
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [planned, deployed]
+ *           default: deployed
+ *         description: Initial lifecycle state of the sensor
+ *     responses:
+ *       201:
+ *         description: Sensor successfully added to the SENSORS table.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Success message.
+ *       400:
+ *         description: Bad request. Validation error or sensor already exists.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: Array of validation error messages or sensor registration error.
+ *       500:
+ *         description: Server error. An error occurred while adding the sensor.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error message describing the issue.
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id").post(addNewSensor);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}:
+ *   get:
+ *     summary: Retrieve a sensor's metadata
+ *     description: Fetches a sensor's info including brand, ID, location, and other metadata.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Brand of the sensor.
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     responses:
+ *       200:
+ *         description: An array of sensors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   sensor_id:
+ *                     type: string
+ *                     description: Unique identifier for the sensor (Serial Number)
+ *                   sensor_brand:
+ *                     type: string
+ *                     description: Brand of the sensor.
+ *                   sensor_latitude:
+ *                     type: number
+ *                     format: float
+ *                     description: Latitude coordinate of the sensor.
+ *                   sensor_longitude:
+ *                     type: number
+ *                     format: float
+ *                     description: Longitude coordinate of the sensor.
+ *                   last_location_update:
+ *                     type: string
+ *                     format: date-time
+ *                     description: The previous date the sensor's location was updated.
+ *                   date_uploaded:
+ *                     type: string
+ *                     format: date-time
+ *                     description: The creation date of a data table associated with this sensor.
+ *                   is_active:
+ *                     type: boolean
+ *                     description: Whether the sensor is currently active
+ *                   lifecycle_status:
+ *                     type: string
+ *                     enum: [planned, deployed, maintenance, offline, retired]
+ *                     description: Current lifecycle state of the sensor.
+ *       500:
+ *         description: Server error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error message describing the server issue.
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id").get(getSensorInfo);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/location:
+ *   put:
+ *     summary: Update sensor location
+ *     description: Update the location (latitude and longitude) of a specific sensor.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: query
+ *         name: new_latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: The new latitude of the sensor
+ *       - in: query
+ *         name: new_longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: The new longitude of the sensor
+ *       - in: query
+ *         name: effective_from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: When the sensor moved (defaults to now). Closes the previous entry in the location history at this time, so it must be later than the current location's effective_from (or the sensor's last_location_update).
+ *     responses:
+ *       200:
+ *         description: Sensor location updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Sensor location updated successfully.
+ *                 updated:
+ *                   type: object
+ *                   properties:
+ *                     sensor_brand:
+ *                       type: string
+ *                     sensor_id:
+ *                       type: string
+ *                     new_latitude:
+ *                       type: number
+ *                     new_longitude:
+ *                       type: number
+ *                     previous_latitude:
+ *                       type: number
+ *                     previous_longitude:
+ *                       type: number
+ *                     effective_from:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request - missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: sensor_brand and sensor_id are required parameters.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while updating the sensor location
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id/location").put(updateSensorLocation);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/locations:
+ *   get:
+ *     summary: Retrieve a sensor's location history
+ *     description: Lists every site the sensor has been deployed at, oldest first. The current location has a null effective_to.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     responses:
+ *       200:
+ *         description: The sensor's deployments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sensor_latitude:
+ *                         type: number
+ *                       sensor_longitude:
+ *                         type: number
+ *                       effective_from:
+ *                         type: string
+ *                         format: date-time
+ *                       effective_to:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - missing parameters or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while fetching the sensor location history
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id/locations").get(getSensorLocationHistory);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/locations/at:
+ *   get:
+ *     summary: Find where a sensor was at a given time
+ *     description: Returns the location entry that was in effect at the timestamp (effective_from inclusive, effective_to exclusive).
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: query
+ *         name: timestamp
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: The moment to look up
+ *     responses:
+ *       200:
+ *         description: The sensor's location at the timestamp
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sensor_brand:
+ *                   type: string
+ *                 sensor_id:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 sensor_latitude:
+ *                   type: number
+ *                 sensor_longitude:
+ *                   type: number
+ *                 effective_from:
+ *                   type: string
+ *                   format: date-time
+ *                 effective_to:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: Bad request - missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: timestamp is a required parameter and must be a valid date or datetime.
+ *       404:
+ *         description: No location was recorded for the sensor at that time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while fetching the sensor location
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id/locations/at").get(getSensorLocationAt);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/status:
+ *   put:
+ *     summary: Change a sensor's lifecycle state
+ *     description: |
+ *       Moves a sensor between lifecycle states and records the transition with its reason and time.
+ *       Allowed moves: planned -> deployed | retired; deployed -> maintenance | offline | retired;
+ *       maintenance -> deployed | offline | retired; offline -> deployed | maintenance | retired;
+ *       retired -> planned | deployed (reactivation). Every state except retired keeps is_active true.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: query
+ *         name: status
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [planned, deployed, maintenance, offline, retired]
+ *         description: The new lifecycle state
+ *       - in: query
+ *         name: reason
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 1000
+ *         description: Why the state changed
+ *       - in: query
+ *         name: changed_at
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: When the state changed (defaults to now). Cannot be before the sensor's last status change.
+ *     responses:
+ *       200:
+ *         description: Sensor status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Sensor status updated successfully.
+ *                 updated:
+ *                   type: object
+ *                   properties:
+ *                     sensor_brand:
+ *                       type: string
+ *                     sensor_id:
+ *                       type: string
+ *                     previous_status:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     reason:
+ *                       type: string
+ *                     changed_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request - missing parameters, reason over 1000 characters, unknown sensor, a disallowed transition or changed_at before the last status change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "A sensor cannot move from 'planned' to 'maintenance'. Allowed next states: deployed, retired."
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while updating the sensor status
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id/status").put(updateSensorStatus);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/status-history:
+ *   get:
+ *     summary: Retrieve a sensor's lifecycle history
+ *     description: Lists every lifecycle transition of the sensor, oldest first, along with its current state.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     responses:
+ *       200:
+ *         description: The sensor's lifecycle transitions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   description: Current lifecycle state
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from_status:
+ *                         type: string
+ *                         nullable: true
+ *                       to_status:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                       changed_at:
+ *                         type: string
+ *                         format: date-time
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - missing parameters or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while fetching the sensor status history
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id/status-history").get(getSensorStatusHistory);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/health:
+ *   get:
+ *     summary: Reporting health of one sensor
+ *     description: Most recent reading, hours since the last report and healthy/late/silent status for each of the sensor's measurement tables. Thresholds are the same as for /api/v2/sensors/health.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     responses:
+ *       200:
+ *         description: The sensor's health
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SensorHealth'
+ *                 - type: object
+ *                   properties:
+ *                     generated_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request - missing parameters or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while checking the sensor health
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id/health").get(getSensorHealth);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/events:
+ *   post:
+ *     summary: Record a maintenance or calibration event
+ *     description: Logs a field event (filter swap, firmware update, co-location period, relocation, calibration or other) with its time range and free-text notes. Omit ended_at for an instantaneous event.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [event_type, started_at]
+ *             properties:
+ *               event_type:
+ *                 type: string
+ *                 enum: [filter_swap, firmware_update, colocation, relocation, calibration, other]
+ *               started_at:
+ *                 type: string
+ *                 format: date-time
+ *               ended_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to started_at
+ *               notes:
+ *                 type: string
+ *             example:
+ *               event_type: colocation
+ *               started_at: "2024-09-01 00:00:00"
+ *               ended_at: "2024-09-14 00:00:00"
+ *               notes: Co-located with the reference monitor at the state site.
+ *     responses:
+ *       201:
+ *         description: Event recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 event:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     event_type:
+ *                       type: string
+ *                       enum: [filter_swap, firmware_update, colocation, relocation, calibration, other]
+ *                     started_at:
+ *                       type: string
+ *                       format: date-time
+ *                     ended_at:
+ *                       type: string
+ *                       format: date-time
+ *                     notes:
+ *                       type: string
+ *                       nullable: true
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request - invalid event or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while recording the sensor event
+ *   get:
+ *     summary: List a sensor's maintenance and calibration events
+ *     description: Returns the sensor's events, oldest first. With start_date and/or end_date only events overlapping that range are returned.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: query
+ *         name: start_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range
+ *       - in: query
+ *         name: end_date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range
+ *       - in: query
+ *         name: event_type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [filter_swap, firmware_update, colocation, relocation, calibration, other]
+ *         description: Only return events of this type
+ *     responses:
+ *       200:
+ *         description: The sensor's events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       event_type:
+ *                         type: string
+ *                         enum: [filter_swap, firmware_update, colocation, relocation, calibration, other]
+ *                       started_at:
+ *                         type: string
+ *                         format: date-time
+ *                       ended_at:
+ *                         type: string
+ *                         format: date-time
+ *                       notes:
+ *                         type: string
+ *                         nullable: true
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - invalid parameters or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while fetching the sensor events
+ */
+SensorRouter.route("/:sensor_brand/:sensor_id/events").post(addSensorEvent).get(getSensorEvents);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/events/{event_id}:
+ *   delete:
+ *     summary: Delete a sensor event
+ *     description: Removes an event that was recorded by mistake.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Id of the event
+ *     responses:
+ *       200:
+ *         description: Event deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Sensor event deleted.
+ *       400:
+ *         description: Bad request - invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: event_id must be a positive integer.
+ *       404:
+ *         description: No such event for this sensor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Event not found for this sensor.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while deleting the sensor event
+ */
+SensorRouter.delete("/:sensor_brand/:sensor_id/events/:event_id", deleteSensorEvent);
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/tags:
+ *   get:
+ *     summary: Retrieve a sensor's metadata tags
+ *     description: Returns the sensor's key/value tags (site name, host organization, inlet height, project...).
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     responses:
+ *       200:
+ *         description: The sensor's tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sensor_brand:
+ *                   type: string
+ *                 sensor_id:
+ *                   type: string
+ *                 tags:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                   example:
+ *                     project: Baltimore
+ *                     environment: outdoor
+ *       400:
+ *         description: Bad request - missing parameters or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: An error occurred while fetching the sensor tags
+ *   put:
+ *     summary: Create or update a sensor's metadata tags
+ *     description: Sets every tag named in the body, creating or overwriting it. Tags not named are left untouched. Values are stored as text.
+ *     tags:
+ *       - Sensors
+ *     parameters:
+ *       - in: path
+ *         name: sensor_brand
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The brand of the sensor
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier for the sensor (Serial Number)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties:
+ *               oneOf:
+ *                 - type: string
+ *                 - type: number
+ *                 - type: boolean
+ *             example:
+ *               site_name: Lincoln Elementary
+ *               host_organization: Baltimore City Schools
+ *               inlet_height_m: 3
+ *               environment: outdoor
+ *               project: Baltimore
+ *               firmware_version: 2.4.1
+ *     responses:
+ *       200:
+ *         description: Tags saved. Returns all of the sensor's tags.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Sensor tags saved.
+ *                 tags:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *       400:
+ *         description: Bad request - invalid tag keys or values, or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
  *       500:
- *         description: Server error. An error occurred fetching sensors.
+ *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
@@ -61,17 +1663,16 @@ const {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error message describing the issue.
+ *                   example: An error occurred while saving the sensor tags
  */
-SensorRouter.route("").get(getAllSensors);
+SensorRouter.route("/:sensor_brand/:sensor_id/tags").get(getTags).put(upsertTags);
 
 
 /**
  * @swagger
- * /api/v2/sensors/{sensor_brand}/{sensor_id}:
- *   post:
- *     summary: Add a new sensor
- *     description: Adds a new sensor to the database. The sensor must have a unique sensor_id and sensor_brand.
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/tags/{tag_key}:
+ *   delete:
+ *     summary: Remove a metadata tag from a sensor
  *     tags:
  *       - Sensors
  *     parameters:
@@ -80,30 +1681,22 @@ SensorRouter.route("").get(getAllSensors);
  *         required: true
  *         schema:
  *           type: string
- *         description: Brand of the sensor.
+ *         description: The brand of the sensor
  *       - in: path
  *         name: sensor_id
  *         required: true
  *         schema:
  *           type: string
  *         description: Unique identifier for the sensor (Serial Number)
- *       - in: query 
- *         name: sensor_latitude
- *         required: false
- *         schema:
- *           type: number
- *           format: float
- *         description: Latitude coordinate of the sensor. Optional but must be a valid float if provided.
- *       - in: query
- *         name: sensor_longitude
- *         required: false
+ *       - in: path
+ *         name: tag_key
+ *         required: true
  *         schema:
- *           type: number
- *           format: float
- *         description: Longitude coordinate of the sensor. Optional but must be a valid float if provided.
+ *           type: string
+ *         description: Key of the tag to remove
  *     responses:
- *       201:
- *         description: Sensor successfully added to the SENSORS table.
+ *       200:
+ *         description: Tag removed
  *         content:
  *           application/json:
  *             schema:
@@ -111,21 +1704,29 @@ SensorRouter.route("").get(getAllSensors);
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Success message.
+ *                   example: Tag 'project' removed.
  *       400:
- *         description: Bad request. Validation error or sensor already exists.
+ *         description: Bad request - missing parameters
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
  *                 error:
- *                   type: array
- *                   items:
- *                     type: string
- *                   example: Array of validation error messages or sensor registration error.
+ *                   type: string
+ *                   example: sensor_brand and sensor_id are required parameters.
+ *       404:
+ *         description: The sensor has no such tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor has no tag 'project'.
  *       500:
- *         description: Server error. An error occurred while adding the sensor.
+ *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
@@ -133,17 +1734,17 @@ SensorRouter.route("").get(getAllSensors);
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error message describing the issue.
+ *                   example: An error occurred while deleting the sensor tag
  */
-SensorRouter.route("/:sensor_brand/:sensor_id").post(addNewSensor);
+SensorRouter.delete("/:sensor_brand/:sensor_id/tags/:tag_key", deleteTag);
 
 
 /**
  * @swagger
- * /api/v2/sensors/{sensor_brand}/{sensor_id}:
- *   get:
- *     summary: Retrieve a sensor's metadata
- *     description: Fetches a sensor's info including brand, ID, location, and other metadata.
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/deprecate:
+ *   delete:
+ *     summary: Deprecate a sensor
+ *     description: Flag a sensor as inactive without removing its data from the database. This retires the sensor and logs the transition in its status history.
  *     tags:
  *       - Sensors
  *     parameters:
@@ -152,50 +1753,53 @@ SensorRouter.route("/:sensor_brand/:sensor_id").post(addNewSensor);
  *         required: true
  *         schema:
  *           type: string
- *         description: Brand of the sensor.
+ *         description: The brand of the sensor
  *       - in: path
  *         name: sensor_id
  *         required: true
  *         schema:
  *           type: string
  *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: query
+ *         name: reason
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 1000
+ *         description: Why the sensor is being retired (recorded in its status history)
  *     responses:
  *       200:
- *         description: An array of sensors
+ *         description: Sensor successfully marked as inactive
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   sensor_id:
- *                     type: string
- *                     description: Unique identifier for the sensor (Serial Number)
- *                   sensor_brand:
- *                     type: string
- *                     description: Brand of the sensor.
- *                   sensor_latitude:
- *                     type: number
- *                     format: float
- *                     description: Latitude coordinate of the sensor.
- *                   sensor_longitude:
- *                     type: number
- *                     format: float
- *                     description: Longitude coordinate of the sensor.
- *                   last_location_update:
- *                     type: string
- *                     format: date-time
- *                     description: The previous date the sensor's location was updated.
- *                   date_uploaded:
- *                     type: string
- *                     format: date-time
- *                     description: The creation date of a data table associated with this sensor.
- *                   is_active:
- *                     type: boolean
- *                     description: Whether the sensor is currently active.
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Sensor successfully marked as inactive.
+ *       400:
+ *         description: Bad request - missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: sensor_brand and sensor_id are required parameters.
+ *       204:
+ *         description: Sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
  *       500:
- *         description: Server error.
+ *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
@@ -203,19 +1807,67 @@ SensorRouter.route("/:sensor_brand/:sensor_id").post(addNewSensor);
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error message describing the server issue.
+ *                   example: An error occurred while deprecating the sensor
  */
-SensorRouter.route("/:sensor_brand/:sensor_id").get(getSensorInfo);
+SensorRouter.delete("/:sensor_brand/:sensor_id/deprecate", deprecateSensor);
 
 
 /**
  * @swagger
- * /api/v2/sensors/{sensor_brand}/{sensor_id}/location:
- *   put:
- *     summary: Update sensor location
- *     description: Update the location (latitude and longitude) of a specific sensor.
+ * components:
+ *   securitySchemes:
+ *     AdminKey:
+ *       type: apiKey
+ *       in: header
+ *       name: x-admin-key
+ *   schemas:
+ *     SensorDeletionPreview:
+ *       type: object
+ *       properties:
+ *         sensor_brand:
+ *           type: string
+ *         sensor_id:
+ *           type: string
+ *         measurement_tables:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sensor_table_name:
+ *                 type: string
+ *               measurement_model:
+ *                 type: string
+ *               measurement_type:
+ *                 type: string
+ *               measurement_time_interval:
+ *                 type: string
+ *               table_exists:
+ *                 type: boolean
+ *               row_count:
+ *                 type: integer
+ *                 nullable: true
+ *         registry_rows:
+ *           type: object
+ *           description: Number of rows per registry table (SENSORS, SENSOR_MODELS, SENSOR_LOCATIONS, ...) that belong to the sensor
+ *           additionalProperties:
+ *             type: integer
+ */
+
+
+/**
+ * @swagger
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}/delete-preview:
+ *   get:
+ *     summary: Preview the hard delete of a sensor (admin)
+ *     description: |
+ *       Lists everything DELETE /api/v2/sensors/{sensor_brand}/{sensor_id} would remove - the sensor's measurement tables with their
+ *       row counts and its rows in every registry table - and returns the confirmation_token that delete requires.
+ *       The token expires after 10 minutes and stops working as soon as anything listed changes (e.g. new readings arrive).
+ *       Nothing is deleted by this call.
  *     tags:
  *       - Sensors
+ *     security:
+ *       - AdminKey: []
  *     parameters:
  *       - in: path
  *         name: sensor_brand
@@ -229,50 +1881,44 @@ SensorRouter.route("/:sensor_brand/:sensor_id").get(getSensorInfo);
  *         schema:
  *           type: string
  *         description: Unique identifier for the sensor (Serial Number)
- *       - in: query
- *         name: new_latitude
- *         required: true
- *         schema:
- *           type: number
- *           minimum: -90
- *           maximum: 90
- *         description: The new latitude of the sensor
- *       - in: query
- *         name: new_longitude
- *         required: true
- *         schema:
- *           type: number
- *           minimum: -180
- *           maximum: 180
- *         description: The new longitude of the sensor
  *     responses:
  *       200:
- *         description: Sensor location updated successfully
+ *         description: What would be deleted and the confirmation token
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Sensor location updated successfully.
- *                 updated:
- *                   type: object
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SensorDeletionPreview'
+ *                 - type: object
  *                   properties:
- *                     sensor_brand:
+ *                     confirmation_token:
  *                       type: string
- *                     sensor_id:
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     message:
  *                       type: string
- *                     new_latitude:
- *                       type: number
- *                     new_longitude:
- *                       type: number
- *                     previous_latitude:
- *                       type: number
- *                     previous_longitude:
- *                       type: number
  *       400:
- *         description: Bad request - missing or invalid parameters
+ *         description: Bad request - missing parameters or sensor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Sensor not found.
+ *       401:
+ *         description: Missing or wrong x-admin-key header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set on the server)
  *         content:
  *           application/json:
  *             schema:
@@ -280,7 +1926,6 @@ SensorRouter.route("/:sensor_brand/:sensor_id").get(getSensorInfo);
  *               properties:
  *                 error:
  *                   type: string
- *                   example: sensor_brand and sensor_id are required parameters.
  *       500:
  *         description: Internal server error
  *         content:
@@ -290,19 +1935,26 @@ SensorRouter.route("/:sensor_brand/:sensor_id").get(getSensorInfo);
  *               properties:
  *                 error:
  *                   type: string
- *                   example: An error occurred while updating the sensor location
  */
-SensorRouter.route("/:sensor_brand/:sensor_id/location").put(updateSensorLocation);
+SensorRouter.get("/:sensor_brand/:sensor_id/delete-preview", requireAdmin, previewSensorDeletion);
 
 
 /**
  * @swagger
- * /api/v2/sensors/{sensor_brand}/{sensor_id}/deprecate:
+ * /api/v2/sensors/{sensor_brand}/{sensor_id}:
  *   delete:
- *     summary: Deprecate a sensor
- *     description: Flag a sensor as inactive without removing its data from the database.
+ *     summary: Permanently delete a sensor and all of its data (admin)
+ *     description: |
+ *       Drops every measurement table of the sensor and removes its SENSOR_MODELS, SENSOR_LOCATIONS, SENSOR_STATUS_HISTORY,
+ *       SENSOR_EVENTS, SENSOR_TAGS, SENSOR_GROUP_MEMBERS and SENSORS rows. Requires the confirmation_token of a fresh
+ *       delete-preview. With archive=true the response is instead an NDJSON download of everything about to be deleted:
+ *       one { registry_table, rows } line per registry table, one { table, row } line per measurement row and a last
+ *       { outcome } line holding the result below (or { error }). Nothing is deleted if archiving fails or the client
+ *       disconnects first. Use DELETE /deprecate to only retire a sensor.
  *     tags:
  *       - Sensors
+ *     security:
+ *       - AdminKey: []
  *     parameters:
  *       - in: path
  *         name: sensor_brand
@@ -316,19 +1968,42 @@ SensorRouter.route("/:sensor_brand/:sensor_id/location").put(updateSensorLocatio
  *         schema:
  *           type: string
  *         description: Unique identifier for the sensor (Serial Number)
+ *       - in: query
+ *         name: confirmation_token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token returned by the delete-preview endpoint
+ *       - in: query
+ *         name: archive
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Stream the registry rows and measurement tables back as an NDJSON archive before deleting them
  *     responses:
  *       200:
- *         description: Sensor successfully marked as inactive
+ *         description: Sensor deleted (with archive=true, the NDJSON archive ending in the outcome line)
  *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Sensor successfully marked as inactive.
+ *                 dropped_tables:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 deleted_rows:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
  *       400:
- *         description: Bad request - missing or invalid parameters
+ *         description: Missing, expired or outdated confirmation_token, or sensor not found
  *         content:
  *           application/json:
  *             schema:
@@ -336,9 +2011,17 @@ SensorRouter.route("/:sensor_brand/:sensor_id/location").put(updateSensorLocatio
  *               properties:
  *                 error:
  *                   type: string
- *                   example: sensor_brand and sensor_id are required parameters.
- *       204:
- *         description: Sensor not found
+ *       401:
+ *         description: Missing or wrong x-admin-key header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set on the server)
  *         content:
  *           application/json:
  *             schema:
@@ -346,9 +2029,8 @@ SensorRouter.route("/:sensor_brand/:sensor_id/location").put(updateSensorLocatio
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Sensor not found.
  *       500:
- *         description: Internal server error
+ *         description: Internal server error (or archiving failed, in which case nothing was deleted)
  *         content:
  *           application/json:
  *             schema:
@@ -356,9 +2038,8 @@ SensorRouter.route("/:sensor_brand/:sensor_id/location").put(updateSensorLocatio
  *               properties:
  *                 error:
  *                   type: string
- *                   example: An error occurred while deprecating the sensor
  */
-SensorRouter.delete("/:sensor_brand/:sensor_id/deprecate", deprecateSensor);
+SensorRouter.delete("/:sensor_brand/:sensor_id", requireAdmin, deleteSensor);
 
 
 /**
@@ -376,6 +2057,13 @@ SensorRouter.delete("/:sensor_brand/:sensor_id/deprecate", deprecateSensor);
  *         schema:
  *           type: string
  *         description: Brand of the sensors to retrieve
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: deployed,maintenance
+ *         description: Only return sensors in these lifecycle states (comma separated; planned, deployed, maintenance, offline, retired)
  *     responses:
  *       200:
  *         description: An array of sensors
@@ -409,6 +2097,10 @@ SensorRouter.delete("/:sensor_brand/:sensor_id/deprecate", deprecateSensor);
  *                   is_active:
  *                     type: boolean
  *                     description: Whether the sensor is currently active
+ *                   lifecycle_status:
+ *                     type: string
+ *                     enum: [planned, deployed, maintenance, offline, retired]
+ *                     description: Current lifecycle state of the sensor
  *       500:
  *         description: Server error.
  *         content:
@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+
+/* UTILITY FUNCTIONS */
+
+// Destructive endpoints are only served when ADMIN_API_KEY is set, and only to requests carrying it
+const ADMIN_KEY_HEADER = "x-admin-key";
+
+
+function adminKeyMatches(givenKey) {
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    if (!adminKey || typeof givenKey !== "string") {
+        return false;
+    }
+
+    // Compare digests so the check takes the same time whatever the given key looks like
+    const expected = crypto.createHash("sha256").update(adminKey).digest();
+    const given = crypto.createHash("sha256").update(givenKey).digest();
+
+    return crypto.timingSafeEqual(expected, given);
+}
+
+
+// Express middleware for admin-only routes
+function requireAdmin(request, response, next) {
+    if (!process.env.ADMIN_API_KEY) {
+        return response.status(403).json({ error: "Admin endpoints are disabled. Set ADMIN_API_KEY on the server to enable them." });
+    }
+
+    if (!adminKeyMatches(request.get(ADMIN_KEY_HEADER))) {
+        return response.status(401).json({ error: `A valid ${ADMIN_KEY_HEADER} header is required.` });
+    }
+
+    return next();
+}
+
+
+module.exports = {
+    ADMIN_KEY_HEADER,
+    requireAdmin,
+};
@@ -0,0 +1,273 @@
+/* UTILITY FUNCTIONS */
+
+// US EPA AQI breakpoints (PM2.5 uses the 2024 revision). Each entry is [C_low, C_high, I_low, I_high]
+// Units: PM2.5 and PM10 in µg/m³, O3 and CO in ppm, NO2 and SO2 in ppb
+const AQI_POLLUTANTS = {
+    pm25: {
+        averagingHours: 24,
+        minimumHours: 18,
+        precision: 1,
+        breakpoints: [
+            [0.0, 9.0, 0, 50],
+            [9.1, 35.4, 51, 100],
+            [35.5, 55.4, 101, 150],
+            [55.5, 125.4, 151, 200],
+            [125.5, 225.4, 201, 300],
+            [225.5, 325.4, 301, 500],
+        ],
+    },
+    pm10: {
+        averagingHours: 24,
+        minimumHours: 18,
+        precision: 0,
+        breakpoints: [
+            [0, 54, 0, 50],
+            [55, 154, 51, 100],
+            [155, 254, 101, 150],
+            [255, 354, 151, 200],
+            [355, 424, 201, 300],
+            [425, 604, 301, 500],
+        ],
+    },
+    o3: {
+        averagingHours: 8,
+        minimumHours: 6,
+        precision: 3,
+        breakpoints: [
+            [0.000, 0.054, 0, 50],
+            [0.055, 0.070, 51, 100],
+            [0.071, 0.085, 101, 150],
+            [0.086, 0.105, 151, 200],
+            [0.106, 0.200, 201, 300],
+        ],
+    },
+    co: {
+        averagingHours: 8,
+        minimumHours: 6,
+        precision: 1,
+        breakpoints: [
+            [0.0, 4.4, 0, 50],
+            [4.5, 9.4, 51, 100],
+            [9.5, 12.4, 101, 150],
+            [12.5, 15.4, 151, 200],
+            [15.5, 30.4, 201, 300],
+            [30.5, 50.4, 301, 500],
+        ],
+    },
+    no2: {
+        averagingHours: 1,
+        minimumHours: 1,
+        precision: 0,
+        breakpoints: [
+            [0, 53, 0, 50],
+            [54, 100, 51, 100],
+            [101, 360, 101, 150],
+            [361, 649, 151, 200],
+            [650, 1249, 201, 300],
+            [1250, 2049, 301, 500],
+        ],
+    },
+    so2: {
+        averagingHours: 1,
+        minimumHours: 1,
+        precision: 0,
+        breakpoints: [
+            [0, 35, 0, 50],
+            [36, 75, 51, 100],
+            [76, 185, 101, 150],
+            [186, 304, 151, 200],
+            [305, 604, 201, 300],
+            [605, 1004, 301, 500],
+        ],
+    },
+};
+
+// 1-hour O3 breakpoints (ppm), only used for concentrations of 0.125 ppm and above
+const O3_ONE_HOUR_BREAKPOINTS = [
+    [0.125, 0.164, 101, 150],
+    [0.165, 0.204, 151, 200],
+    [0.205, 0.404, 201, 300],
+    [0.405, 0.604, 301, 500],
+];
+
+const NOWCAST_POLLUTANTS = ["pm25", "pm10"];
+const HOUR_MS = 60 * 60 * 1000;
+
+
+// Averages pick up floating point error (24 readings of 9.1 average to 9.0999...), so values within 1e-9 of the next
+// step are not truncated down
+function truncate(value, precision) {
+    const factor = 10 ** precision;
+    return Math.floor(value * factor + 1e-9) / factor;
+}
+
+
+// Linear interpolation inside the breakpoint range containing the concentration
+function subIndex(concentration, breakpoints, precision) {
+    if (concentration === null || concentration === undefined || isNaN(concentration)) {
+        return null;
+    }
+
+    const truncated = truncate(Math.max(concentration, 0), precision);
+
+    for (const [cLow, cHigh, iLow, iHigh] of breakpoints) {
+        if (truncated >= cLow && truncated <= cHigh) {
+            return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (truncated - cLow) + iLow);
+        }
+    }
+
+    // Beyond the top of the index, or below the lowest 1-hour O3 breakpoint
+    return truncated > breakpoints[breakpoints.length - 1][1] ? 500 : null;
+}
+
+
+// Mean of the hourly values in the averaging window ending at hourIndex, if enough hours were reported
+function trailingAverage(hourlyValues, hourIndex, averagingHours, minimumHours) {
+    const values = [];
+
+    for (let i = 0; i < averagingHours; i++) {
+        const value = hourlyValues.get(hourIndex - i);
+        if (value !== null && value !== undefined) {
+            values.push(value);
+        }
+    }
+
+    if (values.length < minimumHours) {
+        return null;
+    }
+
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+
+// EPA NowCast over the last 12 hours; needs two of the three most recent hours
+function nowCast(hourlyValues, hourIndex) {
+    const recent = [];
+
+    for (let i = 0; i < 12; i++) {
+        const value = hourlyValues.get(hourIndex - i);
+        recent.push(value === undefined ? null : value);
+    }
+
+    if (recent.slice(0, 3).filter((value) => value !== null).length < 2) {
+        return null;
+    }
+
+    const available = recent.filter((value) => value !== null);
+    const minimum = Math.min(...available);
+    const maximum = Math.max(...available);
+    const weight = Math.max(maximum === 0 ? 1 : minimum / maximum, 0.5);
+
+    let weightedSum = 0;
+    let weightTotal = 0;
+
+    recent.forEach((value, i) => {
+        if (value !== null) {
+            weightedSum += value * weight ** i;
+            weightTotal += weight ** i;
+        }
+    });
+
+    return weightedSum / weightTotal;
+}
+
+
+function o3SubIndex(hourlyValues, hourIndex) {
+    const { averagingHours, minimumHours, precision, breakpoints } = AQI_POLLUTANTS.o3;
+    const eightHour = trailingAverage(hourlyValues, hourIndex, averagingHours, minimumHours);
+    const oneHour = hourlyValues.get(hourIndex);
+
+    const candidates = [];
+
+    // 8-hour breakpoints stop at 0.200 ppm, the 1-hour table takes over from 0.125 ppm
+    if (eightHour !== null && truncate(eightHour, precision) <= 0.200) {
+        candidates.push(subIndex(eightHour, breakpoints, precision));
+    }
+    if (oneHour !== null && oneHour !== undefined && truncate(oneHour, precision) >= 0.125) {
+        candidates.push(subIndex(oneHour, O3_ONE_HOUR_BREAKPOINTS, precision));
+    }
+
+    const validCandidates = candidates.filter((candidate) => candidate !== null);
+
+    return {
+        concentration: eightHour,
+        aqi: validCandidates.length ? Math.max(...validCandidates) : null,
+    };
+}
+
+
+// Compute sub-indices, NowCast and the overall AQI for every hour in [startTime, endTime].
+// hourlyRows hold hourly means with the hour start under `hourColumn`;
+// pollutantColumns maps a pollutant key (pm25, pm10, o3, co, no2, so2) to its column name
+function computeHourlyAQI(hourlyRows, hourColumn, pollutantColumns, startTime, endTime) {
+    const series = {};
+
+    for (const pollutant of Object.keys(pollutantColumns)) {
+        series[pollutant] = new Map();
+    }
+
+    for (const row of hourlyRows) {
+        const hourIndex = Math.floor(new Date(row[hourColumn]).getTime() / HOUR_MS);
+        for (const [pollutant, column] of Object.entries(pollutantColumns)) {
+            const value = row[column];
+            if (value !== null && value !== undefined && !isNaN(value)) {
+                series[pollutant].set(hourIndex, Number(value));
+            }
+        }
+    }
+
+    const results = [];
+
+    for (const row of hourlyRows) {
+        const hourTime = new Date(row[hourColumn]).getTime();
+
+        if (hourTime < startTime || hourTime > endTime) {
+            continue;
+        }
+
+        const hourIndex = Math.floor(hourTime / HOUR_MS);
+        const result = { hour: new Date(hourTime), sub_indices: {}, nowcast: {}, aqi: null, dominant_pollutant: null };
+
+        for (const pollutant of Object.keys(pollutantColumns)) {
+            const { averagingHours, minimumHours, precision, breakpoints } = AQI_POLLUTANTS[pollutant];
+
+            let subIndexResult;
+
+            if (pollutant === "o3") {
+                subIndexResult = o3SubIndex(series[pollutant], hourIndex);
+            } else {
+                const concentration = trailingAverage(series[pollutant], hourIndex, averagingHours, minimumHours);
+                subIndexResult = { concentration, aqi: subIndex(concentration, breakpoints, precision) };
+            }
+
+            result.sub_indices[pollutant] = {
+                averaging_hours: averagingHours,
+                concentration: subIndexResult.concentration,
+                aqi: subIndexResult.aqi,
+            };
+
+            if (NOWCAST_POLLUTANTS.includes(pollutant)) {
+                const concentration = nowCast(series[pollutant], hourIndex);
+                result.nowcast[pollutant] = {
+                    concentration,
+                    aqi: subIndex(concentration, breakpoints, precision),
+                };
+            }
+
+            if (subIndexResult.aqi !== null && (result.aqi === null || subIndexResult.aqi > result.aqi)) {
+                result.aqi = subIndexResult.aqi;
+                result.dominant_pollutant = pollutant;
+            }
+        }
+
+        results.push(result);
+    }
+
+    return results;
+}
+
+
+module.exports = {
+    AQI_POLLUTANTS,
+    computeHourlyAQI,
+};
@@ -0,0 +1,152 @@
+/* UTILITY FUNCTIONS */
+
+const CALIBRATION_MODELS_TABLE = process.env.CALIBRATION_MODELS_TABLE || "CALIBRATION_MODELS";
+const CALIBRATION_RUNS_TABLE = process.env.CALIBRATION_RUNS_TABLE || "CALIBRATION_RUNS";
+
+// linear: output = intercept + slope * input
+// multilinear: output = intercept + sum(coefficient * column) over terms (e.g. raw PM2.5, temperature and RH)
+// piecewise: the first segment whose "below" bound is above the input column applies its own multilinear terms
+const MODEL_FORMS = ["linear", "multilinear", "piecewise"];
+
+// Model names become the measurement_model of CORRECTED tables, so they are limited to URL-safe characters
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const MODEL_VERSION_PATTERN = /^[A-Za-z0-9._-]{1,50}$/;
+
+
+function parseDefinition(definition) {
+    return typeof definition === "string" ? JSON.parse(definition) : definition;
+}
+
+
+// Columns of the RAW table a model reads
+function modelInputColumns(model_form, definition) {
+    switch (model_form) {
+        case "linear":
+            return [definition.input];
+        case "multilinear":
+            return Object.keys(definition.terms);
+        default:
+            return [...new Set([definition.input, ...definition.segments.flatMap((segment) => Object.keys(segment.terms))])];
+    }
+}
+
+
+// Problems with a piecewise definition that the schema cannot express: bounds must increase and only the
+// last segment is open-ended
+function segmentErrors(segments) {
+    const errors = [];
+
+    segments.forEach((segment, index) => {
+        const isLast = index === segments.length - 1;
+
+        if (!isLast && segment.below === undefined) {
+            errors.push(`Segment ${index + 1} needs a 'below' bound, only the last segment is open-ended.`);
+        }
+
+        if (isLast && segment.below !== undefined) {
+            errors.push("The last segment must not have a 'below' bound so that every value is covered.");
+        }
+
+        if (index > 0 && segment.below !== undefined && segments[index - 1].below !== undefined && segment.below <= segments[index - 1].below) {
+            errors.push(`Segment ${index + 1} bound must be greater than the bound of segment ${index}.`);
+        }
+    });
+
+    return errors;
+}
+
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === "") {
+        return undefined;
+    }
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+
+function applyTerms(intercept, terms, row) {
+    let output = intercept || 0;
+
+    for (const [column, coefficient] of Object.entries(terms)) {
+        const value = toNumber(row[column]);
+
+        if (value === undefined) {
+            return undefined;
+        }
+
+        output += coefficient * value;
+    }
+
+    return output;
+}
+
+
+// Corrected value of a RAW row, undefined when one of the inputs is missing or not numeric
+function applyCalibration(model_form, definition, row) {
+    if (model_form === "multilinear") {
+        return applyTerms(definition.intercept, definition.terms, row);
+    }
+
+    const input = toNumber(row[definition.input]);
+
+    if (input === undefined) {
+        return undefined;
+    }
+
+    if (model_form === "linear") {
+        return (definition.intercept || 0) + definition.slope * input;
+    }
+
+    const segment = definition.segments.find((candidate) => candidate.below === undefined || input < candidate.below);
+    return applyTerms(segment.intercept, segment.terms, row);
+}
+
+
+// Rows for the CORRECTED table: its date column takes the RAW timestamp, the model output goes to the output column
+// and other columns shared with the RAW schema are copied. RAW rows missing an input are counted and left out
+function buildCorrectedRows(rawRows, model, sourceDateColumn, targetSchema, targetDateColumn, sourceSchema) {
+    const definition = parseDefinition(model.definition);
+    const copiedColumns = Object.keys(targetSchema)
+        .filter((column) => column !== targetDateColumn && column !== definition.output && column in sourceSchema);
+
+    const rows = [];
+    let missingInput = 0;
+
+    for (const rawRow of rawRows) {
+        const output = applyCalibration(model.model_form, definition, rawRow);
+
+        if (output === undefined) {
+            missingInput++;
+            continue;
+        }
+
+        const row = {};
+
+        Object.keys(targetSchema).forEach((column) => {
+            row[column] = copiedColumns.includes(column) ? rawRow[column] : null;
+        });
+
+        row[targetDateColumn] = rawRow[sourceDateColumn];
+        row[definition.output] = output;
+
+        rows.push(row);
+    }
+
+    return { rows, rows_missing_input: missingInput };
+}
+
+
+module.exports = {
+    CALIBRATION_MODELS_TABLE,
+    CALIBRATION_RUNS_TABLE,
+    MODEL_FORMS,
+    MODEL_NAME_PATTERN,
+    MODEL_VERSION_PATTERN,
+    parseDefinition,
+    modelInputColumns,
+    segmentErrors,
+    applyCalibration,
+    buildCorrectedRows,
+};
@@ -0,0 +1,118 @@
+const { Transform } = require("stream");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
+
+const METADATA_FIELDS = ["unit", "parameter_code", "description", "min_value", "max_value", "precision"];
+const NUMERIC_SCHEMA_TYPES = ["number", "float", "integer"];
+
+
+// A measurement table's { column: { unit, parameter_code, ... } } map from its SENSOR_MODELS row ({} when none)
+async function getColumnMetadata(database, sensor_table_name) {
+    const sensorModel = await database(SENSOR_MODELS_TABLE)
+        .select("column_metadata")
+        .where({ sensor_table_name })
+        .first();
+
+    if (!sensorModel || !sensorModel.column_metadata) {
+        return {};
+    }
+
+    return typeof sensorModel.column_metadata === "string"
+        ? JSON.parse(sensorModel.column_metadata)
+        : sensorModel.column_metadata;
+}
+
+
+// Problems with metadata given for a schema: unknown columns, ranges on non-numeric columns and inverted ranges
+function columnMetadataErrors(metadata, schema) {
+    const errors = [];
+
+    for (const [column, fields] of Object.entries(metadata)) {
+        if (!(column in schema)) {
+            errors.push(`'${column}' is not a column of the schema.`);
+            continue;
+        }
+
+        const hasRange = fields.min_value !== undefined || fields.max_value !== undefined;
+
+        if (hasRange && !NUMERIC_SCHEMA_TYPES.includes(String(schema[column]).toLowerCase())) {
+            errors.push(`'${column}' is not numeric, so it cannot have min_value or max_value.`);
+        }
+
+        if (fields.min_value !== undefined && fields.max_value !== undefined && fields.min_value > fields.max_value) {
+            errors.push(`'${column}' has a min_value greater than its max_value.`);
+        }
+    }
+
+    return errors;
+}
+
+
+// Reason a value falls outside its column's valid range, or undefined when it is inside (or no range is set)
+function checkRange(value, fields) {
+    if (!fields || (fields.min_value === undefined && fields.max_value === undefined)) {
+        return undefined;
+    }
+
+    const number = Number(value);
+
+    if ((fields.min_value !== undefined && number < fields.min_value) || (fields.max_value !== undefined && number > fields.max_value)) {
+        return `${number} is outside the valid range [${fields.min_value ?? "-inf"}, ${fields.max_value ?? "inf"}]`;
+    }
+
+    return undefined;
+}
+
+
+// One "# column: field=value; ..." line per described column, written above the header of CSV exports
+function metadataCommentLines(metadata) {
+    return Object.entries(metadata).map(([column, fields]) => {
+        const described = METADATA_FIELDS
+            .filter((field) => fields[field] !== undefined && fields[field] !== null)
+            .map((field) => `${field}=${String(fields[field]).replace(/[\r\n]+/g, " ")}`);
+
+        return `# ${column}: ${described.join("; ")}`;
+    });
+}
+
+
+// Object-mode transform rounding every column that declares a precision to that many decimals on export.
+// Undefined when no column declares one, so exports without precisions skip the extra step
+function createPrecisionRounder(metadata) {
+    const precisions = Object.entries(metadata)
+        .filter(([_, fields]) => Number.isInteger(fields.precision))
+        .map(([column, fields]) => [column, 10 ** fields.precision]);
+
+    if (precisions.length === 0) {
+        return undefined;
+    }
+
+    return new Transform({
+        objectMode: true,
+        transform(row, _, done) {
+            const rounded = { ...row };
+
+            precisions.forEach(([column, factor]) => {
+                const value = row[column];
+
+                if (value !== null && value !== undefined && value !== "" && Number.isFinite(Number(value))) {
+                    rounded[column] = Math.round(Number(value) * factor) / factor;
+                }
+            });
+
+            done(null, rounded);
+        },
+    });
+}
+
+
+module.exports = {
+    METADATA_FIELDS,
+    getColumnMetadata,
+    columnMetadataErrors,
+    checkRange,
+    metadataCommentLines,
+    createPrecisionRounder,
+};
@@ -0,0 +1,96 @@
+/* UTILITY FUNCTIONS */
+
+const MEASUREMENT_INTERVAL_SECONDS = {
+    HOURLY: 60 * 60,
+    DAILY: 24 * 60 * 60,
+};
+
+// A step longer than this multiple of the expected interval counts as a gap
+const GAP_TOLERANCE = 1.5;
+
+
+// Typical sampling cadence (median spacing between consecutive readings) in seconds
+function inferSamplingInterval(timestamps) {
+    const steps = [];
+
+    for (let i = 1; i < timestamps.length; i++) {
+        const step = timestamps[i] - timestamps[i - 1];
+        if (step > 0) {
+            steps.push(step);
+        }
+    }
+
+    if (steps.length === 0) {
+        return undefined;
+    }
+
+    steps.sort((a, b) => a - b);
+    const middle = Math.floor(steps.length / 2);
+    const median = steps.length % 2 ? steps[middle] : (steps[middle - 1] + steps[middle]) / 2;
+
+    return Math.round(median / 1000);
+}
+
+
+// Find every stretch in [startTime, endTime] where readings stopped for longer than the expected interval.
+// timestamps must be sorted ascending and given in milliseconds
+function findDataGaps(timestamps, startTime, endTime, intervalSeconds) {
+    const intervalMs = intervalSeconds * 1000;
+    const gaps = [];
+
+    // The range edges act as virtual readings so leading and trailing outages are reported too
+    const points = [startTime - intervalMs, ...timestamps, endTime + intervalMs];
+
+    for (let i = 1; i < points.length; i++) {
+        const step = points[i] - points[i - 1];
+
+        if (step > intervalMs * GAP_TOLERANCE) {
+            const gapStart = Math.max(points[i - 1] + intervalMs, startTime);
+            const gapEnd = Math.min(points[i] - intervalMs, endTime);
+
+            if (gapEnd < gapStart) {
+                continue;
+            }
+
+            gaps.push({
+                gap_start: new Date(gapStart),
+                gap_end: new Date(gapEnd),
+                missing_intervals: Math.floor((gapEnd - gapStart) / intervalMs) + 1,
+                duration_hours: (gapEnd - gapStart + intervalMs) / (60 * 60 * 1000),
+            });
+        }
+    }
+
+    return gaps;
+}
+
+
+function buildCompletenessReport(timestamps, startTime, endTime, intervalSeconds) {
+    const gaps = findDataGaps(timestamps, startTime, endTime, intervalSeconds);
+    const expectedReadings = Math.floor((endTime - startTime) / (intervalSeconds * 1000)) + 1;
+    const missingIntervals = gaps.reduce((sum, gap) => sum + gap.missing_intervals, 0);
+    const observedIntervals = Math.max(expectedReadings - missingIntervals, 0);
+
+    const longestOutage = gaps.reduce(
+        (longest, gap) => (!longest || gap.duration_hours > longest.duration_hours ? gap : longest),
+        null
+    );
+
+    return {
+        interval_seconds: intervalSeconds,
+        readings_found: timestamps.length,
+        expected_readings: expectedReadings,
+        missing_intervals: missingIntervals,
+        completeness_percent: Math.round((observedIntervals / expectedReadings) * 10000) / 100,
+        gap_count: gaps.length,
+        longest_outage: longestOutage,
+        gaps,
+    };
+}
+
+
+module.exports = {
+    MEASUREMENT_INTERVAL_SECONDS,
+    inferSamplingInterval,
+    buildCompletenessReport,
+};
@@ -0,0 +1,36 @@
+/* UTILITY FUNCTIONS */
+
+const GEOJSON_CONTENT_TYPE = "application/geo+json";
+
+
+// A SENSORS row as a GeoJSON Point feature. GeoJSON positions are [longitude, latitude]
+function sensorToFeature(sensor, extraProperties = {}) {
+    return {
+        type: "Feature",
+        id: `${sensor.sensor_brand}_${sensor.sensor_id}`,
+        geometry: {
+            type: "Point",
+            coordinates: [Number(sensor.sensor_longitude), Number(sensor.sensor_latitude)],
+        },
+        properties: {
+            sensor_brand: sensor.sensor_brand,
+            sensor_id: sensor.sensor_id,
+            is_active: Boolean(sensor.is_active),
+            lifecycle_status: sensor.lifecycle_status,
+            last_location_update: sensor.last_location_update,
+            ...extraProperties,
+        },
+    };
+}
+
+
+function featureCollection(features) {
+    return { type: "FeatureCollection", features };
+}
+
+
+module.exports = {
+    GEOJSON_CONTENT_TYPE,
+    sensorToFeature,
+    featureCollection,
+};
@@ -0,0 +1,66 @@
+/* UTILITY FUNCTIONS */
+
+const EARTH_RADIUS_KM = 6371.0088;
+// Taken from the same radius as haversineKm, so the box never cuts off points the exact distance keeps
+const KM_PER_DEGREE_LATITUDE = EARTH_RADIUS_KM * Math.PI / 180;
+
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+
+// Great-circle distance between two points (haversine formula)
+function haversineKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+
+// Smallest lat/lon box containing every point within radiusKm of the centre.
+// Used to pre-filter in SQL before computing exact distances. min_lon > max_lon means the box crosses the antimeridian
+function boundingBoxAround(lat, lon, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+    const min_lat = Math.max(-90, lat - latDelta);
+    const max_lat = Math.min(90, lat + latDelta);
+
+    // Near the poles (or for huge radii) every longitude is in range
+    const cosLat = Math.cos(toRadians(Math.max(Math.abs(min_lat), Math.abs(max_lat))));
+    const lonDelta = cosLat > 0 ? radiusKm / (KM_PER_DEGREE_LATITUDE * cosLat) : 180;
+
+    if (lonDelta >= 180 || min_lat === -90 || max_lat === 90) {
+        return { min_lat, max_lat, min_lon: -180, max_lon: 180 };
+    }
+
+    const wrap = (value) => ((value + 540) % 360) - 180;
+
+    return { min_lat, max_lat, min_lon: wrap(lon - lonDelta), max_lon: wrap(lon + lonDelta) };
+}
+
+
+// Restrict a knex query on the SENSORS table to a bounding box
+function whereInBoundingBox(query, { min_lat, max_lat, min_lon, max_lon }) {
+    query.whereBetween("sensor_latitude", [min_lat, max_lat]);
+
+    if (min_lon <= max_lon) {
+        query.whereBetween("sensor_longitude", [min_lon, max_lon]);
+    } else {
+        query.where((builder) => {
+            builder.where("sensor_longitude", ">=", min_lon).orWhere("sensor_longitude", "<=", max_lon);
+        });
+    }
+
+    return query;
+}
+
+
+module.exports = {
+    haversineKm,
+    boundingBoxAround,
+    whereInBoundingBox,
+};
@@ -0,0 +1,146 @@
+const { Transform } = require("stream");
+const { formatDateTime } = require("./SensorSchemaUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
+const SENSOR_LOCATIONS_TABLE = process.env.SENSOR_LOCATIONS_TABLE || "SENSOR_LOCATIONS";
+
+
+// Every recorded deployment of a sensor, oldest first. The current one has effective_to = NULL
+async function getLocationHistory(database, sensor_brand, sensor_id) {
+    return database(SENSOR_LOCATIONS_TABLE)
+        .select("sensor_latitude", "sensor_longitude", "effective_from", "effective_to")
+        .where({ sensor_brand, sensor_id })
+        .orderBy("effective_from", "asc");
+}
+
+
+// The deployment that was in effect at the given time (effective_from inclusive, effective_to exclusive)
+function locationAt(history, time) {
+    const timestamp = new Date(time).getTime();
+    let low = 0;
+    let high = history.length - 1;
+    let match;
+
+    // Binary search for the last deployment starting at or before the timestamp
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (new Date(history[middle].effective_from).getTime() <= timestamp) {
+            match = history[middle];
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    if (!match || (match.effective_to && new Date(match.effective_to).getTime() <= timestamp)) {
+        return undefined;
+    }
+
+    return match;
+}
+
+
+// Copy the coordinates valid at each reading's timestamp onto the reading
+function annotateWithLocation(row, history, dateColumn) {
+    const location = locationAt(history, row[dateColumn]);
+
+    return {
+        ...row,
+        sensor_latitude: location ? location.sensor_latitude : null,
+        sensor_longitude: location ? location.sensor_longitude : null,
+    };
+}
+
+
+// Object-mode transform applying annotateWithLocation to a stream of readings
+function createLocationAnnotator(history, dateColumn) {
+    return new Transform({
+        objectMode: true,
+        transform(row, _, done) {
+            done(null, annotateWithLocation(row, history, dateColumn));
+        },
+    });
+}
+
+
+function rejectEarlierMove(movedAt, since) {
+    if (new Date(since).getTime() >= new Date(movedAt).getTime()) {
+        throw Object.assign(
+            new Error(`The move must happen after the current location took effect (${formatDateTime(since)}).`),
+            { status: 400 }
+        );
+    }
+}
+
+
+// Close the open deployment of a sensor and open a new one starting at movedAt, returning the sensor row as it was
+// before the move. The sensor and its open deployment are locked so concurrent moves cannot both close the same row.
+// Sensors registered before location history existed get their previous site backfilled first.
+// Throws a 400 error when movedAt is not after the current location took effect
+async function recordLocationChange(trx, sensor, newLatitude, newLongitude, movedAt) {
+    const { sensor_brand, sensor_id } = sensor;
+
+    const current = await trx(SENSOR_TABLE)
+        .where({ sensor_brand, sensor_id })
+        .forUpdate()
+        .first();
+
+    if (!current) {
+        throw Object.assign(new Error("Sensor not found."), { status: 400 });
+    }
+
+    if (current.last_location_update) {
+        rejectEarlierMove(movedAt, current.last_location_update);
+    }
+
+    const openDeployment = await trx(SENSOR_LOCATIONS_TABLE)
+        .where({ sensor_brand, sensor_id })
+        .whereNull("effective_to")
+        .forUpdate()
+        .first();
+
+    if (openDeployment) {
+        rejectEarlierMove(movedAt, openDeployment.effective_from);
+
+        await trx(SENSOR_LOCATIONS_TABLE)
+            .where("id", openDeployment.id)
+            .update({ effective_to: movedAt });
+
+    } else if (current.sensor_latitude !== null && current.sensor_longitude !== null) {
+        const previousFrom = current.last_location_update || current.date_uploaded;
+
+        rejectEarlierMove(movedAt, previousFrom);
+
+        await trx(SENSOR_LOCATIONS_TABLE).insert({
+            sensor_brand,
+            sensor_id,
+            sensor_latitude: current.sensor_latitude,
+            sensor_longitude: current.sensor_longitude,
+            effective_from: formatDateTime(previousFrom),
+            effective_to: movedAt,
+        });
+    }
+
+    await trx(SENSOR_LOCATIONS_TABLE).insert({
+        sensor_brand,
+        sensor_id,
+        sensor_latitude: newLatitude,
+        sensor_longitude: newLongitude,
+        effective_from: movedAt,
+        effective_to: null,
+    });
+
+    return current;
+}
+
+
+module.exports = {
+    SENSOR_LOCATIONS_TABLE,
+    getLocationHistory,
+    locationAt,
+    annotateWithLocation,
+    createLocationAnnotator,
+    recordLocationChange,
+};
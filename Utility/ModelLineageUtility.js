@@ -0,0 +1,136 @@
+const { formatDateTime } = require("./SensorSchemaUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
+
+
+function parseCoefficients(coefficients) {
+    return typeof coefficients === "string" ? JSON.parse(coefficients) : coefficients;
+}
+
+
+// SENSOR_MODELS column values for a validated { source_table_name, model_version, coefficients, produced_at } body
+function lineageColumns(lineage) {
+    return {
+        source_table_name: lineage.source_table_name,
+        model_version: lineage.model_version || null,
+        model_coefficients: lineage.coefficients ? JSON.stringify(lineage.coefficients) : null,
+        produced_at: formatDateTime(lineage.produced_at || new Date()),
+    };
+}
+
+
+// Error message when source_table_name cannot be the source of sensor_table_name, undefined when it can.
+// The source must be registered, and following its own sources must never lead back to the derived table
+async function checkLineageSource(database, sensor_table_name, source_table_name) {
+    if (source_table_name === sensor_table_name) {
+        return "A sensor model cannot be its own source.";
+    }
+
+    let current = source_table_name;
+    const visited = new Set();
+
+    while (current && !visited.has(current)) {
+        visited.add(current);
+
+        const model = await database(SENSOR_MODELS_TABLE)
+            .select("source_table_name")
+            .where({ sensor_table_name: current })
+            .first();
+
+        if (!model) {
+            return current === source_table_name
+                ? `Source table '${source_table_name}' is not a registered sensor model.`
+                : undefined;
+        }
+
+        if (model.source_table_name === sensor_table_name) {
+            return `'${source_table_name}' is itself derived from '${sensor_table_name}', the lineage would form a cycle.`;
+        }
+
+        current = model.source_table_name;
+    }
+
+    return undefined;
+}
+
+
+function toNode(model, sensor_brand, sensor_id) {
+    return {
+        sensor_table_name: model.sensor_table_name,
+        sensor_brand: model.sensor_brand,
+        sensor_id: model.sensor_id,
+        measurement_model: model.measurement_model,
+        measurement_type: model.measurement_type,
+        measurement_time_interval: model.measurement_time_interval,
+        source_table_name: model.source_table_name || null,
+        model_version: model.model_version || null,
+        model_coefficients: model.model_coefficients ? parseCoefficients(model.model_coefficients) : null,
+        produced_at: model.produced_at || null,
+        registered: true,
+        other_sensor: model.sensor_brand !== sensor_brand || model.sensor_id !== sensor_id,
+    };
+}
+
+
+// Derivation graph of a sensor: its models as nodes and one edge per source -> derived table.
+// Sources belonging to other sensors are followed upstream, tables derived from this sensor's by other sensors
+// are included one level down, and sources that are no longer registered appear as unregistered nodes
+async function buildLineageGraph(database, sensor_brand, sensor_id) {
+    const ownModels = await database(SENSOR_MODELS_TABLE)
+        .where({ sensor_brand, sensor_id })
+        .orderBy("id", "asc");
+
+    const nodes = new Map(ownModels.map((model) => [model.sensor_table_name, toNode(model, sensor_brand, sensor_id)]));
+
+    if (nodes.size === 0) {
+        return { nodes: [], edges: [] };
+    }
+
+    const derivedModels = await database(SENSOR_MODELS_TABLE)
+        .whereIn("source_table_name", [...nodes.keys()])
+        .orderBy("id", "asc");
+
+    derivedModels
+        .filter((model) => !nodes.has(model.sensor_table_name))
+        .forEach((model) => nodes.set(model.sensor_table_name, toNode(model, sensor_brand, sensor_id)));
+
+    // Follow sources upstream until every one is a node
+    let missing = [...nodes.values()]
+        .map((node) => node.source_table_name)
+        .filter((source) => source && !nodes.has(source));
+
+    while (missing.length > 0) {
+        const sources = await database(SENSOR_MODELS_TABLE).whereIn("sensor_table_name", missing);
+        const found = new Set(sources.map((model) => model.sensor_table_name));
+
+        sources.forEach((model) => nodes.set(model.sensor_table_name, toNode(model, sensor_brand, sensor_id)));
+        missing
+            .filter((source) => !found.has(source))
+            .forEach((source) => nodes.set(source, { sensor_table_name: source, registered: false }));
+
+        missing = [...new Set(sources
+            .map((model) => model.source_table_name)
+            .filter((source) => source && !nodes.has(source)))];
+    }
+
+    const edges = [...nodes.values()]
+        .filter((node) => node.source_table_name)
+        .map((node) => ({
+            source: node.source_table_name,
+            target: node.sensor_table_name,
+            measurement_model: node.measurement_model,
+            model_version: node.model_version,
+            produced_at: node.produced_at,
+        }));
+
+    return { nodes: [...nodes.values()], edges };
+}
+
+
+module.exports = {
+    lineageColumns,
+    checkLineageSource,
+    buildLineageGraph,
+};
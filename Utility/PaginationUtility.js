@@ -0,0 +1,67 @@
+/* UTILITY FUNCTIONS */
+
+const DEFAULT_PAGE_LIMIT = 1000;
+const MAX_PAGE_LIMIT = 10000;
+
+
+// Cursors are opaque to clients: base64url encoded JSON holding the last key of the previous page
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        return position && typeof position === "object" ? position : undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+
+// Read limit and cursor from a query string. Pagination is only active when either one is given.
+// cursorKey names the field the cursor must carry (e.g. "after" for dates, "after_id" for primary keys)
+function parsePagination(query, cursorKey) {
+    const { limit, cursor } = query;
+
+    if (limit === undefined && cursor === undefined) {
+        return { paginated: false };
+    }
+
+    const pageLimit = limit === undefined ? DEFAULT_PAGE_LIMIT : Number(limit);
+
+    if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_PAGE_LIMIT) {
+        return { error: `limit must be a whole number between 1 and ${MAX_PAGE_LIMIT}.` };
+    }
+
+    const position = cursor === undefined ? undefined : decodeCursor(cursor);
+
+    const validKey = position && ["string", "number"].includes(typeof position[cursorKey]);
+
+    if (cursor !== undefined && !validKey) {
+        return { error: "cursor is not valid. Use the next_cursor value returned by the previous page." };
+    }
+
+    return { paginated: true, limit: pageLimit, position };
+}
+
+
+// Fetch limit + 1 rows to know whether another page follows, then build the page envelope
+function buildPage(rows, limit, totalCount, cursorFor) {
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        data,
+        limit,
+        total_count: totalCount,
+        next_cursor: hasMore ? encodeCursor(cursorFor(data[data.length - 1])) : null,
+    };
+}
+
+
+module.exports = {
+    parsePagination,
+    buildPage,
+};
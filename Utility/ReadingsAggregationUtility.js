@@ -0,0 +1,192 @@
+const { getSensorDataSchema } = require("./SensorSchemaUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+// Windows are counted from a Monday midnight so hours, days and weeks line up with the calendar
+const BUCKET_ANCHOR = "1970-01-05 00:00:00";
+
+const BUCKET_UNIT_SECONDS = {
+    m: 60,
+    h: 60 * 60,
+    d: 24 * 60 * 60,
+    w: 7 * 24 * 60 * 60,
+};
+
+const NUMERIC_SCHEMA_TYPES = ["number", "float", "integer"];
+const AGGREGATE_FUNCTIONS = ["mean", "min", "max", "median", "stddev", "count"];
+
+
+// Parse a bucket string such as 15m, 1h, 1d or 1w into its size in seconds
+function parseBucket(bucket) {
+    const match = /^(\d+)([mhdw])$/.exec(String(bucket || "").trim());
+
+    if (!match || parseInt(match[1], 10) === 0) {
+        return undefined;
+    }
+
+    return parseInt(match[1], 10) * BUCKET_UNIT_SECONDS[match[2]];
+}
+
+
+// SQL expression (and bindings) that floors a date column to the start of its window
+function bucketExpression(dateColumn, bucketSeconds) {
+    return {
+        sql: "DATE_ADD(CAST(? AS DATETIME), INTERVAL FLOOR(TIMESTAMPDIFF(SECOND, ?, ??) / ?) * ? SECOND)",
+        bindings: [BUCKET_ANCHOR, BUCKET_ANCHOR, dateColumn, bucketSeconds, bucketSeconds],
+    };
+}
+
+
+// Numeric columns come from the model's sensor_data_schema, falling back to the table definition
+async function getNumericColumns(RDSdatabase, aq_table) {
+    const schema = await getSensorDataSchema(RDSdatabase, aq_table);
+
+    return Object.entries(schema)
+        .filter(([_, dataType]) => NUMERIC_SCHEMA_TYPES.includes(String(dataType).toLowerCase()))
+        .map(([columnName]) => columnName);
+}
+
+
+// Parse a comma separated agg option (e.g. "mean,max,p98") into a list of functions
+function parseAggregateFunctions(agg) {
+    const aggregateFunctions = String(agg || "")
+        .split(",")
+        .map((fn) => fn.trim().toLowerCase())
+        .filter((fn) => fn !== "");
+
+    if (aggregateFunctions.length === 0) {
+        return undefined;
+    }
+
+    for (const fn of aggregateFunctions) {
+        const percentile = /^p(\d{1,3})$/.exec(fn);
+        if (!AGGREGATE_FUNCTIONS.includes(fn) && !(percentile && parseInt(percentile[1], 10) <= 100)) {
+            return undefined;
+        }
+    }
+
+    return [...new Set(aggregateFunctions)];
+}
+
+
+// Percentile of an ascending array using linear interpolation between the closest ranks
+function percentile(sortedValues, p) {
+    const rank = (p / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+
+function applyAggregateFunction(fn, values) {
+    if (fn === "count") {
+        return values.length;
+    }
+
+    if (values.length === 0) {
+        return null;
+    }
+
+    switch (fn) {
+        case "mean":
+            return values.reduce((sum, value) => sum + value, 0) / values.length;
+        case "min":
+            return values.reduce((min, value) => (value < min ? value : min), values[0]);
+        case "max":
+            return values.reduce((max, value) => (value > max ? value : max), values[0]);
+        case "median":
+            return percentile([...values].sort((a, b) => a - b), 50);
+        case "stddev": {
+            if (values.length < 2) return null;
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const squaredError = values.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+            return Math.sqrt(squaredError / (values.length - 1));
+        }
+        default:
+            return percentile([...values].sort((a, b) => a - b), parseInt(fn.slice(1), 10));
+    }
+}
+
+
+// Summarize a window of rows. Without aggregate functions every column is averaged under its own name,
+// otherwise each function is written to a {column}_{function} key (e.g. pm25_p98)
+function aggregateRows(rows, dateColumn, numericColumns, aggregateFunctions) {
+    const aggregatedPoint = {};
+
+    for (const column of numericColumns) {
+        const values = rows
+            .map((row) => row[column])
+            .filter((value) => value !== null && value !== undefined && value !== "" && !isNaN(value))
+            .map(Number);
+
+        if (!aggregateFunctions) {
+            aggregatedPoint[column] = applyAggregateFunction("mean", values);
+            continue;
+        }
+
+        for (const fn of aggregateFunctions) {
+            aggregatedPoint[`${column}_${fn}`] = applyAggregateFunction(fn, values);
+        }
+    }
+
+    const totalTime = rows.reduce((sum, row) => sum + new Date(row[dateColumn]).getTime(), 0);
+    aggregatedPoint[dateColumn] = new Date(totalTime / rows.length);
+
+    return aggregatedPoint;
+}
+
+
+// Split the rows into an exact number of equal windows (leftovers go to the first windows) and summarize each
+function aggregateIntoWindows(allData, windowCount, dateColumn, numericColumns, aggregateFunctions) {
+    const aggregatedData = [];
+
+    // Ensure window count is valid
+    if (windowCount > allData.length) {
+        windowCount = allData.length;
+    }
+
+    const rowsPerWindow = Math.floor(allData.length / windowCount);
+    const extraRows = allData.length % windowCount;
+
+    let currentIndex = 0;
+
+    for (let i = 0; i < windowCount; i++) {
+        const rowsInWindow = rowsPerWindow + (i < extraRows ? 1 : 0);
+
+        if (currentIndex >= allData.length) break;
+
+        const endIndex = Math.min(currentIndex + rowsInWindow, allData.length);
+
+        aggregatedData.push(
+            aggregateRows(allData.slice(currentIndex, endIndex), dateColumn, numericColumns, aggregateFunctions)
+        );
+
+        // Updated the next window's starting index
+        currentIndex = endIndex;
+    }
+
+    return aggregatedData;
+}
+
+
+// MySQL returns DECIMAL aggregates as strings, convert them back into numbers
+function normalizeAggregateRow(row) {
+    const normalizedRow = {};
+
+    for (const [key, value] of Object.entries(row)) {
+        normalizedRow[key] = (typeof value === "string" && value !== "" && !isNaN(value)) ? Number(value) : value;
+    }
+
+    return normalizedRow;
+}
+
+
+module.exports = {
+    parseBucket,
+    bucketExpression,
+    getNumericColumns,
+    normalizeAggregateRow,
+    parseAggregateFunctions,
+    aggregateRows,
+    aggregateIntoWindows,
+};
@@ -0,0 +1,54 @@
+const { Transform: CSVTransform } = require("json2csv");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+/* UTILITY FUNCTIONS */
+
+const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv", extension: "csv" },
+    ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+
+// One JSON document per line
+function createNDJSONTransform() {
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, _, done) {
+            done(null, JSON.stringify(row) + "\n");
+        },
+    });
+}
+
+
+// Pipe a stream of row objects into the response as CSV or NDJSON, one row at a time.
+// Optional object-mode transforms run on each row before it is formatted, and comment lines
+// (already starting with #) are written before the header.
+// pipeline() destroys the row stream (and with it the database query) if the client disconnects
+async function streamReadingsExport(rowStream, response, format, fileName, rowTransforms = [], commentLines = []) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    response.header("Content-Type", contentType);
+    response.header("Content-Disposition", `attachment; filename=${fileName}.${extension}`);
+
+    commentLines.forEach((line) => response.write(`${line}\n`));
+
+    const formatter = format === "ndjson" ? createNDJSONTransform() : new CSVTransform({}, { objectMode: true });
+
+    try {
+        await pipeline(rowStream, ...rowTransforms, formatter, response);
+    } catch (err) {
+        if (err.code === "ERR_STREAM_PREMATURE_CLOSE") {
+            console.log(`Client disconnected, export of ${fileName} stopped.`);
+            return;
+        }
+        throw err;
+    }
+}
+
+
+module.exports = {
+    EXPORT_FORMATS,
+    createNDJSONTransform,
+    streamReadingsExport,
+};
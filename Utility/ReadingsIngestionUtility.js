@@ -0,0 +1,310 @@
+const { Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const { formatDateTime } = require("./SensorSchemaUtility.js");
+const { checkRange } = require("./ColumnMetadataUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const CONFLICT_POLICIES = ["error", "skip", "overwrite"];
+const INVALID_ROW_POLICIES = ["reject", "skip"];
+const OUT_OF_RANGE_POLICIES = ["reject", "flag"];
+const INSERT_CHUNK_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 5000;
+const PREVIEW_SAMPLE_SIZE = 5;
+const STRING_COLUMN_LENGTH = 255;
+
+
+// Reason a value does not fit its schema type, or undefined when it does
+function checkValue(value, dataType) {
+    switch (String(dataType).toLowerCase()) {
+        case "number":
+        case "float":
+            return (typeof value === "boolean" || !isFinite(Number(value))) ? `'${value}' is not a number` : undefined;
+        case "integer":
+            return (typeof value === "boolean" || !Number.isInteger(Number(value))) ? `'${value}' is not an integer` : undefined;
+        case "string":
+            return String(value).length > STRING_COLUMN_LENGTH
+                ? `value is longer than ${STRING_COLUMN_LENGTH} characters`
+                : undefined;
+        case "date":
+        case "datetime":
+            return isNaN(new Date(value).getTime()) ? `'${value}' is not a valid date` : undefined;
+        default:
+            return undefined;
+    }
+}
+
+
+// Stream removing '#' comment lines (such as the metadata lines of CSV exports) before a CSV is parsed. The file
+// line number of every line it keeps is pushed to lineNumbers, so lineNumbers[0] is the header and lineNumbers[n]
+// the line of the nth row
+function stripCommentLines(lineNumbers) {
+    const decoder = new StringDecoder("utf8");
+    let pending = "";
+    let lineNumber = 0;
+
+    const keepLines = (lines) => lines
+        .filter((line) => {
+            lineNumber++;
+
+            if (line.startsWith("#")) {
+                return false;
+            }
+
+            lineNumbers.push(lineNumber);
+            return true;
+        })
+        .map((line) => `${line}\n`)
+        .join("");
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const lines = (pending + decoder.write(chunk)).split("\n");
+            pending = lines.pop();
+            callback(null, keepLines(lines));
+        },
+        flush(callback) {
+            const rest = pending + decoder.end();
+            callback(null, rest === "" ? "" : keepLines([rest]));
+        },
+    });
+}
+
+
+function columnMismatch(incomingColumns, schemaColumns) {
+    const missing = [...schemaColumns].filter((column) => !incomingColumns.has(column));
+    const unexpected = [...incomingColumns].filter((column) => !schemaColumns.has(column));
+
+    if (missing.length === 0 && unexpected.length === 0) {
+        return undefined;
+    }
+
+    return [
+        missing.length ? `missing columns: ${missing.join(", ")}` : "",
+        unexpected.length ? `unexpected columns: ${unexpected.join(", ")}` : "",
+    ].filter(Boolean).join("; ");
+}
+
+
+// Check every row against the model's sensor_data_schema. Valid rows are normalized (date formatted,
+// empty cells as NULL); every problem is reported with its line number (firstLine is the number of rows[0], or an
+// array holding the line number of each row).
+// Values outside a column's min_value/max_value are errors, or with outOfRange "flag" kept and listed in flags
+function validateReadings(rows, schema, dateColumn, firstLine = 1, columnMetadata = {}, outOfRange = "reject") {
+    const schemaColumns = new Set(Object.keys(schema));
+    const validRows = [];
+    const errors = [];
+    const flags = [];
+    let rejectedCount = 0;
+    let flaggedCount = 0;
+
+    rows.forEach((row, index) => {
+        const line = Array.isArray(firstLine) ? firstLine[index] : index + firstLine;
+        const rowErrors = [];
+        const rowFlags = [];
+        const normalizedRow = {};
+
+        const mismatch = columnMismatch(new Set(Object.keys(row)), schemaColumns);
+        if (mismatch) {
+            rowErrors.push({ line, column: null, reason: mismatch });
+        }
+
+        for (const [column, dataType] of Object.entries(schema)) {
+            const value = row[column];
+
+            if (value === undefined || value === null || (typeof value === "string" && value.trim() === "")) {
+                if (column === dateColumn) {
+                    rowErrors.push({ line, column, reason: "date value is required" });
+                }
+                normalizedRow[column] = null;
+                continue;
+            }
+
+            const reason = checkValue(typeof value === "string" ? value.trim() : value, dataType);
+            const rangeReason = reason ? undefined : checkRange(value, columnMetadata[column]);
+
+            if (rangeReason) {
+                (outOfRange === "flag" ? rowFlags : rowErrors).push({ line, column, reason: rangeReason });
+            }
+
+            if (reason) {
+                rowErrors.push({ line, column, reason });
+            } else if (column === dateColumn) {
+                normalizedRow[column] = formatDateTime(value);
+            } else {
+                normalizedRow[column] = value;
+            }
+        }
+
+        if (rowErrors.length === 0) {
+            validRows.push(normalizedRow);
+
+            if (rowFlags.length > 0) {
+                flaggedCount++;
+                if (flags.length < MAX_REPORTED_ERRORS) {
+                    flags.push(...rowFlags.slice(0, MAX_REPORTED_ERRORS - flags.length));
+                }
+            }
+            return;
+        }
+
+        rejectedCount++;
+        if (errors.length < MAX_REPORTED_ERRORS) {
+            errors.push(...rowErrors.slice(0, MAX_REPORTED_ERRORS - errors.length));
+        }
+    });
+
+    return {
+        validRows,
+        report: {
+            rows_checked: rows.length,
+            rows_valid: validRows.length,
+            rows_rejected: rejectedCount,
+            errors_truncated: errors.length >= MAX_REPORTED_ERRORS,
+            errors,
+            rows_flagged: flaggedCount,
+            flags,
+        },
+    };
+}
+
+
+// Timestamps (formatted YYYY-MM-DD HH:MM:SS) already present in the table among the given ones
+async function findExistingTimestamps(database, aq_table, dateColumn, timestamps) {
+    const existing = new Set();
+
+    for (let i = 0; i < timestamps.length; i += INSERT_CHUNK_SIZE) {
+        const rows = await database(aq_table)
+            .select(dateColumn)
+            .whereIn(dateColumn, timestamps.slice(i, i + INSERT_CHUNK_SIZE));
+
+        rows.forEach((row) => existing.add(formatDateTime(row[dateColumn])));
+    }
+
+    return existing;
+}
+
+
+// Split rows into new rows, rows whose timestamp already exists, and repeated timestamps within the upload
+async function classifyReadings(database, aq_table, dateColumn, rows) {
+    const seen = new Set();
+    const newRows = [];
+    const existingRows = [];
+    const duplicateRows = [];
+
+    const existing = await findExistingTimestamps(
+        database, aq_table, dateColumn, [...new Set(rows.map((row) => row[dateColumn]))]
+    );
+
+    for (const row of rows) {
+        const timestamp = row[dateColumn];
+
+        if (seen.has(timestamp)) {
+            duplicateRows.push(row);
+            continue;
+        }
+
+        seen.add(timestamp);
+
+        if (existing.has(timestamp)) {
+            existingRows.push(row);
+        } else {
+            newRows.push(row);
+        }
+    }
+
+    return { newRows, existingRows, duplicateRows };
+}
+
+
+// Insert readings applying an on_conflict policy (error, skip or overwrite) inside one transaction.
+// Pass the caller's transaction as trx to commit the readings together with its other writes.
+// Returns the counts, or the conflicting timestamps when the policy is "error" and conflicts exist
+async function insertReadingsWithConflictPolicy(database, aq_table, dateColumn, rows, onConflict = "error", trx = null) {
+    const insertReadings = async (trx) => {
+        const { newRows, existingRows, duplicateRows } = await classifyReadings(trx, aq_table, dateColumn, rows);
+
+        if (onConflict === "error" && (existingRows.length > 0 || duplicateRows.length > 0)) {
+            return {
+                conflict: true,
+                conflicting_timestamps: [...existingRows, ...duplicateRows].map((row) => row[dateColumn]),
+            };
+        }
+
+        for (let i = 0; i < newRows.length; i += INSERT_CHUNK_SIZE) {
+            await trx(aq_table).insert(newRows.slice(i, i + INSERT_CHUNK_SIZE));
+        }
+
+        // Rows sharing a timestamp with stored readings replace them through the unique date index
+        if (onConflict === "overwrite") {
+            for (let i = 0; i < existingRows.length; i += INSERT_CHUNK_SIZE) {
+                await trx(aq_table)
+                    .insert(existingRows.slice(i, i + INSERT_CHUNK_SIZE))
+                    .onConflict(dateColumn)
+                    .merge();
+            }
+        }
+
+        return {
+            conflict: false,
+            inserted: newRows.length,
+            updated: onConflict === "overwrite" ? existingRows.length : 0,
+            skipped: (onConflict === "overwrite" ? 0 : existingRows.length) + duplicateRows.length,
+        };
+    };
+
+    return trx ? insertReadings(trx) : database.transaction(insertReadings);
+}
+
+
+// Preview of what an upload would do, running the same checks as a real insert without writing anything.
+// An upload the real request would refuse (rejected rows under on_invalid=reject, or a conflict under
+// on_conflict=error) previews as writing nothing
+async function buildIngestionPreview(database, aq_table, dateColumn, validRows, report, onConflict = "error", onInvalid = "reject") {
+    const { newRows, existingRows, duplicateRows } = await classifyReadings(database, aq_table, dateColumn, validRows);
+    const timestamps = validRows.map((row) => row[dateColumn]).sort();
+    const overlapping = existingRows.map((row) => row[dateColumn]).sort();
+    const blockedByValidation = report.rows_rejected > 0 && (onInvalid === "reject" || validRows.length === 0);
+    const blockedByConflict = onConflict === "error" && (existingRows.length > 0 || duplicateRows.length > 0);
+    const blocked = blockedByValidation || blockedByConflict;
+
+    return {
+        dry_run: true,
+        sensor_table_name: aq_table,
+        rows_received: report.rows_checked,
+        rows_valid: report.rows_valid,
+        rows_rejected: report.rows_rejected,
+        date_range: {
+            start: timestamps.length ? timestamps[0] : null,
+            end: timestamps.length ? timestamps[timestamps.length - 1] : null,
+        },
+        overlap: {
+            existing_timestamps: existingRows.length,
+            repeated_in_upload: duplicateRows.length,
+            first_existing: overlapping.length ? overlapping[0] : null,
+            last_existing: overlapping.length ? overlapping[overlapping.length - 1] : null,
+        },
+        on_conflict: onConflict,
+        on_invalid: onInvalid,
+        would_insert: blocked ? 0 : newRows.length,
+        would_update: !blocked && onConflict === "overwrite" ? existingRows.length : 0,
+        would_skip: blocked ? 0 : (onConflict === "overwrite" ? 0 : existingRows.length) + duplicateRows.length,
+        blocked_by_validation: blockedByValidation,
+        blocked_by_conflict: blockedByConflict,
+        sample_rows: validRows.slice(0, PREVIEW_SAMPLE_SIZE),
+        validation: report,
+    };
+}
+
+
+module.exports = {
+    CONFLICT_POLICIES,
+    INVALID_ROW_POLICIES,
+    OUT_OF_RANGE_POLICIES,
+    stripCommentLines,
+    columnMismatch,
+    validateReadings,
+    classifyReadings,
+    insertReadingsWithConflictPolicy,
+    buildIngestionPreview,
+};
@@ -0,0 +1,152 @@
+const { getSensorDataSchema, compareSets, formatDateTime } = require("./SensorSchemaUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
+const SENSOR_MODEL_SCHEMA_VERSIONS_TABLE = process.env.SENSOR_MODEL_SCHEMA_VERSIONS_TABLE || "SENSOR_MODEL_SCHEMA_VERSIONS";
+
+// Only nullable value columns can be added: a table keeps exactly one date column, and existing rows get NULL
+const ADDABLE_COLUMN_TYPES = ["string", "number", "float", "integer"];
+const COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+
+function parseSchema(schema) {
+    return typeof schema === "string" ? JSON.parse(schema) : schema;
+}
+
+
+// Every schema version of a measurement table, oldest first. Models that never changed have no recorded
+// versions, their current sensor_data_schema is returned as version 1
+async function getSchemaVersions(database, sensor_table_name) {
+    const versions = await database(SENSOR_MODEL_SCHEMA_VERSIONS_TABLE)
+        .select("version", "sensor_data_schema", "added_columns", "note", "created_at")
+        .where({ sensor_table_name })
+        .orderBy("version", "asc");
+
+    if (versions.length === 0) {
+        return [{
+            version: 1,
+            sensor_data_schema: await getSensorDataSchema(database, sensor_table_name),
+            added_columns: {},
+            note: null,
+            created_at: null,
+        }];
+    }
+
+    return versions.map((version) => ({
+        ...version,
+        sensor_data_schema: parseSchema(version.sensor_data_schema),
+        added_columns: parseSchema(version.added_columns),
+    }));
+}
+
+
+// The newest schema version whose columns are exactly the incoming ones (undefined when none matches)
+function matchSchemaVersion(versions, incomingColumns) {
+    return [...versions].reverse().find((version) =>
+        compareSets(new Set(Object.keys(version.sensor_data_schema)), new Set(incomingColumns))
+    );
+}
+
+
+function addColumn(table, columnName, dataType) {
+    switch (dataType) {
+        case "string":
+            table.string(columnName).nullable();
+            break;
+        case "integer":
+            table.integer(columnName).nullable();
+            break;
+        default:
+            table.float(columnName).nullable();
+    }
+}
+
+
+// Add nullable columns to a measurement table and record the resulting schema as a new version.
+// The ALTER commits on its own (MySQL DDL), so columns already present in the table but missing from the schema,
+// left by an earlier attempt that failed afterwards, are adopted instead of added again
+async function addSchemaColumns(database, model, addColumns, note, baseVersion) {
+    const { sensor_brand, sensor_id, sensor_table_name } = model;
+    const versions = await getSchemaVersions(database, sensor_table_name);
+    const current = versions[versions.length - 1];
+
+    if (baseVersion !== undefined && baseVersion !== current.version) {
+        throw Object.assign(
+            new Error(`base_version ${baseVersion} is outdated, the schema is at version ${current.version}.`),
+            { status: 409 }
+        );
+    }
+
+    // MySQL column names are case-insensitive
+    const schemaColumns = new Set(["id", ...Object.keys(current.sensor_data_schema)].map((column) => column.toLowerCase()));
+    const duplicates = Object.keys(addColumns).filter((column) => schemaColumns.has(column.toLowerCase()));
+
+    if (duplicates.length > 0) {
+        throw Object.assign(new Error(`Columns already in the schema: ${duplicates.join(", ")}.`), { status: 400 });
+    }
+
+    const [tableColumns] = await database.raw(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME = ?
+    `, [sensor_table_name]);
+
+    const existingColumns = new Set(tableColumns.map((column) => column.COLUMN_NAME.toLowerCase()));
+    const columnsToCreate = Object.entries(addColumns).filter(([column]) => !existingColumns.has(column.toLowerCase()));
+
+    if (columnsToCreate.length > 0) {
+        await database.schema.alterTable(sensor_table_name, (table) => {
+            columnsToCreate.forEach(([column, dataType]) => addColumn(table, column, dataType));
+        });
+    }
+
+    const schemaVersion = {
+        sensor_brand,
+        sensor_id,
+        sensor_table_name,
+        version: current.version + 1,
+        sensor_data_schema: { ...current.sensor_data_schema, ...addColumns },
+        added_columns: addColumns,
+        note: note || null,
+        created_at: formatDateTime(new Date()),
+    };
+
+    await database.transaction(async (trx) => {
+        // First change of a model: record the schema it was created with as version 1
+        if (current.created_at === null) {
+            await trx(SENSOR_MODEL_SCHEMA_VERSIONS_TABLE).insert({
+                sensor_brand,
+                sensor_id,
+                sensor_table_name,
+                version: 1,
+                sensor_data_schema: JSON.stringify(current.sensor_data_schema),
+                added_columns: JSON.stringify({}),
+                note: "Schema the model was created with.",
+                created_at: schemaVersion.created_at,
+            });
+        }
+
+        await trx(SENSOR_MODEL_SCHEMA_VERSIONS_TABLE).insert({
+            ...schemaVersion,
+            sensor_data_schema: JSON.stringify(schemaVersion.sensor_data_schema),
+            added_columns: JSON.stringify(addColumns),
+        });
+
+        await trx(SENSOR_MODELS_TABLE)
+            .where({ sensor_table_name })
+            .update({ sensor_data_schema: JSON.stringify(schemaVersion.sensor_data_schema) });
+    });
+
+    return schemaVersion;
+}
+
+
+module.exports = {
+    SENSOR_MODEL_SCHEMA_VERSIONS_TABLE,
+    ADDABLE_COLUMN_TYPES,
+    COLUMN_NAME_PATTERN,
+    getSchemaVersions,
+    matchSchemaVersion,
+    addSchemaColumns,
+};
@@ -0,0 +1,57 @@
+const { Transform } = require("stream");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_EVENTS_TABLE = process.env.SENSOR_EVENTS_TABLE || "SENSOR_EVENTS";
+
+const EVENT_TYPES = ["filter_swap", "firmware_update", "colocation", "relocation", "calibration", "other"];
+
+
+// Events of a sensor whose time range overlaps [start, end], oldest first
+async function getOverlappingEvents(database, sensor_brand, sensor_id, start, end) {
+    return database(SENSOR_EVENTS_TABLE)
+        .select("id", "event_type", "started_at", "ended_at", "notes", "created_at")
+        .where({ sensor_brand, sensor_id })
+        .andWhere("started_at", "<=", end)
+        .andWhere("ended_at", ">=", start)
+        .orderBy([{ column: "started_at", order: "asc" }, { column: "id", order: "asc" }]);
+}
+
+
+// Events in progress at a timestamp (both ends inclusive, so point events match their own instant)
+function eventsAt(events, time) {
+    const timestamp = new Date(time).getTime();
+
+    return events.filter((event) =>
+        new Date(event.started_at).getTime() <= timestamp && new Date(event.ended_at).getTime() >= timestamp
+    );
+}
+
+
+// List the events overlapping a reading's timestamp on the reading
+function annotateWithEvents(row, events, dateColumn) {
+    return {
+        ...row,
+        maintenance_events: eventsAt(events, row[dateColumn]).map(({ id, event_type }) => ({ id, event_type })),
+    };
+}
+
+
+// Object-mode transform applying annotateWithEvents to a stream of readings
+function createEventAnnotator(events, dateColumn) {
+    return new Transform({
+        objectMode: true,
+        transform(row, _, done) {
+            done(null, annotateWithEvents(row, events, dateColumn));
+        },
+    });
+}
+
+
+module.exports = {
+    SENSOR_EVENTS_TABLE,
+    EVENT_TYPES,
+    getOverlappingEvents,
+    annotateWithEvents,
+    createEventAnnotator,
+};
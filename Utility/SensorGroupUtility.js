@@ -0,0 +1,53 @@
+const { formatDateTime } = require("./SensorSchemaUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_GROUPS_TABLE = process.env.SENSOR_GROUPS_TABLE || "SENSOR_GROUPS";
+const SENSOR_GROUP_MEMBERS_TABLE = process.env.SENSOR_GROUP_MEMBERS_TABLE || "SENSOR_GROUP_MEMBERS";
+
+// Group names appear in URLs, so they are limited to URL-safe characters
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+
+// Members of a group in the order they were added
+async function getGroupMembers(database, group_id) {
+    return database(SENSOR_GROUP_MEMBERS_TABLE)
+        .select("sensor_brand", "sensor_id", "added_at")
+        .where({ group_id })
+        .orderBy([{ column: "added_at", order: "asc" }, { column: "id", order: "asc" }]);
+}
+
+
+// Join the readings of several sensors into one row per timestamp. Every member column is prefixed with
+// {sensor_brand}_{sensor_id}_ so the same pollutant from different sensors sits side by side.
+// A member with no reading at a timestamp simply has no columns in that row
+function mergeReadingsOnTimestamp(memberReadings) {
+    const rowsByTimestamp = new Map();
+
+    for (const { sensor_brand, sensor_id, dateColumn, columns, rows } of memberReadings) {
+        const prefix = `${sensor_brand}_${sensor_id}_`;
+
+        for (const row of rows) {
+            const timestamp = formatDateTime(row[dateColumn]);
+
+            if (!rowsByTimestamp.has(timestamp)) {
+                rowsByTimestamp.set(timestamp, { timestamp });
+            }
+
+            const mergedRow = rowsByTimestamp.get(timestamp);
+            columns.forEach((column) => { mergedRow[prefix + column] = row[column]; });
+        }
+    }
+
+    // YYYY-MM-DD HH:MM:SS sorts chronologically as text
+    return [...rowsByTimestamp.values()].sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+}
+
+
+module.exports = {
+    SENSOR_GROUPS_TABLE,
+    SENSOR_GROUP_MEMBERS_TABLE,
+    GROUP_NAME_PATTERN,
+    getGroupMembers,
+    mergeReadingsOnTimestamp,
+};
@@ -0,0 +1,193 @@
+const { formatDateTime } = require("./SensorSchemaUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
+
+// Hours without a new reading before a table counts as late or silent, by measurement_time_interval.
+// OTHER tables hold raw, high-frequency data and are expected to report continuously
+const HEALTH_THRESHOLD_HOURS = {
+    OTHER: { late: 1, silent: 24 },
+    HOURLY: { late: 3, silent: 24 },
+    DAILY: { late: 48, silent: 168 },
+};
+
+// Best first: a sensor is as healthy as its freshest table
+const HEALTH_STATUSES = ["healthy", "late", "silent", "no_data"];
+
+const TABLES_PER_QUERY = 200;
+
+
+// Columns of each table in a chunk, in table order, with the table's date column (null unless it has exactly one,
+// the same rule as getDateColumn)
+async function describeChunk(database, chunk) {
+    const [columns] = await database.raw(`
+        SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, DATA_TYPE
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME IN (${chunk.map(() => "?").join(", ")})
+        ORDER BY TABLE_NAME, ORDINAL_POSITION
+    `, chunk);
+
+    const tables = new Map();
+
+    columns.forEach(({ TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, DATA_TYPE }) => {
+        if (!tables.has(TABLE_NAME)) {
+            tables.set(TABLE_NAME, { columns: [], dateColumn: undefined });
+        }
+
+        const table = tables.get(TABLE_NAME);
+        table.columns.push(`${COLUMN_NAME} ${COLUMN_TYPE}`);
+
+        if (DATA_TYPE === "date" || DATA_TYPE === "datetime") {
+            table.dateColumn = table.dateColumn === undefined ? COLUMN_NAME : null;
+        }
+    });
+
+    return tables;
+}
+
+
+// Most recent reading time of each measurement table, in one UNION query per chunk of tables
+async function getLastReadingTimes(database, tableNames) {
+    const lastReadings = new Map();
+
+    for (let start = 0; start < tableNames.length; start += TABLES_PER_QUERY) {
+        const tables = await describeChunk(database, tableNames.slice(start, start + TABLES_PER_QUERY));
+
+        const queries = [...tables.entries()]
+            .map(([table, { dateColumn }]) => [table, dateColumn])
+            .filter(([_, column]) => column)
+            .map(([table, column]) =>
+                database(table).select(database.raw("? AS sensor_table_name", [table])).max({ last_reading_at: column })
+            );
+
+        if (queries.length === 0) {
+            continue;
+        }
+
+        const rows = await database.unionAll(queries, true);
+        rows.forEach((row) => lastReadings.set(row.sensor_table_name, row.last_reading_at));
+    }
+
+    return lastReadings;
+}
+
+
+// Most recent row of each measurement table (same row as getLastReading). Rows of tables sharing a column layout
+// are fetched together in one UNION query per chunk, and empty tables or tables without a date column are left out
+async function getLatestReadings(database, tableNames) {
+    const latestReadings = new Map();
+
+    for (let start = 0; start < tableNames.length; start += TABLES_PER_QUERY) {
+        const tables = await describeChunk(database, tableNames.slice(start, start + TABLES_PER_QUERY));
+
+        // UNION needs the same columns in every branch
+        const tablesByLayout = new Map();
+        tables.forEach(({ columns, dateColumn }, table) => {
+            if (!dateColumn) {
+                return;
+            }
+
+            const layout = columns.join(",");
+            tablesByLayout.set(layout, [...(tablesByLayout.get(layout) || []), [table, dateColumn]]);
+        });
+
+        for (const layoutTables of tablesByLayout.values()) {
+            const queries = layoutTables.map(([table, dateColumn]) =>
+                database(table)
+                    .select("*", database.raw("? AS sensor_table_name", [table]))
+                    .orderBy(dateColumn, "desc")
+                    .limit(1)
+            );
+
+            const rows = await database.unionAll(queries, true);
+            rows.forEach(({ sensor_table_name, ...reading }) => latestReadings.set(sensor_table_name, reading));
+        }
+    }
+
+    return latestReadings;
+}
+
+
+// Hours since the last reading and the resulting status for one measurement table
+function classifyTableHealth(lastReadingAt, measurementTimeInterval, now) {
+    if (!lastReadingAt) {
+        return { last_reading_at: null, hours_since_last: null, status: "no_data" };
+    }
+
+    const thresholds = HEALTH_THRESHOLD_HOURS[measurementTimeInterval] || HEALTH_THRESHOLD_HOURS.OTHER;
+    const hoursSinceLast = Math.max(0, (now.getTime() - new Date(lastReadingAt).getTime()) / 3600000);
+
+    let status = "healthy";
+    if (hoursSinceLast > thresholds.silent) {
+        status = "silent";
+    } else if (hoursSinceLast > thresholds.late) {
+        status = "late";
+    }
+
+    return {
+        last_reading_at: formatDateTime(lastReadingAt),
+        hours_since_last: Number(hoursSinceLast.toFixed(2)),
+        status,
+    };
+}
+
+
+// Health of every given sensor across all of its SENSOR_MODELS tables
+async function buildSensorHealth(database, sensors, now = new Date()) {
+    if (sensors.length === 0) {
+        return [];
+    }
+
+    const models = await database(SENSOR_MODELS_TABLE)
+        .select("sensor_brand", "sensor_id", "sensor_table_name", "measurement_time_interval")
+        .whereIn(["sensor_brand", "sensor_id"], sensors.map((sensor) => [sensor.sensor_brand, sensor.sensor_id]));
+
+    const lastReadings = await getLastReadingTimes(database, models.map((model) => model.sensor_table_name));
+
+    return sensors.map((sensor) => {
+        const tables = models
+            .filter((model) => model.sensor_brand === sensor.sensor_brand && model.sensor_id === sensor.sensor_id)
+            .map((model) => ({
+                sensor_table_name: model.sensor_table_name,
+                measurement_time_interval: model.measurement_time_interval,
+                ...classifyTableHealth(lastReadings.get(model.sensor_table_name), model.measurement_time_interval, now),
+            }));
+
+        const reporting = tables.filter((table) => table.last_reading_at);
+        const latest = reporting.reduce(
+            (best, table) => (!best || table.hours_since_last < best.hours_since_last ? table : best), undefined
+        );
+
+        const status = tables.reduce(
+            (best, table) => (HEALTH_STATUSES.indexOf(table.status) < HEALTH_STATUSES.indexOf(best) ? table.status : best), "no_data"
+        );
+
+        return {
+            sensor_brand: sensor.sensor_brand,
+            sensor_id: sensor.sensor_id,
+            lifecycle_status: sensor.lifecycle_status,
+            last_reading_at: latest ? latest.last_reading_at : null,
+            hours_since_last: latest ? latest.hours_since_last : null,
+            status,
+            tables,
+        };
+    });
+}
+
+
+// Count of sensors per health status
+function summarizeHealth(sensorHealth) {
+    const summary = Object.fromEntries(HEALTH_STATUSES.map((status) => [status, 0]));
+    sensorHealth.forEach((sensor) => { summary[sensor.status] += 1; });
+    return summary;
+}
+
+
+module.exports = {
+    HEALTH_THRESHOLD_HOURS,
+    HEALTH_STATUSES,
+    getLatestReadings,
+    buildSensorHealth,
+    summarizeHealth,
+};
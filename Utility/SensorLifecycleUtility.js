@@ -0,0 +1,141 @@
+const { formatDateTime } = require("./SensorSchemaUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
+const SENSOR_STATUS_HISTORY_TABLE = process.env.SENSOR_STATUS_HISTORY_TABLE || "SENSOR_STATUS_HISTORY";
+
+const LIFECYCLE_STATES = ["planned", "deployed", "maintenance", "offline", "retired"];
+
+// SENSOR_STATUS_HISTORY.reason is a VARCHAR(1000)
+const MAX_REASON_LENGTH = 1000;
+
+// Which states a sensor may move to from each state. Retired sensors can be reactivated
+const LIFECYCLE_TRANSITIONS = {
+    planned: ["deployed", "retired"],
+    deployed: ["maintenance", "offline", "retired"],
+    maintenance: ["deployed", "offline", "retired"],
+    offline: ["deployed", "maintenance", "retired"],
+    retired: ["planned", "deployed"],
+};
+
+// Data arriving while a sensor is in one of these states is still stored, but the upload is flagged
+const INGESTION_WARNINGS = {
+    planned: "has not been deployed yet",
+    maintenance: "is under maintenance",
+    offline: "is marked offline",
+    retired: "is retired",
+};
+
+
+// is_active is kept for older clients: every state except retired counts as active
+function isActiveStatus(status) {
+    return status !== "retired";
+}
+
+
+// Parse a comma separated status filter (e.g. "deployed,maintenance"). Returns undefined if any state is unknown
+function parseStatusFilter(status) {
+    const statuses = String(status).split(",").map((state) => state.trim().toLowerCase());
+    return statuses.every((state) => LIFECYCLE_STATES.includes(state)) ? statuses : undefined;
+}
+
+
+// Move a sensor to a new lifecycle state and log the transition, returning the state it moved from. The sensor row
+// is locked and re-read so concurrent transitions are checked against the committed state. Throws a 400 error for
+// disallowed moves and for changedAt values older than the last recorded transition
+async function transitionSensorStatus(trx, sensor, toStatus, reason, changedAt) {
+    if (!LIFECYCLE_STATES.includes(toStatus)) {
+        throw Object.assign(
+            new Error(`Invalid status. Allowed values are: ${LIFECYCLE_STATES.join(", ")}.`),
+            { status: 400 }
+        );
+    }
+
+    const current = await trx(SENSOR_TABLE)
+        .select("lifecycle_status")
+        .where({ sensor_brand: sensor.sensor_brand, sensor_id: sensor.sensor_id })
+        .forUpdate()
+        .first();
+
+    if (!current) {
+        throw Object.assign(new Error("Sensor not found."), { status: 400 });
+    }
+
+    const fromStatus = current.lifecycle_status;
+
+    if (fromStatus && !LIFECYCLE_TRANSITIONS[fromStatus].includes(toStatus)) {
+        throw Object.assign(
+            new Error(`A sensor cannot move from '${fromStatus}' to '${toStatus}'. Allowed next states: ${LIFECYCLE_TRANSITIONS[fromStatus].join(", ")}.`),
+            { status: 400 }
+        );
+    }
+
+    // A back-dated transition must not land before the last one, or the history would no longer replay to the
+    // current state
+    const lastTransition = await trx(SENSOR_STATUS_HISTORY_TABLE)
+        .select("changed_at")
+        .where({ sensor_brand: sensor.sensor_brand, sensor_id: sensor.sensor_id })
+        .orderBy([{ column: "changed_at", order: "desc" }, { column: "id", order: "desc" }])
+        .first();
+
+    if (lastTransition && changedAt < formatDateTime(lastTransition.changed_at)) {
+        throw Object.assign(
+            new Error(`changed_at cannot be before the last status change (${formatDateTime(lastTransition.changed_at)}).`),
+            { status: 400 }
+        );
+    }
+
+    await trx(SENSOR_TABLE)
+        .where({ sensor_brand: sensor.sensor_brand, sensor_id: sensor.sensor_id })
+        .update({ lifecycle_status: toStatus, is_active: isActiveStatus(toStatus) });
+
+    await trx(SENSOR_STATUS_HISTORY_TABLE).insert({
+        sensor_brand: sensor.sensor_brand,
+        sensor_id: sensor.sensor_id,
+        from_status: fromStatus || null,
+        to_status: toStatus,
+        reason,
+        changed_at: changedAt,
+    });
+
+    return fromStatus;
+}
+
+
+// Every lifecycle transition of a sensor, oldest first
+async function getStatusHistory(database, sensor_brand, sensor_id) {
+    return database(SENSOR_STATUS_HISTORY_TABLE)
+        .select("from_status", "to_status", "reason", "changed_at")
+        .where({ sensor_brand, sensor_id })
+        .orderBy([{ column: "changed_at", order: "asc" }, { column: "id", order: "asc" }]);
+}
+
+
+// Warnings to return with an upload for a sensor that is not currently deployed
+async function getIngestionWarnings(database, sensor_brand, sensor_id) {
+    const sensor = await database(SENSOR_TABLE)
+        .select("lifecycle_status")
+        .where({ sensor_brand, sensor_id })
+        .first();
+
+    if (!sensor) {
+        return [`Sensor '${sensor_id}' of brand '${sensor_brand}' is not registered.`];
+    }
+
+    const warning = INGESTION_WARNINGS[sensor.lifecycle_status];
+
+    return warning ? [`Sensor '${sensor_id}' of brand '${sensor_brand}' ${warning}.`] : [];
+}
+
+
+module.exports = {
+    LIFECYCLE_STATES,
+    LIFECYCLE_TRANSITIONS,
+    MAX_REASON_LENGTH,
+    SENSOR_STATUS_HISTORY_TABLE,
+    parseStatusFilter,
+    transitionSensorStatus,
+    getStatusHistory,
+    getIngestionWarnings,
+};
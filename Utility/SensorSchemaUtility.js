@@ -1,5 +1,24 @@
 /* UTILITY FUNCTIONS */
 
+const SENSOR_MODELS_TABLE = process.env.SENSOR_MODELS_TABLE || "SENSOR_MODELS";
+const MEASUREMENT_TYPES = ["RAW", "CORRECTED"];
+const MEASUREMENT_TIME_INTERVALS = ["HOURLY", "DAILY", "OTHER"];
+
+// Maps MySQL column types back to sensor_data_schema types for tables without a registry entry
+const SCHEMA_TYPES_BY_DATA_TYPE = {
+    float: "number",
+    double: "number",
+    decimal: "number",
+    int: "integer",
+    tinyint: "integer",
+    smallint: "integer",
+    mediumint: "integer",
+    bigint: "integer",
+    varchar: "string",
+    date: "date",
+    datetime: "datetime",
+};
+
 async function createSensorMeasurementTable(database, tableName, schema) {
     try {
         const tableExists = await database.schema.hasTable(tableName);
@@ -68,6 +87,8 @@ function createPayload(request) {
         sensor_brand: request.params.sensor_brand,
         sensor_id: request.params.sensor_id,
         sensor_data_schema: request.body.sensor_data_schema,
+        column_metadata: request.body.column_metadata,
+        lineage: request.body.lineage,
         measurement_model: request.params.measurement_model,
         measurement_type: request.params.measurement_type,
         measurement_time_interval: request.params.measurement_time_interval,
@@ -96,6 +117,46 @@ async function getDateColumn(RDSdatabase, aq_table) {
 }
 
 
+// The most recent row of a measurement table by its date column (undefined when the table is empty)
+async function getLastReading(RDSdatabase, aq_table, dateColumn) {
+    return RDSdatabase(aq_table)
+        .select("*")
+        .orderBy(dateColumn, "desc")
+        .first();
+}
+
+
+// The column -> type map of a measurement table, read from its SENSOR_MODELS entry (or the table itself)
+async function getSensorDataSchema(RDSdatabase, aq_table) {
+    const sensorModel = await RDSdatabase(SENSOR_MODELS_TABLE)
+        .select("sensor_data_schema")
+        .where("sensor_table_name", aq_table)
+        .first();
+
+    if (sensorModel && sensorModel.sensor_data_schema) {
+        return typeof sensorModel.sensor_data_schema === "string"
+            ? JSON.parse(sensorModel.sensor_data_schema)
+            : sensorModel.sensor_data_schema;
+    }
+
+    const tableSchemaQuery = `
+        SELECT COLUMN_NAME, DATA_TYPE
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME = ?
+        ORDER BY ORDINAL_POSITION
+    `;
+
+    const columns = await RDSdatabase.raw(tableSchemaQuery, [aq_table]);
+
+    return columns[0]
+        .filter((column) => column.COLUMN_NAME !== "id")
+        .reduce((schema, column) => {
+            schema[column.COLUMN_NAME] = SCHEMA_TYPES_BY_DATA_TYPE[column.DATA_TYPE.toLowerCase()] || "text";
+            return schema;
+        }, {});
+}
+
+
 function formatDateTime(inputDate) {
     try {
         // Handle both string input and Date objects
@@ -130,9 +191,13 @@ function compareSets(setA, setB) {
 
 
 module.exports = {
+    MEASUREMENT_TYPES,
+    MEASUREMENT_TIME_INTERVALS,
     createSensorMeasurementTable,
     createPayload,
     getDateColumn,
+    getLastReading,
+    getSensorDataSchema,
     compareSets,
     formatDateTime
 };
@@ -0,0 +1,66 @@
+/* UTILITY FUNCTIONS */
+
+const SENSOR_TABLE = process.env.SENSOR_TABLE || "SENSORS";
+const SENSOR_TAGS_TABLE = process.env.SENSOR_TAGS_TABLE || "SENSOR_TAGS";
+
+const TAG_KEY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const TAG_QUERY_PREFIX = "tag.";
+
+
+// Pull tag filters out of a query string: ?tag.project=Baltimore&tag.environment=outdoor -> { project, environment }.
+// Returns undefined when a tag key is not valid
+function parseTagFilters(query) {
+    const filters = {};
+
+    for (const [param, value] of Object.entries(query)) {
+        if (!param.startsWith(TAG_QUERY_PREFIX)) {
+            continue;
+        }
+
+        const key = param.slice(TAG_QUERY_PREFIX.length);
+
+        if (!TAG_KEY_PATTERN.test(key) || typeof value !== "string") {
+            return undefined;
+        }
+
+        filters[key] = value;
+    }
+
+    return filters;
+}
+
+
+// Restrict a query on the SENSORS table to sensors carrying every given tag (exact value match)
+function whereHasTags(query, filters) {
+    for (const [tag_key, tag_value] of Object.entries(filters)) {
+        query.whereExists(function () {
+            this.select("id")
+                .from(SENSOR_TAGS_TABLE)
+                .whereColumn(`${SENSOR_TAGS_TABLE}.sensor_brand`, `${SENSOR_TABLE}.sensor_brand`)
+                .andWhereColumn(`${SENSOR_TAGS_TABLE}.sensor_id`, `${SENSOR_TABLE}.sensor_id`)
+                .andWhere({ tag_key, tag_value });
+        });
+    }
+
+    return query;
+}
+
+
+// A sensor's tags as a plain { key: value } object
+async function getSensorTags(database, sensor_brand, sensor_id) {
+    const rows = await database(SENSOR_TAGS_TABLE)
+        .select("tag_key", "tag_value")
+        .where({ sensor_brand, sensor_id })
+        .orderBy("tag_key", "asc");
+
+    return Object.fromEntries(rows.map((row) => [row.tag_key, row.tag_value]));
+}
+
+
+module.exports = {
+    SENSOR_TAGS_TABLE,
+    TAG_KEY_PATTERN,
+    parseTagFilters,
+    whereHasTags,
+    getSensorTags,
+};
@@ -0,0 +1,147 @@
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const crypto = require("crypto");
+const { EXPORT_FORMATS, createNDJSONTransform } = require("./ReadingsExportUtility.js");
+
+/* UTILITY FUNCTIONS */
+
+const CONFIRMATION_TTL_MINUTES = 10;
+
+
+// Every measurement table behind a set of SENSOR_MODELS rows with its current row count
+async function describeMeasurementTables(database, models) {
+    const tables = [];
+
+    for (const model of models) {
+        const tableExists = await database.schema.hasTable(model.sensor_table_name);
+        const [{ row_count }] = tableExists
+            ? await database(model.sensor_table_name).count({ row_count: "*" })
+            : [{ row_count: null }];
+
+        tables.push({
+            sensor_table_name: model.sensor_table_name,
+            measurement_model: model.measurement_model,
+            measurement_type: model.measurement_type,
+            measurement_time_interval: model.measurement_time_interval,
+            table_exists: tableExists,
+            row_count: row_count === null ? null : Number(row_count),
+        });
+    }
+
+    return tables;
+}
+
+
+function signPreview(expiresAt, preview) {
+    return crypto
+        .createHmac("sha256", process.env.ADMIN_API_KEY || "")
+        .update(`${expiresAt}:${JSON.stringify(preview)}`)
+        .digest("base64url");
+}
+
+
+// A token binding a deletion to exactly what its preview showed. It is stateless, so it is checked by rebuilding
+// the preview at delete time: any new table or row since the preview makes it invalid
+function createConfirmationToken(preview, now = new Date()) {
+    const expiresAt = now.getTime() + CONFIRMATION_TTL_MINUTES * 60 * 1000;
+
+    return {
+        confirmation_token: `${expiresAt}.${signPreview(expiresAt, preview)}`,
+        expires_at: new Date(expiresAt).toISOString(),
+    };
+}
+
+
+// Error message for a token that does not confirm the given preview, undefined when it does
+function checkConfirmationToken(token, preview, now = new Date()) {
+    const [expiresAt, signature] = String(token || "").split(".");
+
+    if (!/^\d+$/.test(expiresAt) || !signature) {
+        return "confirmation_token is not valid. Request a new preview.";
+    }
+
+    if (Number(expiresAt) < now.getTime()) {
+        return "confirmation_token has expired. Request a new preview.";
+    }
+
+    const expected = Buffer.from(signPreview(Number(expiresAt), preview));
+    const given = Buffer.from(signature);
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return "confirmation_token does not match what would be deleted now (the data changed or the token is for another target). Request a new preview.";
+    }
+
+    return undefined;
+}
+
+
+// Stream everything about to be deleted into the response as an NDJSON download: one { registry_table, rows } line
+// per registry table, then one { table, row } line per row of each existing measurement table. The response is left
+// open for finishArchive to append the outcome of the deletion. Returns false when the client disconnected before
+// the archive was complete, in which case nothing must be deleted
+async function streamArchive(database, response, archiveName, tables, registryRows) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..*$/, "");
+
+    response.header("Content-Type", EXPORT_FORMATS.ndjson.contentType);
+    response.header("Content-Disposition", `attachment; filename=${archiveName}_${stamp}.${EXPORT_FORMATS.ndjson.extension}`);
+
+    Object.entries(registryRows).forEach(([registry_table, rows]) => {
+        response.write(JSON.stringify({ registry_table, rows }) + "\n");
+    });
+
+    for (const table of tables.filter((table) => table.table_exists)) {
+        const tagRows = new Transform({
+            objectMode: true,
+            transform(row, _, done) {
+                done(null, { table: table.sensor_table_name, row });
+            },
+        });
+
+        try {
+            await pipeline(
+                database(table.sensor_table_name).select("*").orderBy("id", "asc").stream(),
+                tagRows,
+                createNDJSONTransform(),
+                response,
+                { end: false }
+            );
+        } catch (err) {
+            if (err.code === "ERR_STREAM_PREMATURE_CLOSE") {
+                console.log(`Client disconnected, archive of ${archiveName} stopped and nothing was deleted.`);
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    return true;
+}
+
+
+// Last line of an archive download: the deletion result, or { error } when it failed after the archive was sent
+function finishArchive(response, outcome) {
+    response.end(JSON.stringify({ outcome }) + "\n");
+}
+
+
+// Drop measurement tables. MySQL commits DDL immediately, so this cannot be part of a transaction
+async function dropMeasurementTables(database, tables) {
+    const dropped = [];
+
+    for (const table of tables.filter((table) => table.table_exists)) {
+        await database.schema.dropTableIfExists(table.sensor_table_name);
+        dropped.push(table.sensor_table_name);
+    }
+
+    return dropped;
+}
+
+
+module.exports = {
+    describeMeasurementTables,
+    createConfirmationToken,
+    checkConfirmationToken,
+    streamArchive,
+    finishArchive,
+    dropMeasurementTables,
+};
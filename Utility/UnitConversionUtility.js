@@ -0,0 +1,390 @@
+const { Transform } = require("stream");
+
+/* UTILITY FUNCTIONS */
+
+// Units a column can be read in. Gas concentrations are either a mixing ratio (factor to ppb) or a mass
+// concentration (factor to ug/m3), pressures have a factor to Pa and temperatures go through Kelvin
+const UNITS = {
+    "ppb": { quantity: "concentration", basis: "mixing_ratio", factor: 1 },
+    "ppm": { quantity: "concentration", basis: "mixing_ratio", factor: 1000 },
+    "ug/m3": { quantity: "concentration", basis: "mass", factor: 1 },
+    "mg/m3": { quantity: "concentration", basis: "mass", factor: 1000 },
+    "C": { quantity: "temperature", toKelvin: (value) => value + 273.15, fromKelvin: (kelvin) => kelvin - 273.15 },
+    "F": { quantity: "temperature", toKelvin: (value) => (value - 32) * 5 / 9 + 273.15, fromKelvin: (kelvin) => (kelvin - 273.15) * 9 / 5 + 32 },
+    "K": { quantity: "temperature", toKelvin: (value) => value, fromKelvin: (kelvin) => kelvin },
+    "Pa": { quantity: "pressure", factor: 1 },
+    "hPa": { quantity: "pressure", factor: 100 },
+    "mbar": { quantity: "pressure", factor: 100 },
+    "kPa": { quantity: "pressure", factor: 1000 },
+    "atm": { quantity: "pressure", factor: 101325 },
+    "mmHg": { quantity: "pressure", factor: 133.322 },
+    "inHg": { quantity: "pressure", factor: 3386.389 },
+};
+
+// Spellings found in partner metadata, compared after normalizeUnitKey
+const UNIT_ALIASES = {
+    ...Object.fromEntries(Object.keys(UNITS).map((unit) => [unit.toLowerCase(), unit])),
+    "ugm3": "ug/m3",
+    "ug/m^3": "ug/m3",
+    "mgm3": "mg/m3",
+    "mg/m^3": "mg/m3",
+    "celsius": "C",
+    "fahrenheit": "F",
+    "kelvin": "K",
+    "mb": "mbar",
+};
+
+// Molecular weights in g/mol, keyed by formula
+const GAS_MOLECULAR_WEIGHTS = {
+    NO2: 46.0055,
+    NO: 30.0061,
+    O3: 47.9982,
+    SO2: 64.0638,
+    CO: 28.0101,
+    CO2: 44.0095,
+    NH3: 17.0305,
+    H2S: 34.0809,
+    CH4: 16.0425,
+};
+
+// EPA AQS parameter codes of the gases above
+const AQS_PARAMETER_CODES = {
+    "42101": "CO",
+    "42102": "CO2",
+    "42401": "SO2",
+    "42402": "H2S",
+    "42601": "NO",
+    "42602": "NO2",
+    "42604": "NH3",
+    "43201": "CH4",
+    "44201": "O3",
+};
+
+const GAS_CONDITIONS = ["reference", "measured"];
+
+// 25 C and 1 atm, the conditions US EPA uses to relate ppb and ug/m3
+const DEFAULT_REFERENCE_TEMPERATURE_C = 25;
+const DEFAULT_REFERENCE_PRESSURE_HPA = 1013.25;
+
+const GAS_CONSTANT = 8.314462618;
+
+
+function normalizeUnitKey(unit) {
+    return String(unit)
+        .trim()
+        .toLowerCase()
+        .replace(/[µμ]/g, "u")
+        .replace(/³/g, "3")
+        .replace(/°|deg|\s/g, "");
+}
+
+
+// The canonical name of a unit (e.g. "µg/m³" -> "ug/m3"), undefined for units that cannot be converted
+function canonicalUnit(unit) {
+    return unit === undefined || unit === null ? undefined : UNIT_ALIASES[normalizeUnitKey(unit)];
+}
+
+
+// Gas formula of a column from its parameter_code (formula or AQS code), falling back to the column name
+function gasFormula(column, fields) {
+    for (const candidate of [fields.parameter_code, column]) {
+        if (candidate === undefined || candidate === null) {
+            continue;
+        }
+
+        const key = String(candidate).trim().toUpperCase();
+
+        if (GAS_MOLECULAR_WEIGHTS[key]) {
+            return key;
+        }
+
+        if (AQS_PARAMETER_CODES[key]) {
+            return AQS_PARAMETER_CODES[key];
+        }
+    }
+
+    return undefined;
+}
+
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === "") {
+        return undefined;
+    }
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+
+// Temperature (K) and pressure (Pa) a gas reading was taken at: fixed reference conditions,
+// or the row's own temperature and pressure columns (undefined when either is missing)
+function buildConditions(query, columnMetadata) {
+    const gasConditions = query.gas_conditions || "reference";
+
+    if (!GAS_CONDITIONS.includes(gasConditions)) {
+        return { error: `Invalid gas_conditions. Allowed values are: ${GAS_CONDITIONS.join(", ")}.` };
+    }
+
+    if (gasConditions === "reference") {
+        const temperature = query.ref_temperature === undefined ? DEFAULT_REFERENCE_TEMPERATURE_C : Number(query.ref_temperature);
+        const pressure = query.ref_pressure === undefined ? DEFAULT_REFERENCE_PRESSURE_HPA : Number(query.ref_pressure);
+
+        if (!Number.isFinite(temperature) || temperature <= -273.15) {
+            return { error: "ref_temperature must be a temperature in C above absolute zero." };
+        }
+
+        if (!Number.isFinite(pressure) || pressure <= 0) {
+            return { error: "ref_pressure must be a positive pressure in hPa." };
+        }
+
+        const conditions = { temperatureK: temperature + 273.15, pressurePa: pressure * 100 };
+
+        return { description: `reference ${temperature} C, ${pressure} hPa`, conditionsFor: () => conditions };
+    }
+
+    // Measured conditions: the named columns, or the only column declaring a temperature (or pressure) unit
+    const findColumn = (quantity, requested, option) => {
+        const candidates = Object.entries(columnMetadata)
+            .filter(([column, fields]) => (requested === undefined || column === requested)
+                && UNITS[canonicalUnit(fields.unit)]?.quantity === quantity)
+            .map(([column, fields]) => ({ column, unit: UNITS[canonicalUnit(fields.unit)] }));
+
+        if (requested !== undefined && candidates.length === 0) {
+            return { error: `${option} '${requested}' has no declared ${quantity} unit in the column metadata.` };
+        }
+
+        if (candidates.length !== 1) {
+            return { error: `gas_conditions=measured needs ${option}: ${candidates.length === 0 ? "no" : "more than one"} column declares a ${quantity} unit.` };
+        }
+
+        return candidates[0];
+    };
+
+    const temperature = findColumn("temperature", query.temperature_column, "temperature_column");
+    const pressure = findColumn("pressure", query.pressure_column, "pressure_column");
+
+    if (temperature.error || pressure.error) {
+        return { error: temperature.error || pressure.error };
+    }
+
+    return {
+        description: `measured ${temperature.column}, ${pressure.column}`,
+        conditionsFor: (row) => {
+            const temperatureValue = toNumber(row[temperature.column]);
+            const pressureValue = toNumber(row[pressure.column]);
+
+            if (temperatureValue === undefined || pressureValue === undefined) {
+                return undefined;
+            }
+
+            return { temperatureK: temperature.unit.toKelvin(temperatureValue), pressurePa: pressureValue * pressure.unit.factor };
+        },
+    };
+}
+
+
+// Function converting one column value from a unit to another, undefined when the units cannot be converted
+function buildColumnConverter(fromUnit, toUnit, molecularWeight, conditionsFor) {
+    const from = UNITS[fromUnit];
+    const to = UNITS[toUnit];
+
+    if (from.quantity !== to.quantity) {
+        return undefined;
+    }
+
+    if (from.quantity === "temperature") {
+        return (value) => to.fromKelvin(from.toKelvin(value));
+    }
+
+    if (from.quantity === "pressure" || from.basis === to.basis) {
+        return (value) => value * from.factor / to.factor;
+    }
+
+    if (!molecularWeight) {
+        return undefined;
+    }
+
+    // ug/m3 = ppb * M * P / (R * T) / 1000, with P / (R * T) the moles of air per m3
+    return (value, row) => {
+        const conditions = conditionsFor(row);
+
+        if (!conditions) {
+            return null;
+        }
+
+        const microgramsPerPpb = molecularWeight * conditions.pressurePa / (GAS_CONSTANT * conditions.temperatureK) / 1000;
+
+        return from.basis === "mixing_ratio"
+            ? value * from.factor * microgramsPerPpb / to.factor
+            : value * from.factor / microgramsPerPpb / to.factor;
+    };
+}
+
+
+// Metadata of a converted column: the new unit, with min_value and max_value converted alongside. Bounds of gas
+// conversions using measured conditions depend on each row and are dropped rather than left in the old unit, and so
+// is precision, since decimals in one unit say nothing about another
+function convertColumnMetadata(fields, toUnit, convert) {
+    const { precision, ...kept } = fields;
+    const converted = { ...kept, unit: toUnit };
+
+    ["min_value", "max_value"].forEach((bound) => {
+        const value = toNumber(fields[bound]);
+
+        if (value === undefined) {
+            return;
+        }
+
+        const convertedValue = convert(value, {});
+
+        if (convertedValue === null || convertedValue === undefined) {
+            delete converted[bound];
+        } else {
+            converted[bound] = convertedValue;
+        }
+    });
+
+    return converted;
+}
+
+
+// Read units (e.g. "ug/m3,F" or "no2:ppb"), gas_conditions, ref_temperature, ref_pressure, temperature_column
+// and pressure_column from a query, and plan the conversions of a table's columns from their declared units.
+// A bare unit converts every column it applies to, a column:unit entry only that column
+function planUnitConversions(query, columnMetadata) {
+    if (query.units === undefined || query.units === "") {
+        return { converting: false };
+    }
+
+    const targets = { byColumn: {}, byQuantity: {} };
+
+    for (const entry of String(query.units).split(",").map((part) => part.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(":");
+        const column = separator === -1 ? undefined : entry.slice(0, separator).trim();
+        const requestedUnit = separator === -1 ? entry : entry.slice(separator + 1).trim();
+        const unit = canonicalUnit(requestedUnit);
+
+        if (!unit) {
+            return { error: `Unknown unit '${requestedUnit}'. Supported units are: ${Object.keys(UNITS).join(", ")}.` };
+        }
+
+        if (column !== undefined) {
+            targets.byColumn[column] = unit;
+            continue;
+        }
+
+        const { quantity } = UNITS[unit];
+
+        if (targets.byQuantity[quantity] && targets.byQuantity[quantity] !== unit) {
+            return { error: `units lists more than one ${quantity} unit (${targets.byQuantity[quantity]}, ${unit}). Use column:unit entries to mix them.` };
+        }
+
+        targets.byQuantity[quantity] = unit;
+    }
+
+    const conditions = buildConditions(query, columnMetadata);
+
+    if (conditions.error) {
+        return { error: conditions.error };
+    }
+
+    const conversions = [];
+    const usedUnits = new Set();
+    const convertedMetadata = { ...columnMetadata };
+
+    for (const [column, toUnit] of Object.entries(targets.byColumn)) {
+        const fields = columnMetadata[column];
+        const fromUnit = fields && canonicalUnit(fields.unit);
+
+        if (!fromUnit) {
+            return { error: `Column '${column}' has no convertible unit in its column metadata.` };
+        }
+
+        const formula = gasFormula(column, fields);
+        const convert = buildColumnConverter(fromUnit, toUnit, GAS_MOLECULAR_WEIGHTS[formula], conditions.conditionsFor);
+
+        if (!convert) {
+            return {
+                error: `Column '${column}' cannot be converted from ${fromUnit} to ${toUnit}`
+                    + (UNITS[fromUnit].quantity === UNITS[toUnit].quantity ? " without a known gas (set its parameter_code)." : ".")
+            };
+        }
+
+        if (fromUnit !== toUnit) {
+            conversions.push({ column, convert });
+            convertedMetadata[column] = convertColumnMetadata(fields, toUnit, convert);
+        }
+    }
+
+    for (const [column, fields] of Object.entries(columnMetadata)) {
+        const fromUnit = canonicalUnit(fields.unit);
+        const toUnit = fromUnit && targets.byQuantity[UNITS[fromUnit].quantity];
+
+        if (!toUnit || column in targets.byColumn) {
+            continue;
+        }
+
+        // Particulate matter and other columns without a molecular weight keep their mass units
+        const convert = buildColumnConverter(fromUnit, toUnit, GAS_MOLECULAR_WEIGHTS[gasFormula(column, fields)], conditions.conditionsFor);
+
+        if (!convert) {
+            continue;
+        }
+
+        usedUnits.add(toUnit);
+
+        if (fromUnit !== toUnit) {
+            conversions.push({ column, convert });
+            convertedMetadata[column] = convertColumnMetadata(fields, toUnit, convert);
+        }
+    }
+
+    const unusedUnits = Object.values(targets.byQuantity).filter((unit) => !usedUnits.has(unit));
+
+    if (unusedUnits.length > 0) {
+        return { error: `No column can be read in ${unusedUnits.join(", ")}. Check the units declared in the column metadata.` };
+    }
+
+    // Every conversion reads the stored row, so a temperature column converted to F still feeds gas conversions in K
+    const convertRow = (row) => {
+        const converted = { ...row };
+
+        conversions.forEach(({ column, convert }) => {
+            const value = toNumber(row[column]);
+
+            if (value !== undefined) {
+                converted[column] = convert(value, row);
+            }
+        });
+
+        return converted;
+    };
+
+    return {
+        converting: true,
+        convertRow,
+        column_metadata: convertedMetadata,
+        gas_conditions: conditions.description,
+    };
+}
+
+
+// Object-mode stream applying a planned conversion to each exported row
+function createUnitConverter(convertRow) {
+    return new Transform({
+        objectMode: true,
+        transform(row, _, done) {
+            done(null, convertRow(row));
+        },
+    });
+}
+
+
+module.exports = {
+    UNITS,
+    GAS_MOLECULAR_WEIGHTS,
+    canonicalUnit,
+    planUnitConversions,
+    createUnitConverter,
+};
@@ -7,6 +7,8 @@ const app = express();
 const SensorRouter = require("./Routes/SensorRouter.js");
 const SensorSchemaRouter = require("./Routes/SensorModelRouter.js");
 const DataRouter = require("./Routes/DataRouter.js");
+const SensorGroupRouter = require("./Routes/SensorGroupRouter.js");
+const CalibrationModelRouter = require("./Routes/CalibrationModelRouter.js");
 
 app.use(express.json({ limit: "30mb" }));
 app.use(express.json());
@@ -18,6 +20,8 @@ const PORT = process.env.PORT || 3000;
 app.use("/api/v2/sensors", SensorRouter);
 app.use("/api/v2/sensor-models", SensorSchemaRouter);
 app.use("/api/v2/readings", DataRouter);
+app.use("/api/v2/sensor-groups", SensorGroupRouter);
+app.use("/api/v2/calibration-models", CalibrationModelRouter);
 
 // Serve Swagger documentation
 const options = {
@@ -52,12 +56,24 @@ const options = {
         description:
           "API endpoints for managing Sensor Model's Data Readings. This includes retrieving, aggregating, and processing data derived from different Sensor Models or Raw Sensor Data.",
       },
+      {
+        name: "Sensor Groups",
+        description:
+          "API endpoints for managing named groups of Sensors, such as a city deployment, a study cohort or a co-location rack.",
+      },
+      {
+        name: "Calibration Models",
+        description:
+          "API endpoints for registering bias-correction models and running them on RAW data to produce CORRECTED tables.",
+      },
     ],
   },
   apis: [
     "./Routes/SensorRouter.js",
     "./Routes/SensorModelRouter.js",
     "./Routes/DataRouter.js",
+    "./Routes/SensorGroupRouter.js",
+    "./Routes/CalibrationModelRouter.js",
   ],
 };
 
@@ -99,6 +115,7 @@ async function initializeDatabase() {
             table.decimal("sensor_longitude", 11, 8);
             table.dateTime("last_location_update").notNullable();
             table.boolean("is_active").defaultTo(true);
+            table.string("lifecycle_status", 20).notNullable().defaultTo("deployed");
             table.dateTime("date_uploaded").notNullable();
             table.unique(["sensor_brand", "sensor_id"]);            /* unique constraint on sensor_brand and sensor_id */
         })
@@ -110,6 +127,17 @@ async function initializeDatabase() {
         });
     }
 
+    // SENSORS tables created before lifecycle states existed: deprecated sensors become retired
+    const hasLifecycleStatus = await db.schema.hasColumn("SENSORS", "lifecycle_status");
+
+    if (!hasLifecycleStatus) {
+        await db.schema.alterTable("SENSORS", (table) => {
+            table.string("lifecycle_status", 20).notNullable().defaultTo("deployed");
+        });
+        await db("SENSORS").where("is_active", false).update({ lifecycle_status: "retired" });
+        console.log("SENSORS table given a lifecycle_status column");
+    }
+
     // Create the SENSOR_MODELS table
     const sensorModelsTableExists = await db.schema.hasTable("SENSOR_MODELS");
 
@@ -121,9 +149,14 @@ async function initializeDatabase() {
                 table.string("sensor_brand", 255).notNullable();
                 table.string("sensor_table_name", 255).notNullable();
                 table.json("sensor_data_schema");
+                table.json("column_metadata");                          /* units, parameter codes and valid ranges per column */
                 table.string("measurement_model", 255).notNullable();
                 table.string("measurement_type", 255).notNullable();
                 table.string("measurement_time_interval", 50).notNullable();
+                table.string("source_table_name", 255);                 /* lineage: table a CORRECTED model was derived from */
+                table.string("model_version", 100);
+                table.json("model_coefficients");
+                table.datetime("produced_at");
                 table.unique("sensor_table_name");                      /* unique constraint on sensor_brand and sensor_id */
                 table
                     .foreign(["sensor_brand", "sensor_id"])
@@ -137,6 +170,274 @@ async function initializeDatabase() {
                 console.error("Error creating SENSOR_MODELS table:", err);
             });
     }
+
+    // SENSOR_MODELS tables created before column metadata existed
+    if (sensorModelsTableExists && !await db.schema.hasColumn("SENSOR_MODELS", "column_metadata")) {
+        await db.schema.alterTable("SENSOR_MODELS", (table) => {
+            table.json("column_metadata");
+        });
+        console.log("SENSOR_MODELS table given a column_metadata column");
+    }
+
+    // SENSOR_MODELS tables created before model lineage existed
+    if (sensorModelsTableExists && !await db.schema.hasColumn("SENSOR_MODELS", "source_table_name")) {
+        await db.schema.alterTable("SENSOR_MODELS", (table) => {
+            table.string("source_table_name", 255);
+            table.string("model_version", 100);
+            table.json("model_coefficients");
+            table.datetime("produced_at");
+        });
+        console.log("SENSOR_MODELS table given lineage columns");
+    }
+
+    // Create the SENSOR_MODEL_SCHEMA_VERSIONS table (one row per additive schema change of a model)
+    const schemaVersionsTableExists = await db.schema.hasTable("SENSOR_MODEL_SCHEMA_VERSIONS");
+
+    if (!schemaVersionsTableExists) {
+        await db.schema
+            .createTable("SENSOR_MODEL_SCHEMA_VERSIONS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.string("sensor_id", 255).notNullable();
+                table.string("sensor_brand", 255).notNullable();
+                table.string("sensor_table_name", 255).notNullable();
+                table.integer("version").notNullable();
+                table.json("sensor_data_schema").notNullable();         /* full schema at this version */
+                table.json("added_columns").notNullable();
+                table.string("note", 1000);
+                table.dateTime("created_at").notNullable();
+                table.unique(["sensor_table_name", "version"]);         /* one row per version */
+                table
+                    .foreign(["sensor_brand", "sensor_id"])
+                    .references(["sensor_brand", "sensor_id"])
+                    .inTable("SENSORS");                                  /* foreign key constraint */
+            })
+            .then(() => {
+                console.log("SENSOR_MODEL_SCHEMA_VERSIONS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating SENSOR_MODEL_SCHEMA_VERSIONS table:", err);
+            });
+    }
+
+    // Create the CALIBRATION_MODELS table (one row per version of a bias-correction model)
+    const calibrationModelsTableExists = await db.schema.hasTable("CALIBRATION_MODELS");
+
+    if (!calibrationModelsTableExists) {
+        await db.schema
+            .createTable("CALIBRATION_MODELS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.string("model_name", 100).notNullable();
+                table.string("version", 50).notNullable();
+                table.string("model_form", 50).notNullable();           /* linear, multilinear or piecewise */
+                table.json("definition").notNullable();                 /* output column and coefficients */
+                table.string("description", 1000);
+                table.dateTime("created_at").notNullable();
+                table.unique(["model_name", "version"]);                /* versions are never changed */
+            })
+            .then(() => {
+                console.log("CALIBRATION_MODELS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating CALIBRATION_MODELS table:", err);
+            });
+    }
+
+    // Create the CALIBRATION_RUNS table (one row per run of a model writing a CORRECTED table)
+    const calibrationRunsTableExists = await db.schema.hasTable("CALIBRATION_RUNS");
+
+    if (!calibrationRunsTableExists) {
+        await db.schema
+            .createTable("CALIBRATION_RUNS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.integer("calibration_model_id").unsigned().notNullable();
+                table.string("sensor_brand", 255).notNullable();
+                table.string("sensor_id", 255).notNullable();
+                table.string("source_table_name", 255).notNullable();
+                table.string("sensor_table_name", 255).notNullable();   /* CORRECTED table written */
+                table.dateTime("start_date").notNullable();
+                table.dateTime("end_date").notNullable();
+                table.integer("rows_read").notNullable();
+                table.integer("rows_missing_input").notNullable();
+                table.integer("rows_rejected").notNullable();
+                table.integer("inserted").notNullable();
+                table.integer("updated").notNullable();
+                table.integer("skipped").notNullable();
+                table.string("on_conflict", 20).notNullable();
+                table.dateTime("ran_at").notNullable();
+                table
+                    .foreign("calibration_model_id")
+                    .references("id")
+                    .inTable("CALIBRATION_MODELS");                       /* foreign key constraint */
+                table
+                    .foreign(["sensor_brand", "sensor_id"])
+                    .references(["sensor_brand", "sensor_id"])
+                    .inTable("SENSORS");                                  /* foreign key constraint */
+            })
+            .then(() => {
+                console.log("CALIBRATION_RUNS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating CALIBRATION_RUNS table:", err);
+            });
+    }
+
+    // Create the SENSOR_LOCATIONS table (one row per deployment, effective_to is NULL for the current one)
+    const sensorLocationsTableExists = await db.schema.hasTable("SENSOR_LOCATIONS");
+
+    if (!sensorLocationsTableExists) {
+        await db.schema
+            .createTable("SENSOR_LOCATIONS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.string("sensor_id", 255).notNullable();
+                table.string("sensor_brand", 255).notNullable();
+                table.decimal("sensor_latitude", 10, 8);
+                table.decimal("sensor_longitude", 11, 8);
+                table.dateTime("effective_from").notNullable();
+                table.dateTime("effective_to").nullable();
+                table.index(["sensor_brand", "sensor_id", "effective_from"]);
+                table
+                    .foreign(["sensor_brand", "sensor_id"])
+                    .references(["sensor_brand", "sensor_id"])
+                    .inTable("SENSORS");                                  /* foreign key constraint */
+            })
+            .then(() => {
+                console.log("SENSOR_LOCATIONS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating SENSOR_LOCATIONS table:", err);
+            });
+    }
+
+    // Create the SENSOR_STATUS_HISTORY table (one row per lifecycle transition)
+    const sensorStatusHistoryTableExists = await db.schema.hasTable("SENSOR_STATUS_HISTORY");
+
+    if (!sensorStatusHistoryTableExists) {
+        await db.schema
+            .createTable("SENSOR_STATUS_HISTORY", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.string("sensor_id", 255).notNullable();
+                table.string("sensor_brand", 255).notNullable();
+                table.string("from_status", 20);                        /* NULL for the state given at registration */
+                table.string("to_status", 20).notNullable();
+                table.string("reason", 1000).notNullable();
+                table.dateTime("changed_at").notNullable();
+                table.index(["sensor_brand", "sensor_id", "changed_at"]);
+                table
+                    .foreign(["sensor_brand", "sensor_id"])
+                    .references(["sensor_brand", "sensor_id"])
+                    .inTable("SENSORS");                                  /* foreign key constraint */
+            })
+            .then(() => {
+                console.log("SENSOR_STATUS_HISTORY table created");
+            })
+            .catch((err) => {
+                console.error("Error creating SENSOR_STATUS_HISTORY table:", err);
+            });
+    }
+
+    // Create the SENSOR_EVENTS table (maintenance, calibration and other field events)
+    const sensorEventsTableExists = await db.schema.hasTable("SENSOR_EVENTS");
+
+    if (!sensorEventsTableExists) {
+        await db.schema
+            .createTable("SENSOR_EVENTS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.string("sensor_id", 255).notNullable();
+                table.string("sensor_brand", 255).notNullable();
+                table.string("event_type", 50).notNullable();
+                table.dateTime("started_at").notNullable();
+                table.dateTime("ended_at").notNullable();               /* equal to started_at for instantaneous events */
+                table.text("notes");
+                table.dateTime("created_at").notNullable();
+                table.index(["sensor_brand", "sensor_id", "started_at"]);
+                table
+                    .foreign(["sensor_brand", "sensor_id"])
+                    .references(["sensor_brand", "sensor_id"])
+                    .inTable("SENSORS");                                  /* foreign key constraint */
+            })
+            .then(() => {
+                console.log("SENSOR_EVENTS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating SENSOR_EVENTS table:", err);
+            });
+    }
+
+    // Create the SENSOR_TAGS table (free-form key/value metadata per sensor)
+    const sensorTagsTableExists = await db.schema.hasTable("SENSOR_TAGS");
+
+    if (!sensorTagsTableExists) {
+        await db.schema
+            .createTable("SENSOR_TAGS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.string("sensor_id", 255).notNullable();
+                table.string("sensor_brand", 255).notNullable();
+                table.string("tag_key", 100).notNullable();
+                table.string("tag_value", 255).notNullable();
+                table.dateTime("updated_at").notNullable();
+                table.unique(["sensor_brand", "sensor_id", "tag_key"]);  /* one value per key and sensor */
+                table.index(["tag_key", "tag_value"]);
+                table
+                    .foreign(["sensor_brand", "sensor_id"])
+                    .references(["sensor_brand", "sensor_id"])
+                    .inTable("SENSORS");                                  /* foreign key constraint */
+            })
+            .then(() => {
+                console.log("SENSOR_TAGS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating SENSOR_TAGS table:", err);
+            });
+    }
+
+    // Create the SENSOR_GROUPS table (named groups of sensors)
+    const sensorGroupsTableExists = await db.schema.hasTable("SENSOR_GROUPS");
+
+    if (!sensorGroupsTableExists) {
+        await db.schema
+            .createTable("SENSOR_GROUPS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.string("group_name", 100).notNullable();
+                table.string("description", 1000);
+                table.dateTime("created_at").notNullable();
+                table.unique("group_name");
+            })
+            .then(() => {
+                console.log("SENSOR_GROUPS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating SENSOR_GROUPS table:", err);
+            });
+    }
+
+    // Create the SENSOR_GROUP_MEMBERS table (one row per sensor in a group)
+    const sensorGroupMembersTableExists = await db.schema.hasTable("SENSOR_GROUP_MEMBERS");
+
+    if (!sensorGroupMembersTableExists) {
+        await db.schema
+            .createTable("SENSOR_GROUP_MEMBERS", (table) => {
+                table.increments("id").primary();                       /* auto-increment primary key */
+                table.integer("group_id").unsigned().notNullable();
+                table.string("sensor_id", 255).notNullable();
+                table.string("sensor_brand", 255).notNullable();
+                table.dateTime("added_at").notNullable();
+                table.unique(["group_id", "sensor_brand", "sensor_id"]);  /* a sensor is in a group at most once */
+                table
+                    .foreign("group_id")
+                    .references("id")
+                    .inTable("SENSOR_GROUPS");                            /* foreign key constraint */
+                table
+                    .foreign(["sensor_brand", "sensor_id"])
+                    .references(["sensor_brand", "sensor_id"])
+                    .inTable("SENSORS");                                  /* foreign key constraint */
+            })
+            .then(() => {
+                console.log("SENSOR_GROUP_MEMBERS table created");
+            })
+            .catch((err) => {
+                console.error("Error creating SENSOR_GROUP_MEMBERS table:", err);
+            });
+    }
 }
 
 
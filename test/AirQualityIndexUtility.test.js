@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AQI_POLLUTANTS, computeHourlyAQI } = require("../Utility/AirQualityIndexUtility.js");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+
+// hourly rows starting at START, one value per hour (null for a missing hour)
+function hourlyRows(column, values) {
+    return values.map((value, i) => ({ hour: new Date(START + i * HOUR_MS), [column]: value }));
+}
+
+
+function lastHour(rows, pollutantColumns) {
+    const endTime = START + (rows.length - 1) * HOUR_MS;
+    return computeHourlyAQI(rows, "hour", pollutantColumns, endTime, endTime)[0];
+}
+
+
+test("breakpoint ranges of every pollutant are ordered and contiguous in index", () => {
+    for (const [pollutant, { breakpoints }] of Object.entries(AQI_POLLUTANTS)) {
+        breakpoints.forEach(([cLow, cHigh, iLow, iHigh], i) => {
+            assert.ok(cLow < cHigh, pollutant);
+            assert.ok(iLow < iHigh, pollutant);
+
+            if (i > 0) {
+                assert.ok(cLow > breakpoints[i - 1][1], pollutant);
+                assert.equal(iLow, breakpoints[i - 1][3] + 1, pollutant);
+            }
+        });
+    }
+});
+
+
+test("PM2.5 sub-index interpolates within the 2024 breakpoints", () => {
+    const cases = [[9.0, 50], [9.1, 51], [12.0, 56], [35.4, 100], [35.5, 101], [55.4, 150], [325.4, 500]];
+
+    for (const [concentration, aqi] of cases) {
+        const result = lastHour(hourlyRows("pm25", Array(24).fill(concentration)), { pm25: "pm25" });
+        assert.equal(result.sub_indices.pm25.aqi, aqi, `pm25 ${concentration}`);
+    }
+});
+
+
+test("concentrations are truncated to the pollutant precision before lookup", () => {
+    const result = lastHour(hourlyRows("pm25", Array(24).fill(35.49)), { pm25: "pm25" });
+    assert.equal(result.sub_indices.pm25.aqi, 100);
+});
+
+
+test("concentrations above the top breakpoint report 500", () => {
+    const result = lastHour(hourlyRows("pm25", Array(24).fill(400)), { pm25: "pm25" });
+    assert.equal(result.sub_indices.pm25.aqi, 500);
+});
+
+
+test("the 24-hour average needs 18 reported hours", () => {
+    const enough = lastHour(hourlyRows("pm25", [...Array(6).fill(null), ...Array(18).fill(20)]), { pm25: "pm25" });
+    const tooFew = lastHour(hourlyRows("pm25", [...Array(7).fill(null), ...Array(17).fill(20)]), { pm25: "pm25" });
+
+    assert.equal(enough.sub_indices.pm25.concentration, 20);
+    assert.equal(tooFew.sub_indices.pm25.concentration, null);
+    assert.equal(tooFew.sub_indices.pm25.aqi, null);
+});
+
+
+test("NowCast of steady concentrations equals the concentration", () => {
+    const result = lastHour(hourlyRows("pm25", Array(12).fill(15)), { pm25: "pm25" });
+    assert.ok(Math.abs(result.nowcast.pm25.concentration - 15) < 1e-9);
+});
+
+
+test("NowCast weights recent hours with a weight of at least 0.5", () => {
+    // min/max = 0.1 so the weight is raised to 0.5: (50 + 5 * 0.5) / 1.5
+    const result = lastHour(hourlyRows("pm25", [5, 50]), { pm25: "pm25" });
+    assert.ok(Math.abs(result.nowcast.pm25.concentration - 35) < 1e-9);
+
+    // min/max = 0.8: (10 + 8 * 0.8) / 1.8
+    const mild = lastHour(hourlyRows("pm25", [8, 10]), { pm25: "pm25" });
+    assert.ok(Math.abs(mild.nowcast.pm25.concentration - 16.4 / 1.8) < 1e-9);
+});
+
+
+test("NowCast needs two of the three most recent hours", () => {
+    const result = lastHour(hourlyRows("pm25", [...Array(9).fill(12), 12, null, null]), { pm25: "pm25" });
+
+    assert.equal(result.nowcast.pm25.concentration, null);
+    assert.equal(result.nowcast.pm25.aqi, null);
+});
+
+
+test("high 1-hour ozone takes over from the 8-hour average", () => {
+    const result = lastHour(hourlyRows("o3", [...Array(7).fill(0.02), 0.150]), { o3: "o3" });
+
+    // 8-hour mean 0.03625 ppm gives 33, the 1-hour 0.150 ppm gives 132
+    assert.equal(result.sub_indices.o3.aqi, 132);
+});
+
+
+test("the overall AQI is the highest sub-index and names its pollutant", () => {
+    const rows = Array.from({ length: 24 }, (_, i) => ({ hour: new Date(START + i * HOUR_MS), pm: 40, no2: 20 }));
+    const result = lastHour(rows, { pm25: "pm", no2: "no2" });
+
+    assert.equal(result.sub_indices.no2.aqi, 19);
+    assert.equal(result.aqi, result.sub_indices.pm25.aqi);
+    assert.equal(result.dominant_pollutant, "pm25");
+});
+
+
+test("only hours inside the requested range are returned", () => {
+    const rows = hourlyRows("pm25", Array(30).fill(10));
+    const results = computeHourlyAQI(rows, "hour", { pm25: "pm25" }, START + 24 * HOUR_MS, START + 26 * HOUR_MS);
+
+    assert.deepEqual(results.map((result) => result.hour.getTime()), [24, 25, 26].map((i) => START + i * HOUR_MS));
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { haversineKm, boundingBoxAround, whereInBoundingBox } = require("../Utility/GeoSearchUtility.js");
+
+
+function near(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+
+// Point reached by travelling distanceKm from (lat, lon) on an initial bearing, on the haversineKm sphere
+function destination(lat, lon, distanceKm, bearingDegrees) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const angle = distanceKm / 6371.0088;
+    const bearing = toRadians(bearingDegrees);
+    const lat1 = toRadians(lat);
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing));
+    const lon2 = toRadians(lon) + Math.atan2(
+        Math.sin(bearing) * Math.sin(angle) * Math.cos(lat1),
+        Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+    );
+
+    return [lat2 * 180 / Math.PI, lon2 * 180 / Math.PI];
+}
+
+
+test("haversineKm measures great-circle distances", () => {
+    assert.equal(haversineKm(33.79, -84.32, 33.79, -84.32), 0);
+    near(haversineKm(0, 0, 0, 1), 111.2, 0.1);
+    near(haversineKm(0, 179.5, 0, -179.5), 111.2, 0.1);
+    // Atlanta to New York
+    near(haversineKm(33.749, -84.388, 40.7128, -74.006), 1200, 5);
+});
+
+
+test("the bounding box contains every point on the radius", () => {
+    for (const [lat, lon, radius] of [[45, 10, 100], [-60, -70, 500], [0, 0, 1]]) {
+        const box = boundingBoxAround(lat, lon, radius);
+
+        for (let bearing = 0; bearing < 360; bearing += 15) {
+            const [pointLat, pointLon] = destination(lat, lon, radius * (1 - 1e-9), bearing);
+
+            near(haversineKm(lat, lon, pointLat, pointLon), radius, 1e-6);
+            assert.ok(pointLat >= box.min_lat && pointLat <= box.max_lat, `latitude at bearing ${bearing} from ${lat}, ${lon}`);
+            assert.ok(pointLon >= box.min_lon && pointLon <= box.max_lon, `longitude at bearing ${bearing} from ${lat}, ${lon}`);
+        }
+    }
+});
+
+
+test("a box across the antimeridian has min_lon greater than max_lon", () => {
+    const box = boundingBoxAround(0, 179.5, 200);
+
+    assert.ok(box.min_lon > box.max_lon);
+    near(box.min_lon, 177.7, 0.1);
+    near(box.max_lon, -178.7, 0.1);
+
+    const west = boundingBoxAround(0, -179.5, 200);
+    assert.ok(west.min_lon > west.max_lon);
+});
+
+
+test("boxes reaching a pole or wider than the globe cover every longitude", () => {
+    const polar = boundingBoxAround(89.5, 0, 100);
+
+    assert.equal(polar.max_lat, 90);
+    assert.deepEqual([polar.min_lon, polar.max_lon], [-180, 180]);
+    assert.equal(boundingBoxAround(0, 0, 30000).min_lon, -180);
+});
+
+
+test("whereInBoundingBox uses an OR on longitude across the antimeridian", () => {
+    const calls = [];
+    const builder = {
+        whereBetween: (...args) => calls.push(["whereBetween", ...args]) && builder,
+        where: (...args) => {
+            if (typeof args[0] === "function") {
+                args[0](builder);
+            } else {
+                calls.push(["where", ...args]);
+            }
+            return builder;
+        },
+        orWhere: (...args) => calls.push(["orWhere", ...args]) && builder,
+    };
+
+    whereInBoundingBox(builder, { min_lat: -1, max_lat: 1, min_lon: 178, max_lon: -178 });
+
+    assert.deepEqual(calls, [
+        ["whereBetween", "sensor_latitude", [-1, 1]],
+        ["where", "sensor_longitude", ">=", 178],
+        ["orWhere", "sensor_longitude", "<=", -178],
+    ]);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkLineageSource } = require("../Utility/ModelLineageUtility.js");
+
+
+// Stand-in for the SENSOR_MODELS table: maps each registered table to its source
+function fakeDatabase(sources) {
+    return () => {
+        let name;
+        const builder = {
+            select: () => builder,
+            where: ({ sensor_table_name }) => {
+                name = sensor_table_name;
+                return builder;
+            },
+            first: async () => (name in sources ? { source_table_name: sources[name] } : undefined),
+        };
+        return builder;
+    };
+}
+
+
+test("a registered source outside the derived table's lineage is accepted", async () => {
+    const database = fakeDatabase({ RAW: null, CORRECTED: "RAW", HOURLY: "CORRECTED" });
+
+    assert.equal(await checkLineageSource(database, "DAILY", "HOURLY"), undefined);
+});
+
+
+test("a model cannot be its own source", async () => {
+    assert.equal(await checkLineageSource(fakeDatabase({}), "RAW", "RAW"), "A sensor model cannot be its own source.");
+});
+
+
+test("unregistered sources are refused", async () => {
+    const message = await checkLineageSource(fakeDatabase({ RAW: null }), "CORRECTED", "MISSING");
+    assert.equal(message, "Source table 'MISSING' is not a registered sensor model.");
+});
+
+
+test("a source derived from the table would form a cycle", async () => {
+    const database = fakeDatabase({ RAW: "DAILY", CORRECTED: "RAW", HOURLY: "CORRECTED", DAILY: null });
+    const message = await checkLineageSource(database, "DAILY", "HOURLY");
+
+    assert.equal(message, "'HOURLY' is itself derived from 'DAILY', the lineage would form a cycle.");
+});
+
+
+test("an existing cycle upstream does not loop forever", async () => {
+    const database = fakeDatabase({ A: "B", B: "A" });
+    assert.equal(await checkLineageSource(database, "C", "A"), undefined);
+});
+
+
+test("a source whose upstream table is no longer registered is accepted", async () => {
+    const database = fakeDatabase({ CORRECTED: "DROPPED_RAW" });
+    assert.equal(await checkLineageSource(database, "HOURLY", "CORRECTED"), undefined);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePagination, buildPage } = require("../Utility/PaginationUtility.js");
+
+
+test("pagination is off without limit or cursor", () => {
+    assert.deepEqual(parsePagination({}, "after"), { paginated: false });
+});
+
+
+test("limit defaults to 1000 and must be a whole number between 1 and 10000", () => {
+    assert.deepEqual(parsePagination({ cursor: undefined, limit: undefined, other: "1" }, "after"), { paginated: false });
+    assert.equal(parsePagination({ limit: "50" }, "after").limit, 50);
+    assert.ok(parsePagination({ limit: "0" }, "after").error);
+    assert.ok(parsePagination({ limit: "10001" }, "after").error);
+    assert.ok(parsePagination({ limit: "2.5" }, "after").error);
+});
+
+
+test("the next_cursor of a page decodes to the position of its last row", () => {
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    const page = buildPage(rows, 2, 10, (row) => ({ after_id: row.id }));
+
+    assert.deepEqual(page.data, rows.slice(0, 2));
+    assert.equal(page.total_count, 10);
+    assert.match(page.next_cursor, /^[A-Za-z0-9_-]+$/);
+
+    const next = parsePagination({ cursor: page.next_cursor }, "after_id");
+    assert.deepEqual(next, { paginated: true, limit: 1000, position: { after_id: 2 } });
+});
+
+
+test("the last page has no next_cursor", () => {
+    const page = buildPage([{ id: 1 }], 2, 1, (row) => ({ after_id: row.id }));
+    assert.equal(page.next_cursor, null);
+});
+
+
+test("malformed cursors and cursors for another key are rejected", () => {
+    const dateCursor = buildPage([{ t: "a" }, { t: "b" }], 1, 2, (row) => ({ after: row.t })).next_cursor;
+
+    assert.ok(parsePagination({ cursor: "not-base64-json" }, "after").error);
+    assert.ok(parsePagination({ cursor: Buffer.from("null").toString("base64url") }, "after").error);
+    assert.ok(parsePagination({ cursor: dateCursor }, "after_id").error);
+    assert.deepEqual(parsePagination({ cursor: dateCursor }, "after").position, { after: "a" });
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    parseBucket,
+    bucketExpression,
+    parseAggregateFunctions,
+    aggregateRows,
+    aggregateIntoWindows,
+} = require("../Utility/ReadingsAggregationUtility.js");
+
+
+test("parseBucket converts bucket strings to seconds", () => {
+    assert.equal(parseBucket("15m"), 15 * 60);
+    assert.equal(parseBucket("1h"), 3600);
+    assert.equal(parseBucket(" 2d "), 2 * 86400);
+    assert.equal(parseBucket("1w"), 7 * 86400);
+});
+
+
+test("parseBucket rejects zero, unknown units and missing values", () => {
+    assert.equal(parseBucket("0h"), undefined);
+    assert.equal(parseBucket("5s"), undefined);
+    assert.equal(parseBucket("h"), undefined);
+    assert.equal(parseBucket(undefined), undefined);
+});
+
+
+test("bucketExpression floors the date column from the Monday anchor", () => {
+    const { sql, bindings } = bucketExpression("Timestamp", 3600);
+
+    assert.match(sql, /FLOOR\(TIMESTAMPDIFF\(SECOND, \?, \?\?\) \/ \?\) \* \? SECOND/);
+    assert.deepEqual(bindings, ["1970-01-05 00:00:00", "1970-01-05 00:00:00", "Timestamp", 3600, 3600]);
+});
+
+
+test("parseAggregateFunctions accepts known functions and percentiles, deduplicated", () => {
+    assert.deepEqual(parseAggregateFunctions("Mean, max,p98,mean"), ["mean", "max", "p98"]);
+    assert.deepEqual(parseAggregateFunctions("p0,p100"), ["p0", "p100"]);
+    assert.equal(parseAggregateFunctions("p101"), undefined);
+    assert.equal(parseAggregateFunctions("sum"), undefined);
+    assert.equal(parseAggregateFunctions(""), undefined);
+});
+
+
+const rows = [
+    { Timestamp: "2024-01-01T00:00:00Z", pm25: 1, temp: "10" },
+    { Timestamp: "2024-01-01T00:10:00Z", pm25: 2, temp: "" },
+    { Timestamp: "2024-01-01T00:20:00Z", pm25: 3, temp: null },
+    { Timestamp: "2024-01-01T00:30:00Z", pm25: 4, temp: "20" },
+];
+
+
+test("aggregateRows averages every column under its own name without aggregate functions", () => {
+    const point = aggregateRows(rows, "Timestamp", ["pm25", "temp"]);
+
+    assert.equal(point.pm25, 2.5);
+    assert.equal(point.temp, 15);
+    assert.deepEqual(point.Timestamp, new Date("2024-01-01T00:15:00Z"));
+});
+
+
+test("aggregateRows writes each function to a {column}_{function} key", () => {
+    const point = aggregateRows(rows, "Timestamp", ["pm25"], ["min", "max", "median", "p25", "stddev", "count"]);
+
+    assert.equal(point.pm25_min, 1);
+    assert.equal(point.pm25_max, 4);
+    assert.equal(point.pm25_median, 2.5);
+    assert.equal(point.pm25_p25, 1.75);
+    assert.ok(Math.abs(point.pm25_stddev - Math.sqrt(5 / 3)) < 1e-12);
+    assert.equal(point.pm25_count, 4);
+});
+
+
+test("aggregateRows skips empty values and returns null when a column has none", () => {
+    const point = aggregateRows(rows.slice(1, 3), "Timestamp", ["temp"], ["mean", "stddev", "count"]);
+
+    assert.equal(point.temp_mean, null);
+    assert.equal(point.temp_stddev, null);
+    assert.equal(point.temp_count, 0);
+});
+
+
+test("aggregateIntoWindows gives leftover rows to the first windows", () => {
+    const windows = aggregateIntoWindows(rows.slice(0, 3), 2, "Timestamp", ["pm25"], ["count"]);
+
+    assert.deepEqual(windows.map((window) => window.pm25_count), [2, 1]);
+    assert.equal(aggregateIntoWindows(rows, 10, "Timestamp", ["pm25"]).length, rows.length);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const csv = require("csv-parser");
+const { validateReadings, stripCommentLines } = require("../Utility/ReadingsIngestionUtility.js");
+
+const schema = { Timestamp: "datetime", pm25: "float", count: "integer", site: "string" };
+
+
+test("valid rows are normalized: dates formatted and empty cells stored as NULL", () => {
+    const { validRows, report } = validateReadings(
+        [{ Timestamp: "2024-01-01 10:00:00", pm25: "12.5", count: "3", site: " " }],
+        schema, "Timestamp"
+    );
+
+    assert.deepEqual(validRows, [{ Timestamp: "2024-01-01 10:00:00", pm25: "12.5", count: "3", site: null }]);
+    assert.equal(report.rows_checked, 1);
+    assert.equal(report.rows_valid, 1);
+    assert.equal(report.rows_rejected, 0);
+    assert.deepEqual(report.errors, []);
+});
+
+
+test("type errors are reported with the line number and column", () => {
+    const { validRows, report } = validateReadings(
+        [
+            { Timestamp: "2024-01-01 10:00:00", pm25: "abc", count: "1", site: "a" },
+            { Timestamp: "not a date", pm25: "1", count: "1.5", site: "a".repeat(256) },
+        ],
+        schema, "Timestamp", 2
+    );
+
+    assert.equal(validRows.length, 0);
+    assert.equal(report.rows_rejected, 2);
+    assert.deepEqual(report.errors.map(({ line, column }) => [line, column]), [
+        [2, "pm25"],
+        [3, "Timestamp"],
+        [3, "count"],
+        [3, "site"],
+    ]);
+});
+
+
+test("a missing date and mismatched columns reject the row", () => {
+    const { report } = validateReadings(
+        [{ Timestamp: "", pm25: "1", count: "1", humidity: "40" }],
+        schema, "Timestamp"
+    );
+
+    assert.deepEqual(report.errors, [
+        { line: 1, column: null, reason: "missing columns: site; unexpected columns: humidity" },
+        { line: 1, column: "Timestamp", reason: "date value is required" },
+    ]);
+});
+
+
+test("line numbers can be given per row", () => {
+    const { report } = validateReadings(
+        [
+            { Timestamp: "2024-01-01 10:00:00", pm25: "1", count: "1", site: "a" },
+            { Timestamp: "2024-01-01 11:00:00", pm25: "x", count: "1", site: "a" },
+        ],
+        schema, "Timestamp", [4, 7]
+    );
+
+    assert.equal(report.errors[0].line, 7);
+});
+
+
+test("out of range values are rejected, or kept and flagged", () => {
+    const rows = [{ Timestamp: "2024-01-01 10:00:00", pm25: "600", count: "1", site: "a" }];
+    const metadata = { pm25: { min_value: 0, max_value: 500 } };
+
+    const rejected = validateReadings(rows, schema, "Timestamp", 1, metadata);
+    assert.equal(rejected.report.rows_rejected, 1);
+    assert.equal(rejected.report.errors[0].reason, "600 is outside the valid range [0, 500]");
+
+    const flagged = validateReadings(rows, schema, "Timestamp", 1, metadata, "flag");
+    assert.equal(flagged.validRows.length, 1);
+    assert.equal(flagged.report.rows_flagged, 1);
+    assert.equal(flagged.report.flags[0].column, "pm25");
+});
+
+
+test("stripCommentLines drops comment lines and records the file line of each kept line", async () => {
+    const lineNumbers = [];
+    const rows = [];
+    const input = "# pm25: unit=ug/m3\r\nTimestamp,pm25\r\n2024-01-01 10:00:00,1\r\n# note\r\n2024-01-01 11:00:00,2";
+
+    await new Promise((resolve, reject) => {
+        Readable.from([Buffer.from(input.slice(0, 30)), Buffer.from(input.slice(30))])
+            .pipe(stripCommentLines(lineNumbers))
+            .pipe(csv())
+            .on("data", (row) => rows.push(row))
+            .on("end", resolve)
+            .on("error", reject);
+    });
+
+    assert.deepEqual(rows.map((row) => row.pm25), ["1", "2"]);
+    assert.deepEqual(lineNumbers, [2, 3, 5]);
+});
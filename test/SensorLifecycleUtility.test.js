@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    LIFECYCLE_STATES,
+    LIFECYCLE_TRANSITIONS,
+    parseStatusFilter,
+    transitionSensorStatus,
+} = require("../Utility/SensorLifecycleUtility.js");
+
+const sensor = { sensor_brand: "PurpleAir", sensor_id: "1" };
+
+
+// Stand-in for a knex transaction: selects resolve to the rows given per table, writes are recorded
+function fakeTransaction(tables) {
+    const writes = [];
+
+    const trx = (table) => {
+        const builder = {
+            select: () => builder,
+            where: () => builder,
+            orderBy: () => builder,
+            forUpdate: () => builder,
+            first: async () => tables[table],
+            update: async (values) => writes.push({ table, update: values }),
+            insert: async (values) => writes.push({ table, insert: values }),
+        };
+        return builder;
+    };
+
+    return { trx, writes };
+}
+
+
+test("every state has allowed next states, all of them known", () => {
+    assert.deepEqual(Object.keys(LIFECYCLE_TRANSITIONS).sort(), [...LIFECYCLE_STATES].sort());
+
+    for (const [state, next] of Object.entries(LIFECYCLE_TRANSITIONS)) {
+        assert.ok(next.length > 0, state);
+        assert.ok(next.every((nextState) => LIFECYCLE_STATES.includes(nextState) && nextState !== state), state);
+    }
+});
+
+
+test("parseStatusFilter accepts a comma separated list of known states", () => {
+    assert.deepEqual(parseStatusFilter("Deployed, maintenance"), ["deployed", "maintenance"]);
+    assert.equal(parseStatusFilter("deployed,broken"), undefined);
+});
+
+
+test("an allowed transition updates the sensor and logs the change", async () => {
+    const { trx, writes } = fakeTransaction({
+        SENSORS: { lifecycle_status: "deployed" },
+        SENSOR_STATUS_HISTORY: { changed_at: "2024-01-01 00:00:00" },
+    });
+
+    const fromStatus = await transitionSensorStatus(trx, sensor, "retired", "Decommissioned", "2024-02-01 00:00:00");
+
+    assert.equal(fromStatus, "deployed");
+    assert.deepEqual(writes, [
+        { table: "SENSORS", update: { lifecycle_status: "retired", is_active: false } },
+        {
+            table: "SENSOR_STATUS_HISTORY",
+            insert: {
+                sensor_brand: "PurpleAir",
+                sensor_id: "1",
+                from_status: "deployed",
+                to_status: "retired",
+                reason: "Decommissioned",
+                changed_at: "2024-02-01 00:00:00",
+            },
+        },
+    ]);
+});
+
+
+test("disallowed transitions and unknown states are refused with a 400", async () => {
+    const { trx, writes } = fakeTransaction({ SENSORS: { lifecycle_status: "planned" } });
+
+    await assert.rejects(
+        transitionSensorStatus(trx, sensor, "maintenance", null, "2024-02-01 00:00:00"),
+        { status: 400, message: /cannot move from 'planned' to 'maintenance'/ }
+    );
+    await assert.rejects(
+        transitionSensorStatus(trx, sensor, "lost", null, "2024-02-01 00:00:00"),
+        { status: 400, message: /Invalid status/ }
+    );
+    assert.deepEqual(writes, []);
+});
+
+
+test("a transition dated before the last one is refused", async () => {
+    const { trx, writes } = fakeTransaction({
+        SENSORS: { lifecycle_status: "deployed" },
+        SENSOR_STATUS_HISTORY: { changed_at: "2024-03-01 00:00:00" },
+    });
+
+    await assert.rejects(
+        transitionSensorStatus(trx, sensor, "offline", null, "2024-02-01 00:00:00"),
+        { status: 400, message: /cannot be before the last status change \(2024-03-01 00:00:00\)/ }
+    );
+    assert.deepEqual(writes, []);
+});
+
+
+test("a sensor without a status can move to any state", async () => {
+    const { trx } = fakeTransaction({ SENSORS: { lifecycle_status: null } });
+    assert.equal(await transitionSensorStatus(trx, sensor, "maintenance", null, "2024-02-01 00:00:00"), null);
+});
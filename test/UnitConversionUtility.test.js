@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { canonicalUnit, planUnitConversions } = require("../Utility/UnitConversionUtility.js");
+
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+
+test("canonicalUnit accepts the spellings found in partner metadata", () => {
+    assert.equal(canonicalUnit("µg/m³"), "ug/m3");
+    assert.equal(canonicalUnit(" UGM3 "), "ug/m3");
+    assert.equal(canonicalUnit("°F"), "F");
+    assert.equal(canonicalUnit("deg C"), "C");
+    assert.equal(canonicalUnit("mb"), "mbar");
+    assert.equal(canonicalUnit("furlongs"), undefined);
+    assert.equal(canonicalUnit(null), undefined);
+});
+
+
+test("no units means no conversion", () => {
+    assert.deepEqual(planUnitConversions({}, { temp: { unit: "C" } }), { converting: false });
+});
+
+
+test("temperatures and pressures convert by quantity", () => {
+    const metadata = { temp: { unit: "C", min_value: -40, max_value: 60, precision: 1 }, pressure: { unit: "hPa" } };
+    const plan = planUnitConversions({ units: "F,kPa" }, metadata);
+    const row = plan.convertRow({ Timestamp: "2024-01-01 00:00:00", temp: "100", pressure: 1013.25 });
+
+    near(row.temp, 212);
+    near(row.pressure, 101.325);
+    assert.equal(row.Timestamp, "2024-01-01 00:00:00");
+    near(plan.column_metadata.temp.min_value, -40);
+    near(plan.column_metadata.temp.max_value, 140);
+    assert.equal(plan.column_metadata.temp.unit, "F");
+    assert.equal("precision" in plan.column_metadata.temp, false);
+});
+
+
+test("gases convert between ppb and ug/m3 at reference conditions", () => {
+    const metadata = { no2: { unit: "ppb" }, pm25: { unit: "ug/m3" } };
+    const plan = planUnitConversions({ units: "ug/m3" }, metadata);
+    const row = plan.convertRow({ no2: 10, pm25: 12 });
+
+    // 1 ppb NO2 is 1.88 ug/m3 at 25 C and 1 atm
+    near(row.no2, 18.8, 0.01);
+    assert.equal(row.pm25, 12);
+    assert.equal(plan.gas_conditions, "reference 25 C, 1013.25 hPa");
+});
+
+
+test("gases can be converted at each row's measured temperature and pressure", () => {
+    const metadata = { o3: { unit: "ppb", parameter_code: "44201" }, t: { unit: "C" }, p: { unit: "hPa" } };
+    const plan = planUnitConversions({ units: "o3:ug/m3", gas_conditions: "measured" }, metadata);
+
+    const reference = planUnitConversions({ units: "o3:ug/m3" }, metadata).convertRow({ o3: 50 }).o3;
+    near(plan.convertRow({ o3: 50, t: 25, p: 1013.25 }).o3, reference);
+    assert.equal(plan.convertRow({ o3: 50, t: 25, p: null }).o3, null);
+});
+
+
+test("conversion plans report unusable units", () => {
+    const metadata = { pm25: { unit: "ug/m3" }, temp: { unit: "C" } };
+
+    assert.match(planUnitConversions({ units: "furlongs" }, metadata).error, /Unknown unit/);
+    assert.match(planUnitConversions({ units: "F,K" }, metadata).error, /more than one temperature unit/);
+    assert.match(planUnitConversions({ units: "ppb" }, metadata).error, /No column can be read in ppb/);
+    assert.match(planUnitConversions({ units: "pm25:ppb" }, metadata).error, /without a known gas/);
+    assert.match(planUnitConversions({ units: "pm25:hPa" }, metadata).error, /cannot be converted from ug\/m3 to hPa\.$/);
+    assert.match(planUnitConversions({ units: "F", gas_conditions: "measured" }, metadata).error, /pressure_column/);
+});